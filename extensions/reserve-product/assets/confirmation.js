@@ -0,0 +1,98 @@
+document.addEventListener('DOMContentLoaded', function () {
+	const container = document.querySelector('.reservation-confirmation')
+	if (!container) {
+		return
+	}
+
+	const urlParams = new URLSearchParams(window.location.search)
+	const token = urlParams.get('token')
+	if (!token) {
+		showConfirmationError(container)
+		return
+	}
+
+	// The token stands in for the shopper's details, which are fetched through
+	// the app proxy instead of being read from the URL
+	fetch('/apps/create-draft-order/confirmation', {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json' },
+		body: JSON.stringify({ token }),
+	})
+		.then((response) => {
+			if (!response.ok) {
+				throw new Error(`Request failed with status ${response.status}`)
+			}
+			return response.json()
+		})
+		.then((reservation) => {
+			fillConfirmation(container, reservation)
+		})
+		.catch((error) => {
+			console.error('Error loading reservation confirmation:', error)
+			showConfirmationError(container)
+		})
+})
+
+/**
+ * Fills the [data-reservation-field] elements of the confirmation block
+ * @param {HTMLElement} container - The confirmation block
+ * @param {Object} reservation - Details returned by the confirmation route
+ */
+function fillConfirmation(container, reservation) {
+	const items =
+		reservation.items && reservation.items.length > 0
+			? reservation.items
+			: [
+					{
+						title: reservation.product_title,
+						stocking_number: reservation.stocking_number,
+					},
+			  ]
+
+	const values = {
+		...reservation,
+		product_title: items
+			.map((item) => item.title)
+			.filter(Boolean)
+			.join(', '),
+		stocking_number: items
+			.map((item) => item.stocking_number)
+			.filter(Boolean)
+			.join(', '),
+		hold_expiry_date: formatHoldExpiryDate(
+			reservation.hold_expiry_date,
+			reservation.language
+		),
+	}
+
+	container.querySelectorAll('[data-reservation-field]').forEach((element) => {
+		element.textContent = values[element.dataset.reservationField] || ''
+	})
+	container.classList.add('is-loaded')
+}
+
+/**
+ * Formats the last day of the hold in the reservation language
+ * @param {string} date - ISO date, YYYY-MM-DD
+ * @param {string} language - `en` or `fr`
+ * @returns {string} The date as shown to the shopper
+ */
+function formatHoldExpiryDate(date, language) {
+	if (!date) {
+		return ''
+	}
+	// Noon UTC, so the day is the same in every time zone
+	return new Date(`${date}T12:00:00Z`).toLocaleDateString(language || 'en', {
+		year: 'numeric',
+		month: 'long',
+		day: 'numeric',
+	})
+}
+
+/**
+ * Shows the message for a missing, expired or unknown confirmation link
+ * @param {HTMLElement} container - The confirmation block
+ */
+function showConfirmationError(container) {
+	container.classList.add('is-error')
+}
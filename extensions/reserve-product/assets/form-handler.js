@@ -25,6 +25,13 @@ document.addEventListener('DOMContentLoaded', function () {
 					'en',
 			}
 
+			// Reuse the key for retries of this submission so the server can
+			// recognise them instead of reserving twice
+			if (!reserveForm.dataset.idempotencyKey) {
+				reserveForm.dataset.idempotencyKey = generateIdempotencyKey()
+			}
+			formData.idempotency_key = reserveForm.dataset.idempotencyKey
+
 			// Capitalize role
 			if (formData.role) {
 				formData.role =
@@ -34,58 +41,170 @@ document.addEventListener('DOMContentLoaded', function () {
 			// Get product information
 			const productInfo = getProductInfo()
 
-			// Execute reCAPTCHA v3 and get token
-			if (typeof grecaptcha !== 'undefined') {
-				grecaptcha.ready(function () {
-					grecaptcha
-						.execute('6LdEHUQrAAAAAA7jJ4O5eYyWjBieJo5WmWLCaRLH', {
-							action: 'reserve_product',
-						})
-						.then(function (token) {
-							// RECAPTCHA_SITE_KEY
-							//console.log('reCAPTCHA v3 token received:', token.substring(0, 20) + '...');
-
-							// Add the reCAPTCHA token to form data
-							formData.recaptcha_token = token
-
-							// Create draft order with the token
-							createDraftOrder(formData, productInfo)
-						})
-						.catch(function (error) {
-							console.error('reCAPTCHA execution error:', error)
-							toggleLoadingState(false)
-							showMessage(
-								'error',
-								'Security verification failed. Please try again.'
-							)
-						})
+			// Get a bot protection token, then create the draft order with it or
+			// join the waitlist of a product someone else has reserved
+			getBotProtectionToken(
+				reserveForm,
+				isWaitlistMode() ? 'join_waitlist' : 'reserve_product'
+			)
+				.then(function (token) {
+					if (token) {
+						formData.bot_protection_token = token
+					}
+
+					if (isWaitlistMode()) {
+						joinWaitlist(formData, productInfo)
+					} else {
+						createDraftOrder(formData, productInfo)
+					}
 				})
-			} else {
-				console.error('reCAPTCHA not loaded')
-				toggleLoadingState(false)
-				showMessage(
-					'error',
-					'Security verification not available. Please refresh the page and try again.'
-				)
-			}
+				.catch(function (error) {
+					console.error('Bot protection error:', error)
+					toggleLoadingState(false)
+					showMessage(
+						'error',
+						getMessage(
+							error.unavailable
+								? 'errors.bot_protection_unavailable'
+								: 'errors.bot_protection_failed'
+						)
+					)
+				})
+		})
+
+		loadBotProtection(reserveForm)
+	}
+})
+
+// Widget scripts of the bot protection providers the block can be set to.
+// hCaptcha and Turnstile are rendered explicitly as invisible widgets.
+const BOT_PROTECTION_SCRIPTS = {
+	recaptcha: (siteKey) =>
+		`https://www.google.com/recaptcha/api.js?render=${encodeURIComponent(
+			siteKey
+		)}`,
+	hcaptcha: () =>
+		'https://js.hcaptcha.com/1/api.js?render=explicit&recaptchacompat=off',
+	turnstile: () =>
+		'https://challenges.cloudflare.com/turnstile/v0/api.js?render=explicit',
+}
+
+/**
+ * Reads the provider and site key set on the block; must match
+ * BOT_PROTECTION_PROVIDER on the server
+ * @param {HTMLFormElement} form - The reservation form
+ * @returns {{provider: string, siteKey: string}} Provider is `none` when no
+ *   site key is set
+ */
+function getBotProtectionSettings(form) {
+	const provider = form.dataset.botProtectionProvider || 'none'
+	const siteKey = form.dataset.botProtectionSiteKey || ''
+	return {
+		provider: BOT_PROTECTION_SCRIPTS[provider] && siteKey ? provider : 'none',
+		siteKey,
+	}
+}
+
+/**
+ * Loads the widget script of the block's bot protection provider
+ * @param {HTMLFormElement} form - The reservation form
+ */
+function loadBotProtection(form) {
+	const { provider, siteKey } = getBotProtectionSettings(form)
+	if (provider === 'none' || getBotProtectionApi(provider)) {
+		return
+	}
+
+	const script = document.createElement('script')
+	script.src = BOT_PROTECTION_SCRIPTS[provider](siteKey)
+	script.async = true
+	script.defer = true
+	script.onerror = function () {
+		console.error(`Failed to load the ${provider} script`)
+	}
+	document.head.appendChild(script)
+}
+
+/**
+ * Gets the global API of a provider's widget script, once it has loaded
+ */
+function getBotProtectionApi(provider) {
+	if (provider === 'recaptcha') {
+		return typeof grecaptcha !== 'undefined' ? grecaptcha : null
+	}
+	if (provider === 'hcaptcha') {
+		return typeof hcaptcha !== 'undefined' ? hcaptcha : null
+	}
+	if (provider === 'turnstile') {
+		return typeof turnstile !== 'undefined' ? turnstile : null
+	}
+	return null
+}
+
+/**
+ * Runs the block's bot protection widget for an action
+ * @param {HTMLFormElement} form - The reservation form
+ * @param {string} action - Action the server verifies the token for
+ * @returns {Promise<string|null>} The token, or null when the block has no
+ *   bot protection; rejects with `unavailable` set when the widget did not
+ *   load
+ */
+function getBotProtectionToken(form, action) {
+	const { provider, siteKey } = getBotProtectionSettings(form)
+	if (provider === 'none') {
+		return Promise.resolve(null)
+	}
+
+	const api = getBotProtectionApi(provider)
+	if (!api) {
+		const error = new Error(`${provider} not loaded`)
+		error.unavailable = true
+		return Promise.reject(error)
+	}
+
+	if (provider === 'recaptcha') {
+		return new Promise(function (resolve, reject) {
+			api.ready(function () {
+				api.execute(siteKey, { action }).then(resolve, reject)
+			})
 		})
 	}
 
-	// Load reCAPTCHA v3 script if not already loaded
-	if (typeof grecaptcha === 'undefined') {
-		const recaptchaScript = document.createElement('script')
-		recaptchaScript.src =
-			'https://www.google.com/recaptcha/api.js?render=6LdEHUQrAAAAAA7jJ4O5eYyWjBieJo5WmWLCaRLH' // RECAPTCHA_SITE_KEY
-		recaptchaScript.async = true
-		recaptchaScript.defer = true
-		document.head.appendChild(recaptchaScript)
-
-		// Add error handling for script loading
-		recaptchaScript.onerror = function () {
-			console.error('Failed to load reCAPTCHA script')
+	const container = form.querySelector('.reserve__bot-protection')
+
+	if (provider === 'hcaptcha') {
+		if (container.dataset.widgetId) {
+			// A token is only valid once, so start over on resubmission
+			api.reset(container.dataset.widgetId)
+		} else {
+			container.dataset.widgetId = api.render(container, {
+				sitekey: siteKey,
+				size: 'invisible',
+			})
 		}
+		return api
+			.execute(container.dataset.widgetId, { async: true })
+			.then(function (result) {
+				return result.response
+			})
 	}
-})
+
+	// Turnstile tokens are single use, so each submission gets a new widget
+	return new Promise(function (resolve, reject) {
+		if (container.dataset.widgetId) {
+			api.remove(container.dataset.widgetId)
+		}
+		container.dataset.widgetId = api.render(container, {
+			sitekey: siteKey,
+			action,
+			appearance: 'interaction-only',
+			callback: resolve,
+			'error-callback': function (code) {
+				reject(new Error(`Turnstile error ${code}`))
+			},
+		})
+	})
+}
 
 /**
  * Extracts product information from the current page
@@ -357,97 +476,37 @@ function createDraftOrder(formData, productInfo) {
 	//console.log("Creating draft order with title:", draftOrderTitle);
 	//console.log("Complete product info for draft order:", JSON.stringify(productInfo, null, 2));
 
-	// Create line item from product info
+	// Only the variant is sent: the server looks up the price, SKU, title and
+	// stocking number itself
 	const lineItem = {
-		title: productInfo.stocking_number
-			? `${productInfo.stocking_number.toUpperCase()} - ${
-					productInfo.title || 'Product'
-			  }`
-			: productInfo.title || `Reserved Product`,
-		price: productInfo.price || '0.00',
+		variant_id: productInfo.variant_id,
 		quantity: 1,
 	}
 
-	// Add variant ID if available
-	if (productInfo.variant_id) {
-		const variantId =
-			typeof productInfo.variant_id === 'string' &&
-			productInfo.variant_id.includes('gid://')
-				? productInfo.variant_id.split('/').pop()
-				: productInfo.variant_id
-
-		lineItem.variant_id = variantId
-		//console.log(`Setting variant_id: ${variantId}`);
-	}
-
-	// Add SKU if available
-	if (productInfo.sku) {
-		lineItem.sku = productInfo.sku
-	}
-
-	// Add stocking number as a property if available
-	lineItem.properties = []
-	if (productInfo.stocking_number) {
-		lineItem.properties.push({
-			name: 'Stocking Number',
-			value: productInfo.stocking_number.toUpperCase(),
-		})
-	}
-
-	// Create draft order tags
-	let orderTags = []
-
-	if (productInfo.stocking_number) {
-		orderTags.push(productInfo.stocking_number.toUpperCase())
-	}
-
-	orderTags.push('reservation')
-	if (formData.role) {
-		orderTags.push(formData.role)
-	}
-	if (formData.zip_code) {
-		orderTags.push(formData.zip_code)
-	}
-
-	// Create draft order note
-	let orderNote = ''
-	orderNote += `Reservation Number: \n` // This will be filled by the serverless function
-	orderNote += `Practice Name: ${formData.practice_name}\n`
-	orderNote += `Email: ${formData.email}\n`
-	orderNote += `ZIP/Postal Code: ${formData.zip_code}\n`
-	orderNote += `Country: ${
-		formData.country === 'us'
-			? 'United States'
-			: formData.country === 'ca'
-			? 'Canada'
-			: formData.country
-	}\n`
-	orderNote += `Role: ${formData.role}\n`
-	orderNote += `Language: ${
-		formData.language === 'fr' ? 'French' : 'English'
-	}\n`
-
-	// Create the draft order data structure
+	// Create the draft order data structure; the server writes the tags
 	const draftOrderData = {
 		draft_order: {
 			name: draftOrderTitle,
 			line_items: [lineItem],
-			customer: { email: formData.email },
-			note: orderNote,
-			tags: orderTags.join(', '),
 		},
+		// Validated by the server, which also writes the draft order note
+		customer_info: {
+			practice_name: formData.practice_name,
+			email: formData.email,
+			zip_code: formData.zip_code,
+			country: formData.country,
+			role: formData.role,
+		},
+		idempotency_key: formData.idempotency_key,
 		language: formData.language,
-		recaptcha_token: formData.recaptcha_token,
-		recaptcha_action: 'reserve_product', // Add action for v3 verification
+		bot_protection_token: formData.bot_protection_token,
 	}
 
 	//console.log("Sending draft order data:", JSON.stringify(draftOrderData, null, 2));
 
-	// Get the shop domain and create the app proxy URL
-	const shopDomain = Shopify.shop || window.location.hostname
-	const appProxyPath = '/apps/create-draft-order'
-	const timestamp = Date.now()
-	const url = `${appProxyPath}?shop=${shopDomain}&timestamp=${timestamp}`
+	// The app proxy adds the shop, timestamp and signature itself; sending our
+	// own would put a second value in the signed parameters
+	const url = '/apps/create-draft-order'
 
 	// Send the request
 	fetch(url, {
@@ -467,11 +526,10 @@ function createDraftOrder(formData, productInfo) {
 					throw new Error(`Request failed with status ${response.status}`)
 				}
 
-				const error = new Error(
-					errorData.message || errorData.error || 'Server error'
-				)
+				const error = new Error(errorData.error || errorData.error_type)
 				error.error_type = errorData.error_type
-				error.serverMessage = errorData.message
+				error.serverMessage = errorData.error
+				error.fields = errorData.fields
 				error.statusCode = response.status
 				throw error
 			}
@@ -485,35 +543,16 @@ function createDraftOrder(formData, productInfo) {
 					: `/${formData.language}/pages/reservation-confirmation`
 			const confirmationUrl = new URL(basePath, window.location.origin)
 
-			// Get reservation number from response
-			let reservationNumber = data.reservation_number
-			if (!reservationNumber) {
-				const now = new Date()
-				const timestamp = now.getTime().toString().slice(-6)
-				reservationNumber = `TEMP-${timestamp}`
-			}
-
-			// Add parameters to confirmation URL including language
+			// Only the token goes in the URL: the confirmation page exchanges it
+			// for the reservation details, so the shopper's details stay out of
+			// browser history, analytics and referrers
 			confirmationUrl.searchParams.append(
 				'reservation_number',
-				reservationNumber
-			)
-			confirmationUrl.searchParams.append(
-				'stocking_number',
-				productInfo.stocking_number || ''
-			)
-			confirmationUrl.searchParams.append(
-				'practice_name',
-				formData.practice_name || ''
-			)
-			confirmationUrl.searchParams.append('email', formData.email || '')
-			confirmationUrl.searchParams.append('zip_code', formData.zip_code || '')
-			confirmationUrl.searchParams.append('country', formData.country || '')
-			confirmationUrl.searchParams.append('role', formData.role || '')
-			confirmationUrl.searchParams.append(
-				'product_title',
-				productInfo.title || ''
+				data.reservation_number
 			)
+			if (data.confirmation_token) {
+				confirmationUrl.searchParams.append('token', data.confirmation_token)
+			}
 			confirmationUrl.searchParams.append('language', formData.language || 'en')
 
 			//console.log("Redirecting to confirmation page:", confirmationUrl.toString());
@@ -522,26 +561,193 @@ function createDraftOrder(formData, productInfo) {
 		.catch((error) => {
 			console.error('Error creating draft order:', error)
 
-			let isDoubleReservationError = false
+			// The server's message is already in the form's language
+			let errorMessage = error.serverMessage || getMessage('errors.generic')
 
-			// Use server's friendly message for specific error types
-			let errorMessage =
-				'There was an error submitting your reservation. Please try again.'
+			// Someone else holds the product: offer its waitlist instead, with the
+			// details already filled in
+			if (error.error_type === 'PRODUCT_ALREADY_RESERVED') {
+				enterWaitlistMode()
+				errorMessage = `${errorMessage} ${getMessage('waitlist.prompt')}`
+			}
 
-			// Check if this is a PRODUCT_ALREADY_RESERVED error using the structured error properties
+			// The server answered this submission for good: a changed form is a new
+			// submission and needs a new key. Network errors and 5xx keep the key.
 			if (
-				error.error_type === 'PRODUCT_ALREADY_RESERVED' &&
-				error.serverMessage
+				error.statusCode &&
+				error.statusCode < 500 &&
+				error.error_type !== 'REQUEST_IN_PROGRESS'
 			) {
-				isDoubleReservationError = true
-				errorMessage = error.serverMessage
+				clearIdempotencyKey()
+			}
+
+			// Name the fields the server rejected, using the form's own labels
+			if (error.error_type === 'VALIDATION_ERROR' && error.fields) {
+				errorMessage = getFieldsMessage(error.fields)
 			}
 
-			toggleLoadingState(false, isDoubleReservationError)
+			toggleLoadingState(false)
 			showMessage('error', errorMessage)
 		})
 }
 
+/**
+ * Adds the shopper to the waitlist of a product someone else has reserved,
+ * through the same app proxy as reservations
+ * @param {Object} formData - The form data from the submission
+ * @param {Object} productInfo - The product information
+ */
+function joinWaitlist(formData, productInfo) {
+	fetch('/apps/create-draft-order/waitlist', {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json' },
+		body: JSON.stringify({
+			draft_order: {
+				line_items: [{ variant_id: productInfo.variant_id, quantity: 1 }],
+			},
+			customer_info: {
+				practice_name: formData.practice_name,
+				email: formData.email,
+				zip_code: formData.zip_code,
+				country: formData.country,
+				role: formData.role,
+			},
+			language: formData.language,
+			bot_protection_token: formData.bot_protection_token,
+		}),
+	})
+		.then(async (response) => {
+			const data = await response.json().catch(() => ({}))
+			if (!response.ok) {
+				const error = new Error(data.error || data.error_type)
+				error.error_type = data.error_type
+				error.serverMessage = data.error
+				error.fields = data.fields
+				throw error
+			}
+			return data
+		})
+		.then((data) => {
+			const position = data.items && data.items[0] && data.items[0].position
+			// The form has done its job; the button stays disabled
+			toggleLoadingState(false, true)
+			showMessage(
+				'success',
+				position
+					? getMessage('waitlist.joined_position', { position })
+					: getMessage('waitlist.joined'),
+				{ persist: true }
+			)
+		})
+		.catch((error) => {
+			console.error('Error joining waitlist:', error)
+
+			let errorMessage = error.serverMessage || getMessage('errors.waitlist')
+			if (error.error_type === 'VALIDATION_ERROR' && error.fields) {
+				errorMessage = getFieldsMessage(error.fields)
+			}
+
+			toggleLoadingState(false)
+			showMessage('error', errorMessage)
+		})
+}
+
+/**
+ * Whether the form joins the waitlist instead of reserving
+ * @returns {boolean}
+ */
+function isWaitlistMode() {
+	const reserveForm = document.querySelector('.reserve__form')
+	return !!reserveForm && reserveForm.dataset.mode === 'waitlist'
+}
+
+/**
+ * Makes the next submissions join the waitlist instead of reserving
+ */
+function enterWaitlistMode() {
+	const reserveForm = document.querySelector('.reserve__form')
+	if (reserveForm) {
+		reserveForm.dataset.mode = 'waitlist'
+	}
+}
+
+// Parsed from the block on first use
+let reserveFormMessages = null
+
+/**
+ * Gets a message from the catalogue the block renders from the extension's
+ * locales, in the storefront language
+ * @param {string} key - Dotted key, e.g. `errors.generic`
+ * @param {Object} [values] - Replace the `[name]` placeholders of the message
+ * @returns {string} The message, or the key when the catalogue lacks it
+ */
+function getMessage(key, values = {}) {
+	if (!reserveFormMessages) {
+		const script = document.getElementById('reserve-form-messages')
+		try {
+			reserveFormMessages = script ? JSON.parse(script.textContent) : {}
+		} catch (parseError) {
+			console.error('Invalid reservation form messages:', parseError)
+			reserveFormMessages = {}
+		}
+	}
+
+	const message = key
+		.split('.')
+		.reduce((messages, part) => messages && messages[part], reserveFormMessages)
+	if (typeof message !== 'string') {
+		return key
+	}
+	return message.replace(/\[(\w+)\]/g, (placeholder, name) =>
+		name in values ? String(values[name]) : placeholder
+	)
+}
+
+/**
+ * Names the fields the server rejected, using the form's own labels
+ * @param {Object[]} fields - `{field, message}` per rejected field
+ * @returns {string} The message to show
+ */
+function getFieldsMessage(fields) {
+	return getMessage('errors.check_fields', {
+		fields: fields.map((field) => getFieldLabel(field.field)).join(', '),
+	})
+}
+
+/**
+ * Generates a random idempotency key for a reservation submission
+ * @returns {string} A UUID, or 32 random hex characters on older browsers
+ */
+function generateIdempotencyKey() {
+	if (window.crypto && window.crypto.randomUUID) {
+		return window.crypto.randomUUID()
+	}
+	const bytes = window.crypto.getRandomValues(new Uint8Array(16))
+	return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join(
+		''
+	)
+}
+
+/**
+ * Forgets the idempotency key so the next submission gets a new one
+ */
+function clearIdempotencyKey() {
+	const reserveForm = document.querySelector('.reserve__form')
+	if (reserveForm) {
+		delete reserveForm.dataset.idempotencyKey
+	}
+}
+
+/**
+ * Gets the label text of a form field, falling back to its name
+ * @param {string} fieldName - The field id, e.g. zip_code
+ * @returns {string} The label shown to the customer
+ */
+function getFieldLabel(fieldName) {
+	const label = document.querySelector(`label[for="${fieldName}"]`)
+	return label ? label.innerText.trim() : fieldName.replace(/_/g, ' ')
+}
+
 /**
  * Toggles loading state on the submit button
  */
@@ -552,19 +758,21 @@ function toggleLoadingState(isLoading, disableButton = false) {
 	if (isLoading) {
 		submitButton.disabled = true
 		submitButton.classList.add('is-loading')
-		submitButton.innerText = 'Submitting...'
+		submitButton.innerText = getMessage('submitting')
 	} else {
 		submitButton.disabled = disableButton
 		submitButton.classList.remove('is-loading')
 		submitButton.innerText =
-			submitButton.getAttribute('data-original-text') || 'Submit'
+			(isWaitlistMode() && submitButton.getAttribute('data-waitlist-text')) ||
+			submitButton.getAttribute('data-original-text')
 	}
 }
 
 /**
- * Displays a message to the user
+ * Displays a message to the user. Success messages disappear after a few
+ * seconds unless `persist` is set.
  */
-function showMessage(type, message) {
+function showMessage(type, message, { persist = false } = {}) {
 	const existingMessage = document.querySelector('.form-message')
 	if (existingMessage) {
 		existingMessage.remove()
@@ -577,7 +785,7 @@ function showMessage(type, message) {
 	const form = document.querySelector('.reserve__form')
 	form.parentNode.insertBefore(messageElement, form.nextSibling)
 
-	if (type === 'success') {
+	if (type === 'success' && !persist) {
 		setTimeout(() => messageElement.remove(), 5000)
 	}
 }
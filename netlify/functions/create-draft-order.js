@@ -1,11 +1,70 @@
-import crypto from 'crypto'
-import axios from 'axios'
+import { getBotVerifier, verifyBotToken } from '../lib/bot-protection.js'
+import {
+	createConfirmationToken,
+	verifyConfirmationToken,
+} from '../lib/confirmation-token.js'
+import { getErrorMessage } from '../lib/error-messages.js'
+import { logger, withRequestLogging } from '../lib/logger.js'
+import {
+	beginIdempotentRequest,
+	completeIdempotentRequest,
+	IDEMPOTENCY_KEY_PATTERN,
+	releaseIdempotentRequest,
+	requestFingerprint,
+} from '../lib/idempotency.js'
+import {
+	buildReservationNote,
+	COUNTRY_NAMES,
+	ROLES,
+	validateCustomerInfo,
+} from '../lib/customer-info.js'
+import {
+	RESERVED_STATUS,
+	isAvailableStatus,
+	recordDraftOrderProducts,
+} from '../lib/product-reservation.js'
+import { translateItemTitles } from '../lib/product-translations.js'
+import { resolveReservationCustomer } from '../lib/reservation-customer.js'
+import { sendReservationEmails } from '../lib/reservation-emails.js'
+import { computeHoldExpiry } from '../lib/reservation-hold.js'
+import { buildReservationResponse } from '../lib/reservation-response.js'
+import {
+	getClientIp,
+	assignReservationSlot,
+	releaseReservationSlot,
+	takeReservationSlot,
+} from '../lib/reservation-limits.js'
+import { nextReservationNumber } from '../lib/reservation-number.js'
+import {
+	getReservationConfirmation,
+	isReservationNumberFormat,
+	lookupReservation,
+} from '../lib/reservation-status.js'
+import { shopifyGraphql } from '../lib/shopify-admin.js'
+import {
+	normalizeHeaders,
+	verifyAppProxySignature,
+	verifyDebugSignature,
+} from '../lib/shopify-verification.js'
+import { assignTerritory } from '../lib/territories.js'
+import { joinWaitlist } from '../lib/waitlist.js'
 
 const SHOP_DOMAIN = process.env.SHOP_DOMAIN
 const ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN
-const API_VERSION = process.env.SHOPIFY_API_VERSION || '2025-01' // Default fallback
-const SHOPIFY_API_SECRET = process.env.SHOPIFY_API_SECRET
-const RECAPTCHA_SECRET_KEY = process.env.RECAPTCHA_SECRET_KEY
+
+// Path of this function, which the app proxy routes are appended to
+const FUNCTION_PATH = '/.netlify/functions/create-draft-order'
+
+// Actions the storefront widget issues reservation and waitlist tokens for
+const BOT_PROTECTION_ACTION = 'reserve_product'
+const WAITLIST_BOT_PROTECTION_ACTION = 'join_waitlist'
+const LOOKUP_BOT_PROTECTION_ACTION = 'lookup_reservation'
+
+// Tag release-expired-reservations finds reservation draft orders by
+const RESERVATION_TAG = 'reservation'
+
+// metafieldsSet takes at most 25 metafields and a claim writes 3 per product
+const MAX_PRODUCTS_PER_RESERVATION = 8
 
 // CORS headers for all responses
 const corsHeaders = {
@@ -14,920 +73,1349 @@ const corsHeaders = {
 	'Access-Control-Allow-Methods': 'POST, OPTIONS',
 }
 
-export const handler = async function (event, context) {
-	// Handle preflight requests
+export const handler = withRequestLogging('create-draft-order', routeRequest)
+
+/**
+ * Gets the language to answer in: the one the form sends, else the browser's
+ */
+function requestLanguage(event) {
+	try {
+		const { language } = JSON.parse(event.body || '{}')
+		if (typeof language === 'string' && language) {
+			return language
+		}
+	} catch (parseError) {
+		// A malformed body is answered in the browser's language
+	}
+	const acceptLanguage = normalizeHeaders(event.headers)['accept-language']
+	return acceptLanguage
+		? acceptLanguage.split(',')[0].split(';')[0].trim()
+		: 'en'
+}
+
+/**
+ * Builds an error response, with the message in the language of the request
+ * @param {Object} event - Netlify function event
+ * @param {number} statusCode - HTTP status
+ * @param {string} errorType - One of ERROR_TYPES in error-messages.js
+ * @param {Object} [options]
+ * @param {Object} [options.params] - Values the message mentions
+ * @param {Object} [options.headers] - Headers besides the CORS ones
+ * @param {...*} [options.extra] - Other body fields, e.g. `fields`
+ * @returns {Object} The response
+ */
+function errorResponse(
+	event,
+	statusCode,
+	errorType,
+	{ params, headers, ...extra } = {}
+) {
+	return {
+		statusCode,
+		headers: { ...corsHeaders, ...headers },
+		body: JSON.stringify({
+			success: false,
+			error: getErrorMessage(errorType, requestLanguage(event), params),
+			error_type: errorType,
+			...extra,
+		}),
+	}
+}
+
+/**
+ * Sends app proxy requests to their route. The proxy forwards anything under
+ * /apps/create-draft-order, with the part after it appended to the path.
+ */
+async function routeRequest(event, context) {
+	const route = ((event.path || '').split(FUNCTION_PATH)[1] || '').replace(
+		/\/$/,
+		''
+	)
+
+	if (route === '') {
+		return handleReservation(event, context)
+	}
+	if (route === '/status') {
+		return handleStatusLookup(event)
+	}
+	if (route === '/confirmation') {
+		return handleConfirmationLookup(event)
+	}
+	if (route === '/waitlist') {
+		return handleWaitlistJoin(event)
+	}
+	return errorResponse(event, 404, 'NOT_FOUND')
+}
+
+/**
+ * Checks that a request came through the app proxy, and recently
+ * @returns {Object|null} The error response to send, or null if it did
+ */
+function verifyProxyRequest(event) {
+	const queryParams = event.queryStringParameters || {}
+	const { signature, timestamp } = queryParams
+	if (!signature || !timestamp) {
+		return errorResponse(event, 400, 'MISSING_SIGNATURE')
+	}
+
+	// Repeated parameters are signed with all their values
+	const verificationResult = verifyAppProxySignature(
+		event.multiValueQueryStringParameters || queryParams
+	)
+	if (!verificationResult.valid) {
+		logger.warn('App proxy verification failed', {
+			reason: verificationResult.reason,
+		})
+		return errorResponse(event, 401, 'INVALID_SIGNATURE')
+	}
+	return null
+}
+
+/**
+ * Looks up a reservation by number and the email it was made with, for the
+ * storefront and support staff
+ */
+async function handleStatusLookup(event) {
 	if (event.httpMethod === 'OPTIONS') {
 		return { statusCode: 204, headers: corsHeaders }
 	}
+	if (event.httpMethod !== 'POST') {
+		return errorResponse(event, 405, 'METHOD_NOT_ALLOWED')
+	}
 
 	try {
-		// Only allow POST requests
-		if (event.httpMethod !== 'POST') {
-			return {
-				statusCode: 405,
-				headers: corsHeaders,
-				body: JSON.stringify({ error: 'Method not allowed' }),
-			}
-		}
-
-		// Parse request body
-		const requestBody = JSON.parse(event.body || '{}')
-		const { draft_order, language, recaptcha_token, recaptcha_action } =
-			requestBody
+		const { reservation_number, email, bot_protection_token } = JSON.parse(
+			event.body || '{}'
+		)
 
-		if (!draft_order) {
-			return {
-				statusCode: 400,
-				headers: corsHeaders,
-				body: JSON.stringify({ error: 'Missing draft order data' }),
+		// Support staff sign their requests like debug requests, and may call
+		// the function directly rather than through the storefront widget
+		const staffRequest = verifyDebugSignature(
+			normalizeHeaders(event.headers)['x-reservation-debug']
+		)
+		if (!staffRequest) {
+			// Numbers are sequential, so lookups must not be scripted
+			const botError = await checkBotProtection(
+				getBotVerifier(),
+				event,
+				bot_protection_token,
+				LOOKUP_BOT_PROTECTION_ACTION
+			)
+			if (botError) {
+				return botError
 			}
-		}
 
-		// Verify reCAPTCHA v3 token if provided
-		if (RECAPTCHA_SECRET_KEY) {
-			if (!recaptcha_token) {
-				return {
-					statusCode: 400,
-					headers: corsHeaders,
-					body: JSON.stringify({
-						error: 'reCAPTCHA verification failed: No token provided',
-					}),
-				}
+			const proxyError = verifyProxyRequest(event)
+			if (proxyError) {
+				return proxyError
 			}
+		}
 
-			try {
-				// Verify with Google reCAPTCHA API
-				const recaptchaVerifyUrl =
-					'https://www.google.com/recaptcha/api/siteverify'
-				const recaptchaResponse = await axios.post(recaptchaVerifyUrl, null, {
-					params: {
-						secret: RECAPTCHA_SECRET_KEY,
-						response: recaptcha_token,
-					},
-					headers: {
-						'Content-Type': 'application/x-www-form-urlencoded',
-					},
-				})
+		const reservationNumber = String(reservation_number || '')
+			.trim()
+			.toUpperCase()
+		const customerEmail = String(email || '').trim()
+
+		const errors = []
+		if (!isReservationNumberFormat(reservationNumber)) {
+			errors.push({
+				field: 'reservation_number',
+				message: 'Enter the reservation number from your confirmation',
+			})
+		}
+		if (!customerEmail) {
+			errors.push({ field: 'email', message: 'Email is required' })
+		}
+		if (errors.length > 0) {
+			return errorResponse(event, 422, 'VALIDATION_ERROR', { fields: errors })
+		}
 
-				console.log(
-					'reCAPTCHA v3 verification response:',
-					JSON.stringify(recaptchaResponse.data)
-				)
-
-				// Check if verification was successful
-				if (!recaptchaResponse.data.success) {
-					console.error(
-						'reCAPTCHA verification failed:',
-						recaptchaResponse.data['error-codes']
-					)
-					return {
-						statusCode: 400,
-						headers: corsHeaders,
-						body: JSON.stringify({
-							error: 'reCAPTCHA verification failed',
-							details: recaptchaResponse.data['error-codes'],
-						}),
-					}
-				}
+		const reservation = await lookupReservation(
+			reservationNumber,
+			customerEmail
+		)
+		if (!reservation) {
+			logger.info('Reservation not found', {
+				reservation_number: reservationNumber,
+			})
+			return errorResponse(event, 404, 'RESERVATION_NOT_FOUND')
+		}
 
-				// For reCAPTCHA v3, always check the score
-				const score = recaptchaResponse.data.score
-				console.log('reCAPTCHA v3 score:', score)
-				console.log('reCAPTCHA v3 action:', recaptcha_action)
-				console.log('reCAPTCHA v3 hostname:', recaptchaResponse.data.hostname)
-
-				// Verify the action matches what we expect
-				if (
-					recaptcha_action &&
-					recaptchaResponse.data.action !== recaptcha_action
-				) {
-					console.error('reCAPTCHA action mismatch:', {
-						expected: recaptcha_action,
-						received: recaptchaResponse.data.action,
-					})
-					return {
-						statusCode: 400,
-						headers: corsHeaders,
-						body: JSON.stringify({
-							error: 'reCAPTCHA verification failed: Action mismatch',
-						}),
-					}
-				}
+		return {
+			statusCode: 200,
+			headers: corsHeaders,
+			body: JSON.stringify({ success: true, ...reservation }),
+		}
+	} catch (error) {
+		logger.error('Error looking up reservation', error)
+		return errorResponse(event, 500, 'SERVER_ERROR')
+	}
+}
 
-				// Reject if score is too low (0.7 is likely human)
-				const minScore = 0.7
-				if (score < minScore) {
-					console.error(
-						`reCAPTCHA score too low: ${score} (minimum: ${minScore})`
-					)
-					return {
-						statusCode: 400,
-						headers: corsHeaders,
-						body: JSON.stringify({
-							error: 'Security verification failed. Please try again.',
-							score: score,
-							threshold: minScore,
-						}),
-					}
-				}
+/**
+ * Exchanges a confirmation token for the details the confirmation page shows
+ */
+async function handleConfirmationLookup(event) {
+	if (event.httpMethod === 'OPTIONS') {
+		return { statusCode: 204, headers: corsHeaders }
+	}
+	if (event.httpMethod !== 'POST') {
+		return errorResponse(event, 405, 'METHOD_NOT_ALLOWED')
+	}
 
-				// Log successful verification with score
-				console.log(`reCAPTCHA v3 verification successful with score: ${score}`)
-			} catch (recaptchaError) {
-				console.error('Error verifying reCAPTCHA token:', recaptchaError)
-				return {
-					statusCode: 500,
-					headers: corsHeaders,
-					body: JSON.stringify({
-						error: 'Error verifying reCAPTCHA token',
-						details: recaptchaError.message,
-					}),
-				}
-			}
-		} else {
-			console.warn(
-				'RECAPTCHA_SECRET_KEY not configured, skipping reCAPTCHA verification'
-			)
+	try {
+		const proxyError = verifyProxyRequest(event)
+		if (proxyError) {
+			return proxyError
 		}
 
-		// Extract and validate query parameters
-		const queryParams = event.queryStringParameters || {}
-		const { signature, timestamp } = queryParams
-		if (!signature || !timestamp) {
-			return {
-				statusCode: 400,
-				headers: corsHeaders,
-				body: JSON.stringify({ error: 'Missing required query parameters' }),
-			}
+		const { token } = JSON.parse(event.body || '{}')
+		const tokenCheck = verifyConfirmationToken(token)
+		if (!tokenCheck.valid) {
+			logger.info('Confirmation token rejected', { reason: tokenCheck.reason })
+			return errorResponse(event, 401, 'INVALID_CONFIRMATION_TOKEN')
 		}
 
-		// Verify the request is coming from Shopify
-		const verificationResult = verifyShopifySignature(queryParams)
-		if (!verificationResult.valid) {
-			console.log('Verification failed:', verificationResult.method)
-			return {
-				statusCode: 401,
-				headers: corsHeaders,
-				body: JSON.stringify({ error: 'Invalid signature' }),
-			}
+		const reservation = await getReservationConfirmation(
+			tokenCheck.reservationNumber
+		)
+		if (!reservation) {
+			return errorResponse(event, 404, 'RESERVATION_NOT_FOUND')
 		}
 
-		// Check for access token
-		if (!ACCESS_TOKEN) {
-			console.error('Missing SHOPIFY_ACCESS_TOKEN environment variable')
-			return {
-				statusCode: 500,
-				headers: corsHeaders,
-				body: JSON.stringify({
-					error: 'Server configuration error - missing access token',
-				}),
-			}
+		return {
+			statusCode: 200,
+			headers: { ...corsHeaders, 'Cache-Control': 'no-store' },
+			body: JSON.stringify({ success: true, ...reservation }),
 		}
+	} catch (error) {
+		logger.error('Error looking up reservation confirmation', error)
+		return errorResponse(event, 500, 'SERVER_ERROR')
+	}
+}
 
-		// Get product ID from line items if available
-		let productId = null
-		let productTitle = 'Reserved Product'
-		let productHandle = ''
-		let stockingNumber = ''
+/**
+ * Verifies the bot protection token of a storefront form
+ * @param {Object|null} botVerifier - Verifier from getBotVerifier, null when
+ *   bot protection is off
+ * @param {Object} event - Netlify function event
+ * @param {string} token - Token sent by the form
+ * @param {string} action - Action the token must have been issued for
+ * @returns {Promise<Object|null>} The error response to send, or null if the
+ *   token passed
+ */
+async function checkBotProtection(botVerifier, event, token, action) {
+	if (!botVerifier) {
+		logger.warn('Bot protection not configured, skipping verification')
+		return null
+	}
 
-		// Process line items to ensure proper product linking
-		if (draft_order.line_items && Array.isArray(draft_order.line_items)) {
-			console.log(`Processing ${draft_order.line_items.length} line items`)
+	let botCheck
+	try {
+		botCheck = await verifyBotToken(botVerifier, token, action, {
+			remoteIp: getClientIp(event.headers),
+		})
+	} catch (botProtectionError) {
+		logger.error('Error verifying bot protection token', botProtectionError)
+		return errorResponse(event, 500, 'BOT_PROTECTION_UNAVAILABLE')
+	}
 
-			for (let i = 0; i < draft_order.line_items.length; i++) {
-				const item = draft_order.line_items[i]
+	// The score is logged but never returned, so bots cannot tune against it
+	logger.info('Bot protection verified', {
+		provider: botVerifier.name,
+		action,
+		passed: botCheck.passed,
+		reason: botCheck.reason,
+		score: botCheck.score,
+	})
+	if (!botCheck.passed) {
+		return errorResponse(event, 400, 'BOT_PROTECTION_FAILED')
+	}
+	return null
+}
 
-				// Extract product title for email
-				if (item.title) {
-					productTitle = item.title.replace(/^R[A-Z0-9]+\s*-\s*/, '').trim()
-					console.log(
-						`Product title cleaned: "${productTitle}" (from: "${item.title}")`
-					)
-				}
+/**
+ * Puts the shopper on the waitlist of products they could not reserve. Takes
+ * the same body as a reservation.
+ */
+async function handleWaitlistJoin(event) {
+	if (event.httpMethod === 'OPTIONS') {
+		return { statusCode: 204, headers: corsHeaders }
+	}
+	if (event.httpMethod !== 'POST') {
+		return errorResponse(event, 405, 'METHOD_NOT_ALLOWED')
+	}
 
-				// Extract stocking number from properties if available
-				if (item.properties && Array.isArray(item.properties)) {
-					const stockingProp = item.properties.find(
-						(p) => p.name === 'Stocking Number'
-					)
-					if (stockingProp && stockingProp.value) {
-						stockingNumber = stockingProp.value
-					}
-				}
+	try {
+		const { draft_order, customer_info, language, bot_protection_token } =
+			JSON.parse(event.body || '{}')
+
+		const botError = await checkBotProtection(
+			getBotVerifier(),
+			event,
+			bot_protection_token,
+			WAITLIST_BOT_PROTECTION_ACTION
+		)
+		if (botError) {
+			return botError
+		}
 
-				// Look up product ID using variant_id (this is the main purpose)
-				if (item.variant_id) {
-					try {
-						console.log(
-							`Looking up product ID for variant ${item.variant_id}...`
-						)
-						const variantResponse = await axios.get(
-							`https://${SHOP_DOMAIN}/admin/api/${API_VERSION}/variants/${item.variant_id}.json`,
-							{
-								headers: {
-									'X-Shopify-Access-Token': ACCESS_TOKEN,
-								},
-							}
-						)
+		const proxyError = verifyProxyRequest(event)
+		if (proxyError) {
+			return proxyError
+		}
 
-						console.log(
-							`Variant response for ${item.variant_id}:`,
-							variantResponse.data
-						)
+		const requestedLineItems =
+			draft_order && Array.isArray(draft_order.line_items)
+				? draft_order.line_items
+				: []
+		if (requestedLineItems.length > MAX_PRODUCTS_PER_RESERVATION) {
+			return errorResponse(event, 400, 'TOO_MANY_PRODUCTS', {
+				params: { max: MAX_PRODUCTS_PER_RESERVATION },
+			})
+		}
 
-						if (
-							variantResponse.data.variant &&
-							variantResponse.data.variant.product_id
-						) {
-							const foundProductId = variantResponse.data.variant.product_id
-							console.log(
-								`Found product ID: ${foundProductId} for variant ${item.variant_id}`
-							)
-
-							// Store the product ID for metafield updates
-							productId = foundProductId
-
-							// Also add it to the line item for proper linking in Shopify admin
-							item.product_id = foundProductId
-
-							// Get translated product title if French
-							if (language === 'fr') {
-								try {
-									console.log(
-										`Fetching French translation for product ${foundProductId}...`
-									)
-									const frenchProductResponse = await axios.get(
-										`https://${SHOP_DOMAIN}/admin/api/${API_VERSION}/products/${foundProductId}.json`,
-										{
-											headers: {
-												'X-Shopify-Access-Token': ACCESS_TOKEN,
-												'Accept-Language': 'fr',
-											},
-										}
-									)
-									if (frenchProductResponse.data.product.title) {
-										productTitle = frenchProductResponse.data.product.title
-										console.log(
-											`Updated to French product title: "${productTitle}"`
-										)
-									}
-								} catch (error) {
-									console.log(
-										'Could not fetch French product title, using default:',
-										error.message
-									)
-								}
-							}
-						} else {
-							console.log('Variant found but no product_id in the response')
-						}
-					} catch (error) {
-						console.error(
-							`Error looking up product for variant ${item.variant_id}:`,
-							error.message
-						)
-						if (error.response) {
-							console.error(
-								'Response data:',
-								JSON.stringify(error.response.data)
-							)
-						}
-					}
-				}
+		const { valid, errors, customerInfo } = validateCustomerInfo(customer_info)
+		if (requestedLineItems.length === 0) {
+			errors.push({ field: 'line_items', message: 'is required' })
+		}
 
-				// Log the updated line item details
-				console.log(`Line item ${i + 1} details after processing:`, {
-					title: item.title,
-					product_id: item.product_id || 'None',
-					variant_id: item.variant_id || 'None',
-					price: item.price,
-					quantity: item.quantity,
+		// The products to wait for, from Shopify rather than the request
+		const items = []
+		for (const [index, lineItem] of requestedLineItems.entries()) {
+			// Numeric IDs and variant GIDs are both accepted, as for reservations
+			const variantId = String((lineItem && lineItem.variant_id) || '')
+				.split('/')
+				.pop()
+			const variant = /^\d+$/.test(variantId)
+				? await lookupVariant(variantId)
+				: null
+			if (!variant || !variant.product) {
+				errors.push({
+					field: `line_items[${index}].variant_id`,
+					message: 'is not a product variant',
 				})
+				continue
+			}
+			const item = buildReservedItem(variant)
+			if (!items.some(({ product_id }) => product_id === item.product_id)) {
+				items.push(item)
 			}
 		}
 
-		// Function to verify that this product Id is not already reserved
-		const checkReserved = async (prodId) => {
-			try {
-				const metafieldsResponse = await axios.get(
-					`https://${SHOP_DOMAIN}/admin/api/${API_VERSION}/products/${prodId}/metafields.json`,
-					{
-						headers: {
-							'X-Shopify-Access-Token': ACCESS_TOKEN,
-						},
-					}
-				)
-
-				const metafields = metafieldsResponse.data.metafields
-				const availabilityStatusMetafield = metafields.find(
-					(m) => m.namespace === 'custom' && m.key === 'availability_status'
-				)
-
-				if (
-					availabilityStatusMetafield &&
-					availabilityStatusMetafield.value === 'Reserved'
-				) {
-					return true
-				}
+		if (!valid || errors.length > 0) {
+			return errorResponse(event, 422, 'VALIDATION_ERROR', { fields: errors })
+		}
 
-				return false
-			} catch (error) {
-				console.error(
-					`Error checking if product ${prodId} is reserved:`,
-					error.message
-				)
-				return false
-			}
+		// Only products someone holds have a waitlist; sold ones never come back
+		const statuses = (
+			await getAvailabilityStatuses(items.map((item) => item.product_id))
+		).map((status) => (status ? status.value : null))
+		const unavailable = items.filter(
+			(item, index) =>
+				statuses[index] !== RESERVED_STATUS &&
+				!isAvailableStatus(statuses[index])
+		)
+		if (unavailable.length > 0) {
+			return errorResponse(event, 409, 'PRODUCT_UNAVAILABLE', {
+				params: { titles: unavailable.map((item) => item.title) },
+			})
+		}
+		const available = items.filter((item, index) =>
+			isAvailableStatus(statuses[index])
+		)
+		if (available.length > 0) {
+			return errorResponse(event, 409, 'PRODUCT_NOT_RESERVED', {
+				params: { titles: available.map((item) => item.title) },
+			})
 		}
 
-		// After processing, log the product ID status
-		if (productId) {
-			console.log(`Will update metafields for product ID: ${productId}`)
+		await translateItemTitles(items, language)
 
-			// Check if product is already reserved before proceeding
-			const isAlreadyReserved = await checkReserved(productId)
-			if (isAlreadyReserved) {
-				console.log(`Product ${productId} is already reserved`)
-				return {
-					statusCode: 409, // conflict status code
-					headers: corsHeaders,
-					body: JSON.stringify({
-						success: false,
-						error: 'Product is already reserved',
-						error_type: 'PRODUCT_ALREADY_RESERVED',
-						product_id: productId,
-						product_title: productTitle,
-						message: 'This product has already been reserved.',
-					}),
-				}
+		const waitlistItems = []
+		for (const item of items) {
+			const { joined, position } = await joinWaitlist(
+				item.product_id,
+				customerInfo,
+				language
+			)
+			if (!joined) {
+				return errorResponse(event, 409, 'WAITLIST_FULL', {
+					params: { title: item.title },
+				})
 			}
-		} else {
-			console.log('WARNING: No product ID found. Metafields cannot be updated!')
+			waitlistItems.push({
+				title: item.title,
+				stocking_number: item.stocking_number,
+				position,
+			})
+		}
+
+		logger.info('Joined waitlist', {
+			product_ids: items.map((item) => item.product_id),
+			positions: waitlistItems.map((item) => item.position),
+		})
+		return {
+			statusCode: 200,
+			headers: corsHeaders,
+			body: JSON.stringify({ success: true, items: waitlistItems }),
+		}
+	} catch (error) {
+		logger.error('Error joining waitlist', error)
+		return errorResponse(event, 500, 'SERVER_ERROR')
+	}
+}
+
+/**
+ * Re-issues the confirmation token of a stored response, which may have
+ * expired since the response was first sent
+ */
+function withFreshConfirmationToken(body) {
+	const parsed = JSON.parse(body)
+	if (!parsed.confirmation_token) {
+		return body
+	}
+	return JSON.stringify({
+		...parsed,
+		confirmation_token: createConfirmationToken(parsed.reservation_number),
+	})
+}
+
+/**
+ * Handles a reservation submitted through the app proxy
+ */
+async function handleReservation(event, context) {
+	// Handle preflight requests
+	if (event.httpMethod === 'OPTIONS') {
+		return { statusCode: 204, headers: corsHeaders }
+	}
+
+	// Set while this request holds a pending idempotency key
+	let idempotencyKey = null
+	// Set while this request holds a reservation limit slot it may give back
+	let limitSlotId = null
+
+	try {
+		// Only allow POST requests
+		if (event.httpMethod !== 'POST') {
+			return errorResponse(event, 405, 'METHOD_NOT_ALLOWED')
 		}
 
-		// Generate a Reservation number
-		function generateReservationNumber() {
-			// Current date components for the reservation prefix
-			const now = new Date()
-			const year = now.getFullYear().toString().substr(2, 2) // Last two digits of year
-			const month = (now.getMonth() + 1).toString().padStart(2, '0') // Month (1-12), zero-padded
-			const day = now.getDate().toString().padStart(2, '0') // Day of month, zero-padded
+		// Parse request body
+		const requestBody = JSON.parse(event.body || '{}')
+		const {
+			draft_order,
+			customer_info,
+			idempotency_key,
+			language,
+			bot_protection_token,
+			// Sent by forms from before bot protection was pluggable
+			recaptcha_token,
+		} = requestBody
 
-			// Random suffix (4 digits)
-			const randomSuffix = Math.floor(1000 + Math.random() * 9000)
+		if (!draft_order) {
+			return errorResponse(event, 400, 'MISSING_DRAFT_ORDER')
+		}
 
-			// Combine to create Reservation number: RES-YYMMDD-XXXX
-			return `RES-${year}${month}${day}-${randomSuffix}`
+		// Verify the bot protection token issued for this form
+		const botVerifier = getBotVerifier()
+		const botError = await checkBotProtection(
+			botVerifier,
+			event,
+			bot_protection_token || recaptcha_token,
+			BOT_PROTECTION_ACTION
+		)
+		if (botError) {
+			return botError
 		}
 
-		// Add Reservation number to the draft order
-		const reservationNumber = generateReservationNumber()
-		console.log(`Generated Reservation number: ${reservationNumber}`)
+		// Verify the request is coming from Shopify
+		const proxyError = verifyProxyRequest(event)
+		if (proxyError) {
+			return proxyError
+		}
+		const queryParams = event.queryStringParameters || {}
 
-		// Extract customer information from the draft order
-		const customerEmail =
-			draft_order.customer && draft_order.customer.email
-				? draft_order.customer.email
-				: '[No email provided]'
+		// Validate the customer details before touching any product
+		const { valid, errors, customerInfo } = validateCustomerInfo(customer_info)
+		if (!valid) {
+			logger.info('Invalid customer information', { fields: errors })
+			return errorResponse(event, 422, 'VALIDATION_ERROR', { fields: errors })
+		}
 
-		// Parse the note to extract customer information for metafields
-		let practiceName = ''
-		let zipCode = ''
-		let country = ''
-		let role = ''
+		// Check for access token
+		if (!ACCESS_TOKEN) {
+			logger.error('Missing SHOPIFY_ACCESS_TOKEN environment variable')
+			return errorResponse(event, 500, 'CONFIGURATION_ERROR')
+		}
 
-		if (draft_order.note) {
-			const practiceNameMatch = draft_order.note.match(
-				/Practice Name: ([^\n]+)/
-			)
-			if (practiceNameMatch && practiceNameMatch[1]) {
-				practiceName = practiceNameMatch[1].trim()
+		// A retry of a submission that already succeeded gets the same response
+		if (idempotency_key !== undefined) {
+			if (
+				typeof idempotency_key !== 'string' ||
+				!IDEMPOTENCY_KEY_PATTERN.test(idempotency_key)
+			) {
+				return errorResponse(event, 422, 'VALIDATION_ERROR', {
+					fields: [
+						{
+							field: 'idempotency_key',
+							message: 'must be 16 to 128 letters, digits, - or _',
+						},
+					],
+				})
 			}
 
-			const zipCodeMatch = draft_order.note.match(/ZIP\/Postal Code: ([^\n]+)/)
-			if (zipCodeMatch && zipCodeMatch[1]) {
-				zipCode = zipCodeMatch[1].trim()
-			}
+			const idempotentRequest = await beginIdempotentRequest(
+				idempotency_key,
+				requestFingerprint({
+					customer_info: customerInfo,
+					// Malformed line items are rejected with 422 further down
+					variant_ids: (Array.isArray(draft_order.line_items)
+						? draft_order.line_items
+						: []
+					).map((item) => String(item && item.variant_id)),
+					language: language || 'en',
+				})
+			)
 
-			const countryMatch = draft_order.note.match(/Country: ([^\n]+)/)
-			if (countryMatch && countryMatch[1]) {
-				country = countryMatch[1].trim()
+			if (idempotentRequest.status === 'replay') {
+				logger.info('Replaying response for idempotency key', {
+					idempotency_key,
+				})
+				return {
+					statusCode: idempotentRequest.response.statusCode,
+					headers: {
+						...corsHeaders,
+						'Content-Type': 'application/json',
+						'Idempotent-Replayed': 'true',
+					},
+					body: withFreshConfirmationToken(idempotentRequest.response.body),
+				}
 			}
-
-			const roleMatch = draft_order.note.match(/Role: ([^\n]+)/)
-			if (roleMatch && roleMatch[1]) {
-				role = roleMatch[1].trim()
+			if (idempotentRequest.status === 'in_progress') {
+				return errorResponse(event, 409, 'REQUEST_IN_PROGRESS')
+			}
+			if (idempotentRequest.status === 'mismatch') {
+				return errorResponse(event, 422, 'IDEMPOTENCY_KEY_REUSED')
 			}
+			idempotencyKey = idempotency_key
 		}
 
-		// Prepend the reservation number to the note
-		if (draft_order.note) {
-			draft_order.note = `Reservation Number: ${reservationNumber}\n\n${draft_order.note}`
-		} else {
-			draft_order.note = `Reservation Number: ${reservationNumber}`
+		// Line items are built from the variant IDs alone: price, SKU, title and
+		// stocking number all come from Shopify, never from the storefront
+		const requestedLineItems = Array.isArray(draft_order.line_items)
+			? draft_order.line_items
+			: []
+		logger.info('Processing line items', { count: requestedLineItems.length })
+
+		if (requestedLineItems.length > MAX_PRODUCTS_PER_RESERVATION) {
+			return errorResponse(event, 400, 'TOO_MANY_PRODUCTS', {
+				params: { max: MAX_PRODUCTS_PER_RESERVATION },
+			})
 		}
 
-		// Add Reservation number to tags for easy filtering
-		if (draft_order.tags) {
-			draft_order.tags = `${reservationNumber}, ${draft_order.tags}`
-		} else {
-			draft_order.tags = reservationNumber
-		}
+		// One entry per line item: the product it reserves and what the emails show
+		const reservedItems = []
+		const lineItemErrors = []
 
-		// Log the sanitized draft order (redacting sensitive info)
-		const sanitizedDraftOrder = JSON.parse(JSON.stringify(draft_order))
-		if (sanitizedDraftOrder.customer && sanitizedDraftOrder.customer.email) {
-			sanitizedDraftOrder.customer.email =
-				sanitizedDraftOrder.customer.email.replace(/(.{2})(.*)(@.*)/, '$1***$3')
+		if (requestedLineItems.length === 0) {
+			lineItemErrors.push({
+				field: 'line_items',
+				message: 'must contain at least one product',
+			})
 		}
-		console.log(
-			'Creating draft order:',
-			JSON.stringify(sanitizedDraftOrder, null, 2)
-		)
 
-		// Make API call to create draft order
-		const response = await axios.post(
-			`https://${SHOP_DOMAIN}/admin/api/${API_VERSION}/draft_orders.json`,
-			{ draft_order },
-			{
-				headers: {
-					'X-Shopify-Access-Token': ACCESS_TOKEN,
-					'Content-Type': 'application/json',
-				},
+		for (let i = 0; i < requestedLineItems.length; i++) {
+			const lineItem = requestedLineItems[i]
+			const variantId = String((lineItem && lineItem.variant_id) || '')
+				.split('/')
+				.pop()
+
+			if (!/^\d+$/.test(variantId)) {
+				lineItemErrors.push({
+					field: `line_items[${i}].variant_id`,
+					message: 'is required',
+				})
+				continue
 			}
-		)
 
-		// Get the draft order details from the response
-		const draftOrderId = response.data.draft_order.id
-		const adminUrl = `https://${SHOP_DOMAIN}/admin/draft_orders/${draftOrderId}`
+			logger.debug('Looking up variant', { variant_id: variantId })
+			const variant = await lookupVariant(variantId)
+			if (!variant || !variant.product) {
+				lineItemErrors.push({
+					field: `line_items[${i}].variant_id`,
+					message: 'does not exist',
+				})
+				continue
+			}
 
-		// Set reserved metafield if we have a product ID
-		let metafieldResult = null
+			const reservedItem = buildReservedItem(variant)
+			reservedItems.push(reservedItem)
 
-		// Set product as reserved using metafields only
-		if (productId) {
-			try {
-				console.log(
-					`Setting product ${productId} as reserved using metafields...`
-				)
-
-				// First ensure the product exists
-				const productResponse = await axios.get(
-					`https://${SHOP_DOMAIN}/admin/api/${API_VERSION}/products/${productId}.json`,
-					{
-						headers: {
-							'X-Shopify-Access-Token': ACCESS_TOKEN,
-						},
-					}
-				)
+			logger.debug('Line item built', { index: i, item: reservedItem })
+		}
 
-				const product = productResponse.data.product
-				console.log(`Product: "${product.title}" (ID: ${productId})`)
+		if (lineItemErrors.length > 0) {
+			logger.info('Invalid line items', { fields: lineItemErrors })
+			return errorResponse(event, 422, 'VALIDATION_ERROR', {
+				fields: lineItemErrors,
+			})
+		}
 
-				// Check for existing metafields
-				const metafieldsResponse = await axios.get(
-					`https://${SHOP_DOMAIN}/admin/api/${API_VERSION}/products/${productId}/metafields.json`,
-					{
-						headers: {
-							'X-Shopify-Access-Token': ACCESS_TOKEN,
-						},
-					}
-				)
+		await translateItemTitles(reservedItems, language)
 
-				const existingMetafields = metafieldsResponse.data.metafields
-				console.log(`Found ${existingMetafields.length} existing metafields`)
+		// Replace whatever the client sent; each package is unique, so one of each
+		draft_order.line_items = reservedItems.map((item) => ({
+			variant_id: item.variant_id,
+			quantity: 1,
+			properties: item.stocking_number
+				? [{ name: 'Stocking Number', value: item.stocking_number }]
+				: [],
+		}))
 
-				// Functions for updating existing metafields
-				async function updateMetafield(
-					metafieldId,
-					value,
-					type = 'single_line_text_field'
-				) {
-					console.log(`Updating metafield ${metafieldId} with value ${value}`)
+		// A product listed twice is only reserved once
+		const productIds = [
+			...new Set(reservedItems.map((item) => item.product_id).filter(Boolean)),
+		]
 
-					return axios.put(
-						`https://${SHOP_DOMAIN}/admin/api/${API_VERSION}/metafields/${metafieldId}.json`,
-						{
-							metafield: {
-								id: metafieldId,
-								value: value,
-								type: type,
-							},
-						},
-						{
-							headers: {
-								'X-Shopify-Access-Token': ACCESS_TOKEN,
-								'Content-Type': 'application/json',
-							},
-						}
-					)
-				}
+		// Combined values for the draft order metafields used in the emails
+		const productTitle =
+			reservedItems.map((item) => item.title).join(', ') || 'Reserved Product'
+		const stockingNumbers = reservedItems
+			.map((item) => item.stocking_number)
+			.filter(Boolean)
+			.join(', ')
+
+		// Stop one shopper from holding a large part of the catalogue
+		const limitCheck = await takeReservationSlot({
+			email: customerInfo.email,
+			practiceName: customerInfo.practice_name,
+			ip: getClientIp(event.headers),
+		})
+		if (!limitCheck.allowed) {
+			logger.info('Reservation limit reached', {
+				limit: limitCheck.limit,
+				max: limitCheck.max,
+			})
+			return errorResponse(event, 429, 'RESERVATION_LIMIT_REACHED', {
+				params: {
+					limit: limitCheck.limit,
+					retryAfter: limitCheck.retryAfterSeconds,
+				},
+				headers: { 'Retry-After': String(limitCheck.retryAfterSeconds) },
+				limit: limitCheck.limit,
+				max_reservations: limitCheck.max,
+				retry_after: limitCheck.retryAfterSeconds,
+			})
+		}
+		limitSlotId = limitCheck.slotId
 
-				async function createMetafield(
-					namespace,
-					key,
-					value,
-					type = 'single_line_text_field'
-				) {
-					console.log(
-						`Creating metafield ${namespace}.${key} with value ${value}`
-					)
-
-					return axios.post(
-						`https://${SHOP_DOMAIN}/admin/api/${API_VERSION}/products/${productId}/metafields.json`,
-						{
-							metafield: {
-								namespace: namespace,
-								key: key,
-								value: value,
-								type: type,
-							},
-						},
-						{
-							headers: {
-								'X-Shopify-Access-Token': ACCESS_TOKEN,
-								'Content-Type': 'application/json',
-							},
-						}
-					)
-				}
+		// Issue a unique Reservation number (RES-YYMMDD-NNNN-C) for the draft order
+		const reservationNumber = await nextReservationNumber()
 
-				// 1. Set the availability_status metafield to "Reserved"
-				const availabilityStatusMetafield = existingMetafields.find(
-					(m) => m.namespace === 'custom' && m.key === 'availability_status'
-				)
+		// Compute the last day of the hold (business days, skipping holidays)
+		const holdExpiryDate = computeHoldExpiry(new Date(), customerInfo.country)
+		logger.info('Issued reservation number', {
+			reservation_number: reservationNumber,
+			hold_expiry_date: holdExpiryDate,
+		})
 
-				if (availabilityStatusMetafield) {
-					await updateMetafield(availabilityStatusMetafield.id, 'Reserved')
-				} else {
-					await createMetafield('custom', 'availability_status', 'Reserved')
-				}
+		// Claim every product before anything is created so that two simultaneous
+		// submissions cannot both reserve one of them
+		logger.info('Claiming products', { product_ids: productIds })
+		const productClaim = await claimProducts(
+			productIds,
+			reservationNumber,
+			holdExpiryDate
+		)
 
-				// 2. Set the reservation_number metafield
-				const reservationNumberMetafield = existingMetafields.find(
-					(m) => m.namespace === 'custom' && m.key === 'reservation_number'
-				)
-
-				if (reservationNumberMetafield) {
-					await updateMetafield(
-						reservationNumberMetafield.id,
-						reservationNumber
-					)
-				} else {
-					await createMetafield(
-						'custom',
-						'reservation_number',
-						reservationNumber
-					)
-				}
+		if (!productClaim.claimed && productClaim.unavailable.length > 0) {
+			logger.info('Products not available', {
+				product_ids: productClaim.unavailable,
+			})
+			return errorResponse(event, 409, 'PRODUCT_UNAVAILABLE', {
+				params: {
+					titles: productClaim.unavailable.map(
+						(productId) =>
+							reservedItems.find((item) => item.product_id === productId).title
+					),
+				},
+			})
+		}
 
-				// 3. Verify the metafields were set
-				const verifyResponse = await axios.get(
-					`https://${SHOP_DOMAIN}/admin/api/${API_VERSION}/products/${productId}/metafields.json`,
-					{
-						headers: {
-							'X-Shopify-Access-Token': ACCESS_TOKEN,
-						},
-					}
-				)
-
-				const updatedMetafields = verifyResponse.data.metafields
-
-				const updatedAvailabilityStatusMetafield = updatedMetafields.find(
-					(m) => m.namespace === 'custom' && m.key === 'availability_status'
-				)
-
-				const updatedReservationNumberMetafield = updatedMetafields.find(
-					(m) => m.namespace === 'custom' && m.key === 'reservation_number'
-				)
-
-				console.log('VERIFICATION:')
-				console.log(
-					`- availability_status metafield: ${
-						updatedAvailabilityStatusMetafield
-							? 'Found (' + updatedAvailabilityStatusMetafield.value + ')'
-							: 'Not found'
-					}`
-				)
-				console.log(
-					`- reservation_number metafield: ${
-						updatedReservationNumberMetafield
-							? 'Found (' + updatedReservationNumberMetafield.value + ')'
-							: 'Not found'
-					}`
-				)
-
-				console.log(`Product successfully marked as reserved using metafields`)
-
-				metafieldResult = {
-					availability_status: updatedAvailabilityStatusMetafield
-						? updatedAvailabilityStatusMetafield.value
-						: null,
-					reservation_number: reservationNumber,
-				}
-			} catch (error) {
-				console.error(`Error setting product as reserved:`, error)
-				metafieldResult = {
-					error: error.message,
-				}
-			}
+		if (!productClaim.claimed) {
+			const conflicts = productClaim.conflicts.map((conflictId) => ({
+				product_title: reservedItems.find(
+					(item) => item.product_id === conflictId
+				).title,
+			}))
+			logger.info('Products already reserved', {
+				product_ids: productClaim.conflicts,
+			})
+			// Product IDs are internal, so only signed debug requests get them
+			const debug = verifyDebugSignature(
+				normalizeHeaders(event.headers)['x-reservation-debug']
+			)
+				? { debug: { product_ids: productClaim.conflicts } }
+				: {}
+			return errorResponse(event, 409, 'PRODUCT_ALREADY_RESERVED', {
+				params: { titles: conflicts.map((conflict) => conflict.product_title) },
+				product_title: conflicts[0].product_title,
+				conflicts,
+				...debug,
+			})
 		}
 
-		// ===== ADD DRAFT ORDER METAFIELDS =====
-		let draftOrderMetafieldsResult = null
+		// The note and customer come from the validated info, never the client
+		draft_order.note = buildReservationNote(
+			customerInfo,
+			reservationNumber,
+			language
+		)
+		draft_order.customer = { email: customerInfo.email }
 
+		// Attach the reservation to the shopper's customer record. The app proxy
+		// signs logged_in_customer_id, so it can be trusted; guests are matched
+		// by email. A reservation is still made if this fails.
 		try {
-			console.log(`Adding metafields to draft order ${draftOrderId}...`)
-
-			// Create metafields for the draft order to make data easily accessible in emails
-			const draftOrderMetafields = [
-				{
-					namespace: 'reservation',
-					key: 'reservation_number',
-					value: reservationNumber,
-					type: 'single_line_text_field',
-				},
-				{
-					namespace: 'reservation',
-					key: 'language',
-					value: language || 'en', // Default to English if not provided
-					type: 'single_line_text_field',
-				},
-				{
-					namespace: 'reservation',
-					key: 'stocking_number',
-					value: stockingNumber || productHandle || '',
-					type: 'single_line_text_field',
-				},
-				{
-					namespace: 'reservation',
-					key: 'practice_name',
-					value: practiceName,
-					type: 'single_line_text_field',
-				},
-				{
-					namespace: 'reservation',
-					key: 'customer_email',
-					value: customerEmail,
-					type: 'single_line_text_field',
-				},
-				{
-					namespace: 'reservation',
-					key: 'customer_zip_code',
-					value: zipCode,
-					type: 'single_line_text_field',
-				},
-				{
-					namespace: 'reservation',
-					key: 'customer_country',
-					value: country,
-					type: 'single_line_text_field',
-				},
-				{
-					namespace: 'reservation',
-					key: 'customer_role',
-					value: role,
-					type: 'single_line_text_field',
-				},
-				{
-					namespace: 'reservation',
-					key: 'product_title',
-					value: productTitle,
-					type: 'single_line_text_field',
-				},
-				{
-					namespace: 'reservation',
-					key: 'reservation_date',
-					value: new Date().toLocaleDateString(),
+			const { customerGid, source } = await resolveReservationCustomer(
+				customerInfo,
+				queryParams.logged_in_customer_id
+			)
+			draft_order.customer.id = Number(customerGid.split('/').pop())
+			logger.info('Linked reservation to customer', {
+				customer_id: customerGid,
+				source,
+			})
+		} catch (error) {
+			logger.error('Error linking reservation to a customer', error)
+		}
+
+		// Route the reservation to the territory manager of the practice's
+		// postal code. A reservation is still made without one.
+		let territory = null
+		try {
+			territory = await assignTerritory(customerInfo)
+			logger.info('Assigned territory', {
+				territory: territory ? territory.id : null,
+			})
+		} catch (error) {
+			logger.error('Error assigning territory', error)
+		}
+
+		// Expiry and status lookups go by the tags, so the client's are ignored
+		draft_order.tags = [
+			reservationNumber,
+			RESERVATION_TAG,
+			...reservedItems
+				.map((item) => item.stocking_number)
+				.filter(Boolean)
+				.map((stockingNumber) => stockingNumber.toUpperCase()),
+			ROLES[customerInfo.role],
+			customerInfo.zip_code,
+			territory ? `Territory Manager: ${territory.manager.name}` : null,
+		]
+			.filter(Boolean)
+			// Tags are comma-separated
+			.map((tag) => tag.replace(/,/g, ' '))
+			.join(', ')
+
+		// Metafields for the draft order to make data easily accessible in emails.
+		// They are written by draftOrderCreate itself, together with the order.
+		const draftOrderMetafields = [
+			{
+				namespace: 'reservation',
+				key: 'reservation_number',
+				value: reservationNumber,
+				type: 'single_line_text_field',
+			},
+			{
+				namespace: 'reservation',
+				key: 'language',
+				value: language || 'en', // Default to English if not provided
+				type: 'single_line_text_field',
+			},
+			{
+				namespace: 'reservation',
+				key: 'stocking_number',
+				value: stockingNumbers,
+				type: 'single_line_text_field',
+			},
+			{
+				namespace: 'reservation',
+				key: 'practice_name',
+				value: customerInfo.practice_name,
+				type: 'single_line_text_field',
+			},
+			{
+				namespace: 'reservation',
+				key: 'customer_email',
+				value: customerInfo.email,
+				type: 'single_line_text_field',
+			},
+			{
+				namespace: 'reservation',
+				key: 'customer_zip_code',
+				value: customerInfo.zip_code,
+				type: 'single_line_text_field',
+			},
+			{
+				namespace: 'reservation',
+				key: 'customer_country',
+				value: COUNTRY_NAMES[customerInfo.country],
+				type: 'single_line_text_field',
+			},
+			{
+				namespace: 'reservation',
+				key: 'customer_role',
+				value: ROLES[customerInfo.role],
+				type: 'single_line_text_field',
+			},
+			{
+				namespace: 'reservation',
+				key: 'product_title',
+				value: productTitle,
+				type: 'single_line_text_field',
+			},
+			{
+				namespace: 'reservation',
+				key: 'items',
+				value: JSON.stringify(
+					reservedItems.map((item) => ({
+						product_id: item.product_id,
+						variant_id: item.variant_id,
+						title: item.title,
+						sku: item.sku,
+						price: item.price,
+						stocking_number: item.stocking_number,
+					}))
+				),
+				type: 'json',
+			},
+			{
+				namespace: 'reservation',
+				key: 'reservation_date',
+				value: new Date().toLocaleDateString(),
+				type: 'single_line_text_field',
+			},
+			{
+				namespace: 'reservation',
+				key: 'hold_expiry_date',
+				value: holdExpiryDate,
+				type: 'date',
+			},
+			{
+				namespace: 'reservation',
+				key: 'territory',
+				value: territory ? territory.id : '',
+				type: 'single_line_text_field',
+			},
+			{
+				namespace: 'reservation',
+				key: 'territory_manager',
+				value: territory ? territory.manager.name : '',
+				type: 'single_line_text_field',
+			},
+			{
+				namespace: 'reservation',
+				key: 'territory_manager_email',
+				value: (territory && territory.manager.email) || '',
+				type: 'single_line_text_field',
+			},
+		].filter((metafield) => metafield.value !== '') // Shopify rejects blank values
+
+		// The logger redacts the email, note and practice name
+		logger.debug('Creating draft order', { draft_order })
+
+		// Make API call to create draft order
+		let createdDraftOrder
+		try {
+			createdDraftOrder = await createDraftOrder(
+				draft_order,
+				draftOrderMetafields
+			)
+		} catch (error) {
+			// Give the products back so they do not stay reserved without a draft order
+			await releaseProductClaim(productClaim)
+			throw error
+		}
+
+		// Get the draft order details from the response
+		const draftOrderId = Number(createdDraftOrder.legacyResourceId)
+		const adminUrl = `https://${SHOP_DOMAIN}/admin/draft_orders/${draftOrderId}`
+
+		// Result of linking the products to the draft order
+		let metafieldResult = null
+
+		// Link the claimed products to the draft order so deleting it releases the hold
+		try {
+			const userErrors = await setProductMetafields(
+				productClaim.products.map((product) => ({
+					ownerId: product.productGid,
+					key: 'reservation_draft_order_id',
+					value: String(draftOrderId),
 					type: 'single_line_text_field',
-				},
-			]
-
-			// Add each metafield to the draft order
-			const metafieldResults = []
-			for (const metafield of draftOrderMetafields) {
-				try {
-					const metafieldResponse = await axios.post(
-						`https://${SHOP_DOMAIN}/admin/api/${API_VERSION}/draft_orders/${draftOrderId}/metafields.json`,
-						{ metafield },
-						{
-							headers: {
-								'X-Shopify-Access-Token': ACCESS_TOKEN,
-								'Content-Type': 'application/json',
-							},
-						}
-					)
-
-					console.log(
-						`✅ Created draft order metafield: ${metafield.namespace}.${metafield.key} = ${metafield.value}`
-					)
-					metafieldResults.push({
-						key: `${metafield.namespace}.${metafield.key}`,
-						value: metafield.value,
-						success: true,
-					})
-				} catch (metafieldError) {
-					console.error(
-						`❌ Error creating draft order metafield ${metafield.namespace}.${metafield.key}:`,
-						metafieldError.message
-					)
-					metafieldResults.push({
-						key: `${metafield.namespace}.${metafield.key}`,
-						value: metafield.value,
-						success: false,
-						error: metafieldError.message,
-					})
-				}
+				}))
+			)
+			if (userErrors.length > 0) {
+				throw new Error(JSON.stringify(userErrors))
 			}
 
-			draftOrderMetafieldsResult = {
-				total_attempted: draftOrderMetafields.length,
-				successful: metafieldResults.filter((r) => r.success).length,
-				failed: metafieldResults.filter((r) => !r.success).length,
-				details: metafieldResults,
-			}
+			// Deleted draft orders cannot be fetched, so keep what they hold
+			await recordDraftOrderProducts(draftOrderId, productIds)
 
-			console.log(
-				`Draft order metafields summary: ${draftOrderMetafieldsResult.successful}/${draftOrderMetafieldsResult.total_attempted} successful`
-			)
+			logger.info('Linked products to draft order', {
+				product_ids: productIds,
+				draft_order_id: draftOrderId,
+			})
+
+			metafieldResult = {
+				availability_status: RESERVED_STATUS,
+				product_ids: productIds,
+				reservation_number: reservationNumber,
+				reservation_expiry_date: holdExpiryDate,
+			}
 		} catch (error) {
-			console.error('Error adding draft order metafields:', error)
-			draftOrderMetafieldsResult = {
+			logger.error('Error linking products to draft order', error)
+			metafieldResult = {
 				error: error.message,
 			}
 		}
 
-		// Create an enhanced response
-		const enhancedDraftOrder = {
-			...response.data.draft_order,
-		}
-
-		// Log the final response with reservation number
-		console.log('Final response data:', {
+		logger.info('Reservation created', {
 			reservation_number: reservationNumber,
-			draft_order: { id: draftOrderId },
-			metafields_added: draftOrderMetafieldsResult
-				? draftOrderMetafieldsResult.successful
-				: 0,
-			language: language,
+			draft_order_id: draftOrderId,
+			metafields_added: draftOrderMetafields.length,
+			language,
 		})
 
-		// Return successful response with enhanced debugging information
-		return {
+		// Only what the storefront shows; the rest is for signed debug requests
+		const publicBody = buildReservationResponse({
+			reservationNumber,
+			holdExpiryDate,
+			language,
+			items: reservedItems,
+			confirmationToken: createConfirmationToken(reservationNumber),
+		})
+		const debugRequested = verifyDebugSignature(
+			normalizeHeaders(event.headers)['x-reservation-debug']
+		)
+		const response = {
 			statusCode: 200,
 			headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-			body: JSON.stringify({
-				success: true,
-				reservation_number: reservationNumber,
-				draft_order: {
-					id: draftOrderId,
-					name: enhancedDraftOrder.name || 'Draft Order',
-					admin_url: adminUrl,
-				},
-				product_status_updated: metafieldResult ? true : false,
-				product_id: productId || 'Not found',
-				language: language,
-				metafield_result: metafieldResult || {
-					error: 'Metafield update was not attempted',
-					reason: productId ? 'Unknown error' : 'No product ID found',
-				},
-				draft_order_metafields: draftOrderMetafieldsResult,
-				debug_info: {
-					timestamp: new Date().toISOString(),
-					line_items_count: draft_order.line_items
-						? draft_order.line_items.length
-						: 0,
-					product_id_found: !!productId,
-					metafields_updated: metafieldResult && !metafieldResult.error,
-					draft_order_metafields_added: draftOrderMetafieldsResult
-						? draftOrderMetafieldsResult.successful
-						: 0,
-					recaptcha_verified: true,
-				},
-			}),
+			body: JSON.stringify(
+				debugRequested
+					? {
+							...publicBody,
+							debug: {
+								draft_order: {
+									id: draftOrderId,
+									name: createdDraftOrder.name,
+									admin_url: adminUrl,
+								},
+								product_ids: productIds,
+								metafield_result: metafieldResult,
+								draft_order_metafields: draftOrderMetafields.map(
+									(metafield) => metafield.key
+								),
+								bot_protection_verified: !!botVerifier,
+							},
+					  }
+					: publicBody
+			),
+		}
+
+		// The reservation was made, so it keeps its slot until the hold ends
+		if (limitSlotId) {
+			await assignReservationSlot(limitSlotId, draftOrderId).catch((error) =>
+				logger.error('Error linking reservation limit slot', error)
+			)
+		}
+		limitSlotId = null
+
+		if (idempotencyKey) {
+			try {
+				// Retries get the public body, whoever asked for debug details
+				await completeIdempotentRequest(idempotencyKey, {
+					statusCode: response.statusCode,
+					body: JSON.stringify(publicBody),
+				})
+			} catch (error) {
+				// The reservation exists, so the key stays pending rather than being
+				// released: retries get REQUEST_IN_PROGRESS until it times out
+				logger.error('Error storing idempotent response', error)
+			}
+			idempotencyKey = null
 		}
+
+		// Sent before returning, as the function is frozen once it responds
+		try {
+			const emailResult = await sendReservationEmails({
+				reservationNumber,
+				holdExpiryDate,
+				language: language || 'en',
+				items: reservedItems,
+				customerInfo,
+				territory,
+				adminUrl,
+			})
+			logger.info('Reservation emails', emailResult)
+		} catch (error) {
+			logger.error('Error sending reservation emails', error)
+		}
+
+		return response
 	} catch (error) {
-		console.error('Error creating draft order:', error)
+		logger.error('Error creating draft order', error)
 
 		// Handle specific 401 errors
 		if (error.response && error.response.status === 401) {
-			return {
-				statusCode: 401,
-				headers: corsHeaders,
-				body: JSON.stringify({
-					success: false,
-					error: 'Access token expired or invalid',
-				}),
-			}
+			return errorResponse(event, 401, 'SHOPIFY_AUTH_ERROR')
 		}
 
-		// Handle Shopify API errors more specifically
-		if (error.response && error.response.data && error.response.data.errors) {
-			return {
-				statusCode: error.response.status || 400,
-				headers: corsHeaders,
-				body: JSON.stringify({
-					success: false,
-					error: error.response.data.errors,
-				}),
+		// Shopify's own messages are for logs and signed debug requests only
+		const shopifyErrors =
+			error.userErrors ||
+			(error.response && error.response.data && error.response.data.errors)
+		if (shopifyErrors) {
+			logger.error('Shopify rejected the reservation', {
+				shopify_errors: shopifyErrors,
+			})
+			const debug = verifyDebugSignature(
+				normalizeHeaders(event.headers)['x-reservation-debug']
+			)
+				? { debug: { shopify_errors: shopifyErrors } }
+				: {}
+
+			// Draft order input rejected by Shopify
+			if (error.userErrors) {
+				return errorResponse(event, 422, 'DRAFT_ORDER_REJECTED', debug)
 			}
+			return errorResponse(event, 502, 'SHOPIFY_API_ERROR', debug)
 		}
 
 		// Generic error response
-		return {
-			statusCode: 500,
-			headers: corsHeaders,
-			body: JSON.stringify({
-				success: false,
-				error: error.message || 'Server error',
-			}),
+		return errorResponse(event, 500, 'SERVER_ERROR')
+	} finally {
+		// A reservation that was not made does not count towards the limits
+		if (limitSlotId) {
+			await releaseReservationSlot(limitSlotId).catch((error) =>
+				logger.error('Error releasing reservation limit slot', error)
+			)
+		}
+
+		// Let the shopper retry a failed submission with the same key
+		if (idempotencyKey) {
+			await releaseIdempotentRequest(idempotencyKey).catch((error) =>
+				logger.error('Error releasing idempotency key', error)
+			)
 		}
 	}
 }
+/**
+ * Looks up a variant, its price and SKU, and the product it belongs to
+ * @param {number|string} variantId - Numeric variant ID
+ * @returns {Promise<Object|null>} The variant, or null if it does not exist
+ */
+async function lookupVariant(variantId) {
+	const data = await shopifyGraphql(
+		`query ProductVariant($id: ID!) {
+			productVariant(id: $id) {
+				id
+				legacyResourceId
+				price
+				sku
+				product {
+					id
+					legacyResourceId
+					title
+					handle
+					stockingNumber: metafield(namespace: "custom", key: "stocking_number") { value }
+				}
+			}
+		}`,
+		{ id: `gid://shopify/ProductVariant/${variantId}` }
+	)
+	return data.productVariant
+}
 
 /**
- * Verifies if a request is coming from Shopify based on the signature
+ * Describes the product a variant reserves, using only data from Shopify.
+ * Products without a stocking number metafield use their handle when it looks
+ * like one (e.g. r1234).
+ * @param {Object} variant - Variant returned by lookupVariant
+ * @returns {Object} The reserved item
  */
-function verifyShopifySignature(query) {
-	const { signature, ...params } = query
+function buildReservedItem(variant) {
+	const { product } = variant
+	let stockingNumber = product.stockingNumber
+		? product.stockingNumber.value
+		: ''
+	if (!stockingNumber && /^[Rr][0-9]+$/.test(product.handle || '')) {
+		stockingNumber = product.handle
+	}
 
-	if (!signature || !SHOPIFY_API_SECRET) {
-		return { valid: false, method: 'Missing signature or API secret' }
+	return {
+		product_id: Number(product.legacyResourceId),
+		variant_id: Number(variant.legacyResourceId),
+		title: product.title,
+		sku: variant.sku || '',
+		price: variant.price,
+		stocking_number: stockingNumber.toUpperCase(),
 	}
+}
 
-	// Try different signature methods - we know Method 4 works from previous logs
-	try {
-		// Method 4: All params sorted, no separator (the one that worked previously)
-		const signatureString = Object.keys(params)
-			.sort()
-			.map((key) => `${key}=${params[key]}`)
-			.join('')
-
-		const calculatedSignature = crypto
-			.createHmac('sha256', SHOPIFY_API_SECRET)
-			.update(signatureString)
-			.digest('hex')
-
-		if (signature === calculatedSignature) {
-			return {
-				valid: true,
-				method: 'Method 4: All params sorted, no separator',
+/**
+ * Creates the draft order and its reservation.* metafields in a single
+ * draftOrderCreate call, so either both are written or neither is. Prices and
+ * titles are not sent: Shopify takes them from the variants.
+ * @param {Object} draftOrder - REST-shaped draft order built by the handler
+ * @param {Object[]} metafields - Draft order metafields
+ * @returns {Promise<Object>} The created draft order
+ */
+async function createDraftOrder(draftOrder, metafields) {
+	const lineItems = draftOrder.line_items.map((item) => ({
+		variantId: `gid://shopify/ProductVariant/${item.variant_id}`,
+		quantity: item.quantity,
+		customAttributes: item.properties.map((property) => ({
+			key: property.name,
+			value: String(property.value),
+		})),
+	}))
+
+	const data = await shopifyGraphql(
+		`mutation CreateDraftOrder($input: DraftOrderInput!) {
+			draftOrderCreate(input: $input) {
+				draftOrder { id legacyResourceId name }
+				userErrors { field message }
 			}
+		}`,
+		{
+			input: {
+				lineItems,
+				email: draftOrder.customer ? draftOrder.customer.email : undefined,
+				purchasingEntity:
+					draftOrder.customer && draftOrder.customer.id
+						? {
+								customerId: `gid://shopify/Customer/${draftOrder.customer.id}`,
+						  }
+						: undefined,
+				note: draftOrder.note,
+				tags: draftOrder.tags
+					.split(',')
+					.map((tag) => tag.trim())
+					.filter(Boolean),
+				metafields,
+			},
 		}
+	)
 
-		// Fallback to other methods if the primary one doesn't work
-		const methods = [
-			// Method 1: shop & timestamp with & separator
-			{
-				string: `shop=${params.shop || SHOP_DOMAIN}&timestamp=${
-					params.timestamp
-				}`,
-				label: 'Method 1: shop & timestamp with & separator',
-			},
-			// Method 2: shop & timestamp with no separator
-			{
-				string: `shop=${params.shop || SHOP_DOMAIN}timestamp=${
-					params.timestamp
-				}`,
-				label: 'Method 2: shop & timestamp with no separator',
-			},
-			// Method 3: All params sorted with & separator
+	const { draftOrder: created, userErrors } = data.draftOrderCreate
+	if (userErrors.length > 0) {
+		const error = new Error(
+			`Could not create draft order: ${JSON.stringify(userErrors)}`
+		)
+		error.statusCode = 422
+		error.userErrors = userErrors
+		throw error
+	}
+	return created
+}
+
+/**
+ * Writes custom.* product metafields in one metafieldsSet call. Shopify applies
+ * the whole batch or nothing.
+ * @param {Object[]} metafields - ownerId, key, value, type and optional compareDigest
+ * @returns {Promise<Object[]>} User errors returned by Shopify
+ */
+async function setProductMetafields(metafields) {
+	const data = await shopifyGraphql(
+		`mutation SetProductMetafields($metafields: [MetafieldsSetInput!]!) {
+			metafieldsSet(metafields: $metafields) {
+				userErrors { field message code }
+			}
+		}`,
+		{
+			metafields: metafields.map((metafield) => ({
+				namespace: 'custom',
+				...metafield,
+			})),
+		}
+	)
+	return data.metafieldsSet.userErrors
+}
+
+/**
+ * Reads custom.availability_status of products
+ * @param {number[]} productIds - The products
+ * @returns {Promise<Array<Object|null>>} The metafield of each product, with
+ *   its value and compareDigest, or null when it is not set
+ */
+async function getAvailabilityStatuses(productIds) {
+	const data = await shopifyGraphql(
+		`query ProductAvailability($ids: [ID!]!) {
+			nodes(ids: $ids) {
+				... on Product {
+					id
+					availabilityStatus: metafield(namespace: "custom", key: "availability_status") {
+						value
+						compareDigest
+					}
+				}
+			}
+		}`,
+		{ ids: productIds.map((productId) => `gid://shopify/Product/${productId}`) }
+	)
+	return data.nodes.map((node) => (node ? node.availabilityStatus : null))
+}
+
+/**
+ * Atomically marks products as reserved. custom.availability_status is written
+ * with a compare-and-set against the digest read just before, and all products
+ * are written in a single metafieldsSet, so when two requests race for any of
+ * the products only the first one reserves anything.
+ * @param {number[]} productIds - The products to reserve
+ * @param {string} reservationNumber - The new reservation number
+ * @param {string} holdExpiryDate - ISO date the hold ends
+ * @returns {Promise<Object>} The claim, with `claimed: false` and the
+ *   `conflicts` if any product is reserved already, or the `unavailable`
+ *   ones if any is sold or otherwise not available
+ */
+async function claimProducts(productIds, reservationNumber, holdExpiryDate) {
+	const statuses = await getAvailabilityStatuses(productIds)
+
+	const products = productIds.map((productId, index) => {
+		const current = statuses[index]
+		return {
+			productId,
+			productGid: `gid://shopify/Product/${productId}`,
+			current,
+			previousStatus: current ? current.value : null,
+		}
+	})
+
+	const reserved = products.filter(
+		(product) => product.previousStatus === RESERVED_STATUS
+	)
+	const unavailable = products.filter(
+		(product) =>
+			product.previousStatus !== RESERVED_STATUS &&
+			!isAvailableStatus(product.previousStatus)
+	)
+	if (reserved.length > 0 || unavailable.length > 0) {
+		return {
+			claimed: false,
+			conflicts: reserved.map((product) => product.productId),
+			unavailable: unavailable.map((product) => product.productId),
+		}
+	}
+
+	const userErrors = await setProductMetafields(
+		products.flatMap((product) => [
 			{
-				string: Object.keys(params)
-					.sort()
-					.map((key) => `${key}=${params[key]}`)
-					.join('&'),
-				label: 'Method 3: All params sorted with & separator',
+				ownerId: product.productGid,
+				key: 'availability_status',
+				value: RESERVED_STATUS,
+				type: 'single_line_text_field',
+				// A null digest only succeeds if the metafield still does not exist
+				compareDigest: product.current ? product.current.compareDigest : null,
 			},
-			// Method 5: All params unsorted with & separator
 			{
-				string: Object.keys(params)
-					.map((key) => `${key}=${params[key]}`)
-					.join('&'),
-				label: 'Method 5: All params unsorted with & separator',
+				ownerId: product.productGid,
+				key: 'reservation_number',
+				value: reservationNumber,
+				type: 'single_line_text_field',
 			},
-			// Method 6: All params unsorted with no separator
 			{
-				string: Object.keys(params)
-					.map((key) => `${key}=${params[key]}`)
-					.join(''),
-				label: 'Method 6: All params unsorted with no separator',
+				ownerId: product.productGid,
+				key: 'reservation_expiry_date',
+				value: holdExpiryDate,
+				type: 'date',
 			},
-		]
+		])
+	)
+
+	if (userErrors.length > 0) {
+		// Another request changed a status after we read it. The field of the
+		// error is ["metafields", index] with three metafields per product.
+		const stale = userErrors.filter(
+			(userError) => userError.code === 'STALE_OBJECT'
+		)
+		if (stale.length > 0) {
+			return {
+				claimed: false,
+				unavailable: [],
+				conflicts: [
+					...new Set(
+						stale.map(
+							(userError) =>
+								productIds[Math.floor(Number(userError.field[1]) / 3)] ||
+								productIds[0]
+						)
+					),
+				],
+			}
+		}
+		throw new Error(
+			`Could not reserve products ${productIds.join(', ')}: ${JSON.stringify(
+				userErrors
+			)}`
+		)
+	}
 
-		for (const method of methods) {
-			const methodSignature = crypto
-				.createHmac('sha256', SHOPIFY_API_SECRET)
-				.update(method.string)
-				.digest('hex')
+	return {
+		claimed: true,
+		products: products.map(({ productId, productGid, previousStatus }) => ({
+			productId,
+			productGid,
+			previousStatus,
+		})),
+	}
+}
 
-			if (signature === methodSignature) {
-				return { valid: true, method: method.label }
-			}
+/**
+ * Undoes claimProducts, restoring the previous availability statuses
+ * @param {Object} claim - The claim returned by claimProducts
+ */
+async function releaseProductClaim(claim) {
+	try {
+		const restored = claim.products.filter((product) => product.previousStatus)
+		if (restored.length > 0) {
+			await setProductMetafields(
+				restored.map((product) => ({
+					ownerId: product.productGid,
+					key: 'availability_status',
+					value: product.previousStatus,
+					type: 'single_line_text_field',
+				}))
+			)
 		}
 
-		return { valid: false, method: 'All signature methods failed' }
+		await shopifyGraphql(
+			`mutation DeleteProductMetafields($metafields: [MetafieldIdentifierInput!]!) {
+				metafieldsDelete(metafields: $metafields) {
+					userErrors { field message }
+				}
+			}`,
+			{
+				metafields: claim.products.flatMap((product) => {
+					const keys = ['reservation_number', 'reservation_expiry_date']
+					if (!product.previousStatus) {
+						keys.push('availability_status')
+					}
+					return keys.map((key) => ({
+						ownerId: product.productGid,
+						namespace: 'custom',
+						key,
+					}))
+				}),
+			}
+		)
+
+		logger.info('Released product claim', {
+			product_ids: claim.products.map((product) => product.productId),
+		})
 	} catch (error) {
-		return { valid: false, method: `Verification error: ${error.message}` }
+		logger.error('Error releasing product claim', error)
 	}
 }
@@ -1,11 +1,14 @@
 import axios from 'axios';
+import { logger, withRequestLogging } from '../lib/logger.js';
 
 // App credentials and configuration
 const SHOPIFY_API_KEY = process.env.SHOPIFY_API_KEY;
 const SHOPIFY_API_SECRET = process.env.SHOPIFY_API_SECRET;
 const SHOP_DOMAIN = process.env.SHOP_DOMAIN;
 
-export const handler = async function(event, context) {
+export const handler = withRequestLogging('oauth-callback', handleCallback);
+
+async function handleCallback(event, context) {
   const { code, shop } = event.queryStringParameters || {};
   
   // Validate required parameters
@@ -24,13 +27,11 @@ export const handler = async function(event, context) {
       code
     });
     
-    const { access_token } = tokenResponse.data;
-    
-    // Log the token in an easy-to-find format
-    console.log('\n' + '='.repeat(60));
-    console.log('COPY THIS ACCESS TOKEN TO YOUR NETLIFY ENVIRONMENT VARIABLES');
-    console.log(`ACCESS TOKEN: ${access_token}`);
-    console.log('='.repeat(60) + '\n');
+    // The token itself is a secret: it is neither logged nor returned
+    logger.info('Access token obtained', {
+      shop,
+      obtained: !!tokenResponse.data.access_token
+    });
     
     // Redirect back to the app in the Shopify admin
     return {
@@ -41,13 +42,10 @@ export const handler = async function(event, context) {
       body: ''
     };
   } catch (error) {
-    console.error('OAuth error:', error.message);
+    logger.error('OAuth error', { shop, error });
     return {
       statusCode: 500,
-      body: JSON.stringify({ 
-        error: 'Failed to complete OAuth process',
-        details: error.message
-      })
+      body: JSON.stringify({ error: 'Failed to complete OAuth process' })
     };
   }
-};
\ No newline at end of file
+}
\ No newline at end of file
@@ -1,6 +1,7 @@
 // netlify/functions/oauth.js
 import crypto from 'crypto';
 import axios from 'axios';
+import { logger, withRequestLogging } from '../lib/logger.js';
 
 // Your app's credentials (set in Netlify environment variables)
 const SHOPIFY_API_KEY = process.env.SHOPIFY_API_KEY;
@@ -10,7 +11,9 @@ const REDIRECT_URI = process.env.REDIRECT_URI; // e.g., https://adec-shopify-dev
 // Local memory for tokens (use a database in production)
 let tokens = {};
 
-export const handler = async function(event, context) {
+export const handler = withRequestLogging('oauth', handleRequest);
+
+async function handleRequest(event, context) {
   const path = event.path.split('/.netlify/functions/oauth')[1] || '';
   const queryParams = event.queryStringParameters || {};
 
@@ -27,7 +30,7 @@ export const handler = async function(event, context) {
       body: JSON.stringify({ error: 'Not found' })
     };
   }
-};
+}
 
 // Step 1: Handle install request
 function handleInstall(queryParams) {
@@ -85,7 +88,7 @@ async function handleCallback(queryParams) {
     // Store the token (in a database in production)
     tokens[shop] = access_token;
     
-    console.log(`Token obtained for ${shop}`);
+    logger.info('Token obtained', { shop });
     
     // Redirect back to app or show success page
     return {
@@ -106,7 +109,7 @@ async function handleCallback(queryParams) {
       }
     };
   } catch (error) {
-    console.error('Error exchanging code for token:', error);
+    logger.error('Error exchanging code for token', { shop, error });
     return {
       statusCode: 500,
       body: JSON.stringify({ error: 'Failed to complete OAuth' })
@@ -0,0 +1,264 @@
+import { logger, withRequestLogging } from '../lib/logger.js'
+import { EXPIRED_TAG, releaseProduct } from '../lib/product-reservation.js'
+import { releaseDraftOrderSlot } from '../lib/reservation-limits.js'
+import {
+	HOLD_BUSINESS_DAYS,
+	computeHoldExpiry,
+	isHoldExpired,
+} from '../lib/reservation-hold.js'
+import { updateShopState } from '../lib/shop-state.js'
+import { shopifyRest } from '../lib/shopify-admin.js'
+
+const ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN
+
+// What to do with the draft order of an expired reservation: 'tag' or 'delete'
+const EXPIRED_DRAFT_ORDER_ACTION =
+	process.env.EXPIRED_DRAFT_ORDER_ACTION === 'delete' ? 'delete' : 'tag'
+
+const RESERVATION_TAG = 'reservation'
+
+// Shop metafield the reserve form reads the hold length from
+const HOLD_LENGTH_STATE_KEY = 'hold_business_days'
+
+/**
+ * Scheduled function (see netlify.toml) that releases reservations whose hold
+ * window has passed: the product metafields set by create-draft-order are
+ * reset and the draft order is tagged as expired or deleted. It also
+ * publishes the hold length for the storefront.
+ */
+export const handler = withRequestLogging(
+	'release-expired-reservations',
+	releaseExpiredReservations
+)
+
+async function releaseExpiredReservations(event, context) {
+	if (!ACCESS_TOKEN) {
+		logger.error('Missing SHOPIFY_ACCESS_TOKEN environment variable')
+		return {
+			statusCode: 500,
+			body: JSON.stringify({
+				error: 'Server configuration error - missing access token',
+			}),
+		}
+	}
+
+	try {
+		await publishHoldLength()
+
+		const now = new Date()
+		const draftOrders = await fetchOpenReservationDraftOrders()
+		logger.info('Found open reservation draft orders', {
+			count: draftOrders.length,
+		})
+
+		const released = []
+		for (const draftOrder of draftOrders) {
+			const holdExpiryDate = await getHoldExpiryDate(draftOrder)
+			if (!isHoldExpired(holdExpiryDate, now)) {
+				continue
+			}
+
+			logger.info('Reservation hold expired', {
+				draft_order_id: draftOrder.id,
+				hold_expiry_date: holdExpiryDate,
+			})
+			released.push(await releaseReservation(draftOrder))
+		}
+
+		logger.info('Released expired reservations', { count: released.length })
+
+		return {
+			statusCode: 200,
+			body: JSON.stringify({
+				success: true,
+				checked: draftOrders.length,
+				released,
+			}),
+		}
+	} catch (error) {
+		logger.error('Error releasing expired reservations', error)
+		return {
+			statusCode: 500,
+			body: JSON.stringify({
+				success: false,
+				error: error.message || 'Server error',
+			}),
+		}
+	}
+}
+
+/**
+ * Copies RESERVATION_HOLD_BUSINESS_DAYS to the reservation_app shop metafield
+ * the reserve form block renders, so the storefront never states another
+ * hold length than the one reservations get
+ */
+async function publishHoldLength() {
+	try {
+		await updateShopState(HOLD_LENGTH_STATE_KEY, (value) =>
+			value === HOLD_BUSINESS_DAYS ? undefined : HOLD_BUSINESS_DAYS
+		)
+	} catch (error) {
+		// The form keeps the last published length, so releasing goes on
+		logger.error('Error publishing the hold length', error)
+	}
+}
+
+/**
+ * Splits a Shopify tags string into an array of trimmed tags
+ */
+function parseTags(tags) {
+	return (tags || '')
+		.split(',')
+		.map((tag) => tag.trim())
+		.filter(Boolean)
+}
+
+/**
+ * Gets the reservation number create-draft-order added to the draft order tags
+ */
+function getReservationNumber(draftOrder) {
+	return parseTags(draftOrder.tags).find((tag) => /^RES-/.test(tag)) || null
+}
+
+/**
+ * Fetches every open draft order created by the reservation form that has not
+ * already been marked as expired
+ * @returns {Promise<Object[]>} Draft orders
+ */
+async function fetchOpenReservationDraftOrders() {
+	const reservations = []
+	let sinceId = 0
+
+	while (true) {
+		const response = await shopifyRest('get', 'draft_orders.json', {
+			params: { status: 'open', limit: 250, since_id: sinceId },
+		})
+
+		const draftOrders = response.draft_orders || []
+		for (const draftOrder of draftOrders) {
+			const tags = parseTags(draftOrder.tags)
+			if (
+				(tags.includes(RESERVATION_TAG) || getReservationNumber(draftOrder)) &&
+				!tags.includes(EXPIRED_TAG)
+			) {
+				reservations.push(draftOrder)
+			}
+		}
+
+		if (draftOrders.length < 250) {
+			return reservations
+		}
+		sinceId = draftOrders[draftOrders.length - 1].id
+	}
+}
+
+/**
+ * Reads the hold expiry stored by create-draft-order on the draft order,
+ * falling back to computing it for reservations made before it was stored
+ * @param {Object} draftOrder - The reservation draft order
+ * @returns {Promise<string>} ISO expiry date
+ */
+async function getHoldExpiryDate(draftOrder) {
+	const metafieldsResponse = await shopifyRest(
+		'get',
+		`draft_orders/${draftOrder.id}/metafields.json`,
+		{ params: { namespace: 'reservation' } }
+	)
+
+	const metafields = metafieldsResponse.metafields || []
+	const holdExpiryDateMetafield = metafields.find(
+		(m) => m.key === 'hold_expiry_date'
+	)
+	if (holdExpiryDateMetafield && holdExpiryDateMetafield.value) {
+		return holdExpiryDateMetafield.value
+	}
+
+	const countryMetafield = metafields.find((m) => m.key === 'customer_country')
+	return computeHoldExpiry(
+		new Date(draftOrder.created_at),
+		countryMetafield ? countryMetafield.value : null
+	)
+}
+
+/**
+ * Resets the product metafields of an expired reservation and tags or deletes
+ * its draft order
+ * @param {Object} draftOrder - The expired draft order
+ * @returns {Promise<Object>} Summary of what was released
+ */
+async function releaseReservation(draftOrder) {
+	const reservationNumber = getReservationNumber(draftOrder)
+	const productIds = [
+		...new Set(
+			(draftOrder.line_items || [])
+				.map((item) => item.product_id)
+				.filter(Boolean)
+		),
+	]
+
+	const products = []
+	for (const productId of productIds) {
+		try {
+			products.push({
+				product_id: productId,
+				released: await releaseProduct(productId, { reservationNumber }),
+			})
+		} catch (error) {
+			logger.error('Error releasing product', {
+				product_id: productId,
+				error,
+			})
+			products.push({
+				product_id: productId,
+				released: false,
+				error: error.message,
+			})
+		}
+	}
+
+	// The hold has ended, so it no longer counts towards the shopper's limits
+	try {
+		await releaseDraftOrderSlot(draftOrder.id)
+	} catch (error) {
+		logger.error('Error releasing reservation limit slot', {
+			draft_order_id: draftOrder.id,
+			error,
+		})
+	}
+
+	let draftOrderAction = EXPIRED_DRAFT_ORDER_ACTION
+	try {
+		if (EXPIRED_DRAFT_ORDER_ACTION === 'delete') {
+			await shopifyRest('delete', `draft_orders/${draftOrder.id}.json`)
+			logger.info('Deleted expired draft order', {
+				draft_order_id: draftOrder.id,
+			})
+		} else {
+			await shopifyRest('put', `draft_orders/${draftOrder.id}.json`, {
+				data: {
+					draft_order: {
+						id: draftOrder.id,
+						tags: [...parseTags(draftOrder.tags), EXPIRED_TAG].join(', '),
+					},
+				},
+			})
+			logger.info('Tagged expired draft order', {
+				draft_order_id: draftOrder.id,
+				tag: EXPIRED_TAG,
+			})
+		}
+	} catch (error) {
+		logger.error('Error updating expired draft order', {
+			draft_order_id: draftOrder.id,
+			error,
+		})
+		draftOrderAction = 'failed'
+	}
+
+	return {
+		draft_order_id: draftOrder.id,
+		reservation_number: reservationNumber,
+		draft_order_action: draftOrderAction,
+		products,
+	}
+}
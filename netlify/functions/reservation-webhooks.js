@@ -0,0 +1,102 @@
+import { logger, withRequestLogging } from '../lib/logger.js'
+import {
+	findProductsReservedByDraftOrder,
+	forgetDraftOrderProducts,
+	markProductSold,
+	releaseProduct,
+} from '../lib/product-reservation.js'
+import { releaseDraftOrderSlot } from '../lib/reservation-limits.js'
+import { verifyWebhookRequest } from '../lib/shopify-verification.js'
+
+/**
+ * Receives the webhooks subscribed in shopify.app.toml and keeps the product
+ * availability in sync with the reservation draft orders:
+ * - draft_orders/update: a completed draft order marks its products Sold
+ * - orders/create: reserved products in a new order are marked Sold
+ * - draft_orders/delete: products held by the deleted draft order are released
+ * A completed or deleted draft order also gives back its reservation limit slot.
+ */
+export const handler = withRequestLogging('reservation-webhooks', handleWebhook)
+
+async function handleWebhook(event, context) {
+	if (event.httpMethod !== 'POST') {
+		return {
+			statusCode: 405,
+			body: JSON.stringify({ error: 'Method not allowed' }),
+		}
+	}
+
+	const { valid, topic, rawBody } = verifyWebhookRequest(event)
+	if (!valid) {
+		logger.warn('Webhook verification failed')
+		return {
+			statusCode: 401,
+			body: JSON.stringify({ error: 'Invalid webhook signature' }),
+		}
+	}
+
+	try {
+		const payload = JSON.parse(rawBody || '{}')
+		logger.info('Received webhook', { topic, resource_id: payload.id })
+
+		let products = []
+
+		if (topic === 'draft_orders/update') {
+			if (payload.status === 'completed') {
+				products = await markSold(getProductIds(payload.line_items))
+				await forgetDraftOrderProducts(payload.id)
+				await releaseDraftOrderSlot(payload.id)
+			}
+		} else if (topic === 'orders/create') {
+			products = await markSold(getProductIds(payload.line_items))
+		} else if (topic === 'draft_orders/delete') {
+			const productIds = await findProductsReservedByDraftOrder(payload.id)
+			for (const productId of productIds) {
+				products.push({
+					product_id: productId,
+					released: await releaseProduct(productId, {
+						draftOrderId: payload.id,
+					}),
+				})
+			}
+			await forgetDraftOrderProducts(payload.id)
+			await releaseDraftOrderSlot(payload.id)
+		} else {
+			logger.info('Ignoring unhandled webhook topic', { topic })
+		}
+
+		return {
+			statusCode: 200,
+			body: JSON.stringify({ success: true, topic, products }),
+		}
+	} catch (error) {
+		// A non-2xx response makes Shopify retry the webhook later
+		logger.error('Error handling webhook', { topic, error })
+		return {
+			statusCode: 500,
+			body: JSON.stringify({
+				success: false,
+				error: error.message || 'Server error',
+			}),
+		}
+	}
+}
+
+function getProductIds(lineItems) {
+	return [
+		...new Set(
+			(lineItems || []).map((item) => item.product_id).filter(Boolean)
+		),
+	]
+}
+
+async function markSold(productIds) {
+	const products = []
+	for (const productId of productIds) {
+		products.push({
+			product_id: productId,
+			sold: await markProductSold(productId),
+		})
+	}
+	return products
+}
@@ -0,0 +1,193 @@
+import axios from 'axios'
+
+// Bot protection for the reservation form. reCAPTCHA v3, hCaptcha and
+// Cloudflare Turnstile all verify a widget token with a "siteverify" POST, so
+// each verifier only differs in its URL and in how the result reads. The
+// threshold and hostname a token must meet are set per action, and the score
+// stays on the server.
+
+const VERIFY_URLS = {
+	recaptcha: 'https://www.google.com/recaptcha/api/siteverify',
+	hcaptcha: 'https://api.hcaptcha.com/siteverify',
+	turnstile: 'https://challenges.cloudflare.com/turnstile/v0/siteverify',
+}
+
+// Lowest score (0 = bot, 1 = human) accepted when an action sets none
+const DEFAULT_MIN_SCORE = Number(process.env.BOT_PROTECTION_MIN_SCORE || 0.7)
+
+// Per-action settings, e.g. {"reserve_product": {"min_score": 0.5,
+// "hostname": "shop.example.com"}}
+const ACTION_SETTINGS = JSON.parse(process.env.BOT_PROTECTION_ACTIONS || '{}')
+
+// Tokens accepted by the fake verifier when it is enabled through the
+// environment, for local development
+const FAKE_RESULTS = {
+	'test-pass': { success: true, score: 0.9 },
+	'test-low-score': { success: true, score: 0.1 },
+}
+
+/**
+ * Reads a siteverify response into the shape every verifier returns
+ */
+function normalizeResult(provider, data) {
+	let score = typeof data.score === 'number' ? data.score : null
+	// hCaptcha Enterprise scores risk, so 1 means bot there
+	if (provider === 'hcaptcha' && score !== null) {
+		score = 1 - score
+	}
+	return {
+		success: data.success === true,
+		score,
+		action: data.action || null,
+		hostname: data.hostname || null,
+		errorCodes: data['error-codes'] || [],
+	}
+}
+
+/**
+ * Creates a verifier for one of the supported providers
+ * @param {string} provider - `recaptcha`, `hcaptcha` or `turnstile`
+ * @param {string} secretKey - The provider's secret key
+ * @returns {{name: string, verify: Function}} `verify(token, {remoteIp})`
+ *   resolves to `{success, score, action, hostname, errorCodes}`; score,
+ *   action and hostname are null when the provider does not report them
+ */
+export function createBotVerifier(provider, secretKey) {
+	if (!VERIFY_URLS[provider]) {
+		throw new Error(`Unknown bot protection provider: ${provider}`)
+	}
+	if (!secretKey) {
+		throw new Error(
+			`Missing secret key for bot protection provider ${provider}`
+		)
+	}
+
+	return {
+		name: provider,
+		async verify(token, { remoteIp } = {}) {
+			const form = new URLSearchParams({ secret: secretKey, response: token })
+			if (remoteIp) {
+				form.append('remoteip', remoteIp)
+			}
+			const response = await axios.post(
+				VERIFY_URLS[provider],
+				form.toString(),
+				{
+					headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+				}
+			)
+			return normalizeResult(provider, response.data)
+		},
+	}
+}
+
+/**
+ * Creates a verifier that calls no provider, for tests and local development
+ * @param {Object} results - Result for each accepted token; any other token
+ *   fails verification
+ * @returns {{name: string, verify: Function}} A verifier
+ */
+export function createFakeVerifier(results = FAKE_RESULTS) {
+	return {
+		name: 'fake',
+		async verify(token) {
+			const result = results[token]
+			if (!result) {
+				return normalizeResult('fake', {
+					success: false,
+					'error-codes': ['invalid-input-response'],
+				})
+			}
+			return {
+				success: result.success !== false,
+				score: result.score === undefined ? null : result.score,
+				action: result.action || null,
+				hostname: result.hostname || null,
+				errorCodes: result.errorCodes || [],
+			}
+		},
+	}
+}
+
+/**
+ * Creates the verifier configured by BOT_PROTECTION_PROVIDER and
+ * BOT_PROTECTION_SECRET_KEY. Without a provider, reCAPTCHA is used when
+ * RECAPTCHA_SECRET_KEY is set.
+ * @returns {Object|null} The verifier, or null when bot protection is off
+ */
+export function getBotVerifier() {
+	const provider =
+		process.env.BOT_PROTECTION_PROVIDER ||
+		(process.env.RECAPTCHA_SECRET_KEY ? 'recaptcha' : 'none')
+
+	if (provider === 'none') {
+		return null
+	}
+	if (provider === 'fake') {
+		// Netlify sets CONTEXT; a fake verifier would let every bot through
+		if (process.env.CONTEXT === 'production') {
+			throw new Error(
+				'The fake bot protection verifier cannot run in production'
+			)
+		}
+		return createFakeVerifier()
+	}
+	return createBotVerifier(
+		provider,
+		process.env.BOT_PROTECTION_SECRET_KEY || process.env.RECAPTCHA_SECRET_KEY
+	)
+}
+
+/**
+ * Gets the threshold and hostname a token for an action must meet
+ * @param {string} action - The action, e.g. `reserve_product`
+ * @returns {{minScore: number, hostname: string|null}}
+ */
+export function getActionSettings(action) {
+	const settings = ACTION_SETTINGS[action] || {}
+	return {
+		minScore:
+			typeof settings.min_score === 'number'
+				? settings.min_score
+				: DEFAULT_MIN_SCORE,
+		hostname: settings.hostname || process.env.BOT_PROTECTION_HOSTNAME || null,
+	}
+}
+
+/**
+ * Verifies a token for an action. The expected action comes from the server,
+ * never from the request.
+ * @param {Object} verifier - A verifier from createBotVerifier or getBotVerifier
+ * @param {string} token - Token produced by the storefront widget
+ * @param {string} action - Action the token must have been issued for
+ * @param {Object} [options]
+ * @param {string} [options.remoteIp] - Shopper IP, passed on to the provider
+ * @returns {Promise<{passed: boolean, reason: string|null, score: number|null}>}
+ *   The score is for logging only and must not be sent to the client
+ */
+export async function verifyBotToken(
+	verifier,
+	token,
+	action,
+	{ remoteIp } = {}
+) {
+	if (!token || typeof token !== 'string') {
+		return { passed: false, reason: 'missing-token', score: null }
+	}
+
+	const result = await verifier.verify(token, { remoteIp })
+	const { minScore, hostname } = getActionSettings(action)
+
+	let reason = null
+	if (!result.success) {
+		reason = `verification-failed: ${result.errorCodes.join(', ')}`
+	} else if (result.action && result.action !== action) {
+		reason = `action-mismatch: ${result.action}`
+	} else if (hostname && result.hostname !== hostname) {
+		reason = `hostname-mismatch: ${result.hostname}`
+	} else if (result.score !== null && result.score < minScore) {
+		reason = 'score-too-low'
+	}
+
+	return { passed: reason === null, reason, score: result.score }
+}
@@ -0,0 +1,83 @@
+import crypto from 'crypto'
+import { safeEqual } from './shopify-verification.js'
+
+// Tokens the storefront redirects to the confirmation page with, in place of
+// the shopper's details. A token only names a reservation and when it stops
+// being accepted; the page exchanges it through the app proxy for the details
+// to show, so they never end up in browser history, analytics or referrers.
+
+const SHOPIFY_API_SECRET = process.env.SHOPIFY_API_SECRET
+
+// Long enough to reload the confirmation page, short enough that a shared or
+// logged URL soon stops revealing anything
+export const CONFIRMATION_TOKEN_TTL_SECONDS = Number(
+	process.env.CONFIRMATION_TOKEN_TTL_SECONDS || 1800
+)
+
+const TOKEN_PATTERN = /^(RES-[0-9-]+)\.(\d+)\.([A-Za-z0-9_-]+)$/
+
+function tokenSignature(reservationNumber, expiresAt, secret) {
+	return crypto
+		.createHmac('sha256', secret)
+		.update(`confirmation:${reservationNumber}:${expiresAt}`, 'utf8')
+		.digest('base64url')
+}
+
+/**
+ * Creates the confirmation token of a reservation
+ * @param {string} reservationNumber - The reservation number
+ * @param {Date} [now] - Time of issue
+ * @param {string} [secret] - App secret, defaults to SHOPIFY_API_SECRET
+ * @returns {string} `<reservation number>.<unix expiry>.<base64url HMAC>`
+ */
+export function createConfirmationToken(
+	reservationNumber,
+	now = new Date(),
+	secret = SHOPIFY_API_SECRET
+) {
+	const expiresAt =
+		Math.floor(now.getTime() / 1000) + CONFIRMATION_TOKEN_TTL_SECONDS
+	return `${reservationNumber}.${expiresAt}.${tokenSignature(
+		reservationNumber,
+		expiresAt,
+		secret
+	)}`
+}
+
+/**
+ * Verifies a token made by createConfirmationToken
+ * @param {string} token - Token from the confirmation URL
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Current time
+ * @returns {{valid: boolean, reservationNumber: string|null, reason: string|null}}
+ */
+export function verifyConfirmationToken(token, { now = new Date() } = {}) {
+	const invalid = (reason) => ({
+		valid: false,
+		reservationNumber: null,
+		reason,
+	})
+
+	if (!SHOPIFY_API_SECRET) {
+		return invalid('Missing SHOPIFY_API_SECRET')
+	}
+	const match = typeof token === 'string' && token.match(TOKEN_PATTERN)
+	if (!match) {
+		return invalid('Malformed token')
+	}
+
+	const [, reservationNumber, expiresAt, signature] = match
+	if (
+		!safeEqual(
+			tokenSignature(reservationNumber, expiresAt, SHOPIFY_API_SECRET),
+			signature
+		)
+	) {
+		return invalid('Signature mismatch')
+	}
+	if (now.getTime() / 1000 > Number(expiresAt)) {
+		return invalid('Token expired')
+	}
+
+	return { valid: true, reservationNumber, reason: null }
+}
@@ -0,0 +1,150 @@
+import { resolveLanguage } from './language.js'
+import { normalizeCountry } from './reservation-hold.js'
+
+// Validation of the `customer_info` object sent by the reservation form, and
+// the draft order note generated from it. The storefront form validates too,
+// but only these rules are trusted.
+
+export const ROLES = {
+	doctor: 'Doctor',
+	dealer: 'Dealer',
+	sales: 'Sales',
+}
+
+export const COUNTRY_NAMES = {
+	us: 'United States',
+	ca: 'Canada',
+}
+
+export const LANGUAGE_NAMES = {
+	en: 'English',
+	fr: 'French',
+}
+
+const MAX_PRACTICE_NAME_LENGTH = 255
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/
+
+// ZIP or ZIP+4, and Canadian postal codes (A1A 1A1) with an optional separator
+const POSTAL_CODE_PATTERNS = {
+	us: /^\d{5}(-\d{4})?$/,
+	ca: /^[ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z][ -]?\d[ABCEGHJ-NPRSTV-Z]\d$/,
+}
+
+function asString(value) {
+	return typeof value === 'string' ? value.trim() : ''
+}
+
+/**
+ * Formats a valid postal code the way Canada Post and USPS write it
+ */
+function formatPostalCode(zipCode, country) {
+	if (country === 'ca') {
+		const compact = zipCode.replace(/[ -]/g, '')
+		return `${compact.slice(0, 3)} ${compact.slice(3)}`
+	}
+	return zipCode
+}
+
+/**
+ * Validates and normalizes the customer information of a reservation
+ * @param {Object} input - `customer_info` from the request body
+ * @returns {{valid: boolean, errors: Object[], customerInfo: Object}} The
+ *   normalized info, or one `{field, message}` error per invalid field
+ */
+export function validateCustomerInfo(input) {
+	const errors = []
+
+	if (!input || typeof input !== 'object' || Array.isArray(input)) {
+		return {
+			valid: false,
+			errors: [{ field: 'customer_info', message: 'is required' }],
+			customerInfo: null,
+		}
+	}
+
+	const practiceName = asString(input.practice_name)
+	if (!practiceName) {
+		errors.push({ field: 'practice_name', message: 'is required' })
+	} else if (practiceName.length > MAX_PRACTICE_NAME_LENGTH) {
+		errors.push({
+			field: 'practice_name',
+			message: `must be at most ${MAX_PRACTICE_NAME_LENGTH} characters`,
+		})
+	}
+
+	const email = asString(input.email).toLowerCase()
+	if (!email) {
+		errors.push({ field: 'email', message: 'is required' })
+	} else if (!EMAIL_PATTERN.test(email)) {
+		errors.push({ field: 'email', message: 'is not a valid email address' })
+	}
+
+	const country = normalizeCountry(asString(input.country))
+	if (!country) {
+		errors.push({ field: 'country', message: 'must be us or ca' })
+	}
+
+	let zipCode = asString(input.zip_code).toUpperCase()
+	if (!zipCode) {
+		errors.push({ field: 'zip_code', message: 'is required' })
+	} else if (country && !POSTAL_CODE_PATTERNS[country].test(zipCode)) {
+		errors.push({
+			field: 'zip_code',
+			message:
+				country === 'us'
+					? 'must be a 5-digit ZIP code or ZIP+4'
+					: 'must be a Canadian postal code like A1A 1A1',
+		})
+	} else if (country) {
+		zipCode = formatPostalCode(zipCode, country)
+	}
+
+	const role = asString(input.role).toLowerCase()
+	if (!ROLES[role]) {
+		errors.push({
+			field: 'role',
+			message: `must be one of ${Object.keys(ROLES).join(', ')}`,
+		})
+	}
+
+	if (errors.length > 0) {
+		return { valid: false, errors, customerInfo: null }
+	}
+
+	return {
+		valid: true,
+		errors,
+		customerInfo: {
+			practice_name: practiceName,
+			email,
+			zip_code: zipCode,
+			country,
+			role,
+		},
+	}
+}
+
+/**
+ * Builds the draft order note staff read in the admin
+ * @param {Object} customerInfo - Info returned by validateCustomerInfo
+ * @param {string} reservationNumber - The reservation number
+ * @param {string} [language] - Storefront locale of the form, e.g. `fr-CA`
+ * @returns {string} The note
+ */
+export function buildReservationNote(
+	customerInfo,
+	reservationNumber,
+	language
+) {
+	return [
+		`Reservation Number: ${reservationNumber}`,
+		'',
+		`Practice Name: ${customerInfo.practice_name}`,
+		`Email: ${customerInfo.email}`,
+		`ZIP/Postal Code: ${customerInfo.zip_code}`,
+		`Country: ${COUNTRY_NAMES[customerInfo.country]}`,
+		`Role: ${ROLES[customerInfo.role]}`,
+		`Language: ${resolveLanguage(LANGUAGE_NAMES, language)}`,
+	].join('\n')
+}
@@ -0,0 +1,200 @@
+import { COUNTRY_NAMES, LANGUAGE_NAMES, ROLES } from './customer-info.js'
+import { resolveLanguage } from './language.js'
+
+// Templates of the emails sent when a reservation is made: the confirmation
+// to the shopper, in the language of the form, and the alert to the sales
+// inbox, in English. The waitlist notification is in the language the shopper
+// joined in. Each renders to `{subject, text, html}`.
+
+const STRINGS = {
+	en: {
+		locale: 'en-US',
+		subject: (number) => `Your package reservation ${number}`,
+		greeting: 'Thank you for your reservation.',
+		reservationNumber: 'Reservation number',
+		package: 'Package',
+		stockingNumber: 'Stocking #',
+		heldUntil: 'Held until',
+		practice: 'Practice',
+		territoryManager: 'Your A-dec Territory Manager',
+		nextSteps:
+			'We will hold this package for you until the end of the day above. During that time, please work with an A-dec Territory Manager or Dealer to complete the sale.',
+		closing: 'Please keep your reservation number for reference.',
+		waitlistSubject: (title) => `${title} is available to reserve again`,
+		waitlistBody: (title) =>
+			`Good news: ${title}, which you joined the waitlist for, is no longer reserved. Reservations are first come, first served, so reserve it soon if you are still interested.`,
+		waitlistLink: 'View the package',
+	},
+	fr: {
+		locale: 'fr-CA',
+		subject: (number) => `Votre réservation d’ensemble ${number}`,
+		greeting: 'Merci de votre réservation.',
+		reservationNumber: 'Numéro de réservation',
+		package: 'Ensemble',
+		stockingNumber: 'N° de stock',
+		heldUntil: 'Réservé jusqu’au',
+		practice: 'Cabinet',
+		territoryManager: 'Votre directeur de territoire A-dec',
+		nextSteps:
+			'Nous réservons cet ensemble pour vous jusqu’à la fin de la journée indiquée ci-dessus. Pendant cette période, veuillez communiquer avec un directeur de territoire ou un concessionnaire A-dec pour finaliser la vente.',
+		closing: 'Veuillez conserver votre numéro de réservation.',
+		waitlistSubject: (title) => `${title} peut de nouveau être réservé`,
+		waitlistBody: (title) =>
+			`Bonne nouvelle : ${title}, pour lequel vous vous êtes inscrit sur la liste d’attente, n’est plus réservé. Les réservations sont traitées par ordre d’arrivée; réservez-le rapidement s’il vous intéresse toujours.`,
+		waitlistLink: 'Voir l’ensemble',
+	},
+}
+
+function escapeHtml(value) {
+	return String(value)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&#39;')
+}
+
+/**
+ * Formats an ISO date (YYYY-MM-DD) the way the language writes it
+ */
+function formatDate(date, locale) {
+	// Noon UTC, so the day is the same in every time zone
+	return new Date(`${date}T12:00:00Z`).toLocaleDateString(locale, {
+		year: 'numeric',
+		month: 'long',
+		day: 'numeric',
+		timeZone: 'UTC',
+	})
+}
+
+function renderText(rows) {
+	return rows.map(([label, value]) => `${label}: ${value}`).join('\n')
+}
+
+function renderTable(rows) {
+	return `<table cellpadding="4" cellspacing="0">${rows
+		.map(
+			([label, value]) =>
+				`<tr><th align="left">${escapeHtml(label)}</th><td>${escapeHtml(
+					value
+				)}</td></tr>`
+		)
+		.join('')}</table>`
+}
+
+function formatManager({ name, email }) {
+	return email ? `${name} <${email}>` : name
+}
+
+function itemRows(items, strings) {
+	return items.flatMap((item) => [
+		[strings.package, item.title],
+		...(item.stocking_number
+			? [[strings.stockingNumber, item.stocking_number]]
+			: []),
+	])
+}
+
+/**
+ * Renders the confirmation sent to the shopper
+ * @param {Object} reservation - See sendReservationEmails
+ * @returns {{subject: string, text: string, html: string}}
+ */
+export function renderReservationConfirmation(reservation) {
+	const strings = resolveLanguage(STRINGS, reservation.language)
+	const rows = [
+		[strings.reservationNumber, reservation.reservationNumber],
+		...itemRows(reservation.items, strings),
+		[strings.heldUntil, formatDate(reservation.holdExpiryDate, strings.locale)],
+		[strings.practice, reservation.customerInfo.practice_name],
+	]
+	if (reservation.territory) {
+		rows.push([
+			strings.territoryManager,
+			formatManager(reservation.territory.manager),
+		])
+	}
+
+	return {
+		subject: strings.subject(reservation.reservationNumber),
+		text: [
+			strings.greeting,
+			renderText(rows),
+			strings.nextSteps,
+			strings.closing,
+		]
+			.join('\n\n')
+			.concat('\n'),
+		html: [
+			`<p>${escapeHtml(strings.greeting)}</p>`,
+			renderTable(rows),
+			`<p>${escapeHtml(strings.nextSteps)}</p>`,
+			`<p>${escapeHtml(strings.closing)}</p>`,
+		].join('\n'),
+	}
+}
+
+/**
+ * Renders the alert sent to the sales inbox
+ * @param {Object} reservation - See sendReservationEmails
+ * @returns {{subject: string, text: string, html: string}}
+ */
+export function renderSalesNotification(reservation) {
+	const { customerInfo, territory } = reservation
+	const territoryLabel = territory
+		? `${formatManager(territory.manager)} (${territory.id})`
+		: 'Unassigned'
+	const rows = [
+		['Reservation number', reservation.reservationNumber],
+		...itemRows(reservation.items, STRINGS.en),
+		['Held until', formatDate(reservation.holdExpiryDate, STRINGS.en.locale)],
+		['Practice', customerInfo.practice_name],
+		['Email', customerInfo.email],
+		['Role', ROLES[customerInfo.role] || customerInfo.role],
+		['ZIP/Postal code', customerInfo.zip_code],
+		['Country', COUNTRY_NAMES[customerInfo.country] || customerInfo.country],
+		['Language', resolveLanguage(LANGUAGE_NAMES, reservation.language)],
+		['Territory manager', territoryLabel],
+		['Draft order', reservation.adminUrl],
+	]
+
+	return {
+		subject: `New reservation ${reservation.reservationNumber}: ${customerInfo.practice_name}`,
+		text: `${renderText(rows)}\n`,
+		html: renderTable(rows),
+	}
+}
+
+/**
+ * Renders the email telling the first shopper on a waitlist that the product
+ * can be reserved again
+ * @param {Object} notification
+ * @param {string} notification.language - `en` or `fr`
+ * @param {string} notification.productTitle - Product title in that language
+ * @param {string|null} notification.productUrl - Product page, null when the
+ *   product is not published
+ * @returns {{subject: string, text: string, html: string}}
+ */
+export function renderWaitlistNotification({
+	language,
+	productTitle,
+	productUrl,
+}) {
+	const strings = resolveLanguage(STRINGS, language)
+	const body = strings.waitlistBody(productTitle)
+
+	return {
+		subject: strings.waitlistSubject(productTitle),
+		text: productUrl
+			? `${body}\n\n${strings.waitlistLink}: ${productUrl}\n`
+			: `${body}\n`,
+		html: [
+			`<p>${escapeHtml(body)}</p>`,
+			productUrl
+				? `<p><a href="${escapeHtml(productUrl)}">${escapeHtml(
+						strings.waitlistLink
+				  )}</a></p>`
+				: '',
+		].join('\n'),
+	}
+}
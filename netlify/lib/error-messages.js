@@ -0,0 +1,182 @@
+import { resolveLanguage } from './language.js'
+
+// Messages of the errors the reservation backend returns, by error_type. The
+// storefront shows them as they are, so they are written for shoppers and in
+// the language the form sends; support and logs go by the error_type, which
+// never changes. A language without a catalogue gets English.
+
+const LIMIT_SUBJECTS = {
+	en: {
+		email: 'this email address',
+		practice: 'this practice',
+		ip: 'this network',
+	},
+	fr: {
+		email: 'cette adresse courriel',
+		practice: 'ce cabinet',
+		ip: 'ce réseau',
+	},
+}
+
+/**
+ * Rounds the wait for a reservation slot to hours, or days past two days
+ */
+function waitUnits(retryAfter) {
+	const hours = Math.ceil(retryAfter / 3600)
+	return hours > 48
+		? { count: Math.ceil(hours / 24), unit: 'days' }
+		: { count: hours, unit: 'hours' }
+}
+
+const SERVER_ERROR_EN =
+	'Something went wrong on our end. Please try again later.'
+const SERVER_ERROR_FR =
+	'Une erreur s’est produite de notre côté. Veuillez réessayer plus tard.'
+
+const MESSAGES = {
+	en: {
+		NOT_FOUND: () => 'This page could not be found.',
+		METHOD_NOT_ALLOWED: () => 'This request is not supported.',
+		MISSING_SIGNATURE: () =>
+			'This request could not be verified. Please refresh the page and try again.',
+		INVALID_SIGNATURE: () =>
+			'This request could not be verified. Please refresh the page and try again.',
+		VALIDATION_ERROR: () =>
+			'Some of the information you entered is not valid. Please check it and try again.',
+		MISSING_DRAFT_ORDER: () =>
+			'No package was selected. Please refresh the page and try again.',
+		TOO_MANY_PRODUCTS: ({ max }) =>
+			`A reservation can hold at most ${max} packages.`,
+		BOT_PROTECTION_FAILED: () =>
+			'Security verification failed. Please refresh the page and try again.',
+		BOT_PROTECTION_UNAVAILABLE: () =>
+			'Security verification is not available right now. Please try again later.',
+		REQUEST_IN_PROGRESS: () =>
+			'Your reservation is still being processed. Please wait a moment and try again.',
+		IDEMPOTENCY_KEY_REUSED: () =>
+			'This submission was already used for another reservation. Please refresh the page and try again.',
+		RESERVATION_LIMIT_REACHED: ({ limit, retryAfter }) => {
+			let message = `You have reached the maximum number of reservations for ${
+				LIMIT_SUBJECTS.en[limit] || 'your account'
+			}.`
+			if (retryAfter > 0) {
+				const { count, unit } = waitUnits(retryAfter)
+				const wait =
+					unit === 'days'
+						? `${count} days`
+						: `${count} hour${count === 1 ? '' : 's'}`
+				message += ` You can make another reservation in about ${wait}.`
+			}
+			return `${message} Please contact us if you need to reserve more packages.`
+		},
+		PRODUCT_ALREADY_RESERVED: ({ titles }) =>
+			titles.length === 1
+				? 'This package has already been reserved.'
+				: `These packages have already been reserved: ${titles.join(', ')}.`,
+		WAITLIST_FULL: ({ title }) =>
+			`The waitlist for ${title} is full. Please contact us instead.`,
+		PRODUCT_UNAVAILABLE: ({ titles }) =>
+			titles.length === 1
+				? 'This package is no longer available.'
+				: `These packages are no longer available: ${titles.join(', ')}.`,
+		PRODUCT_NOT_RESERVED: ({ titles }) =>
+			titles.length === 1
+				? 'This package is not reserved any more. Please refresh the page to reserve it.'
+				: `These packages are not reserved any more: ${titles.join(
+						', '
+				  )}. Please refresh the page to reserve them.`,
+		RESERVATION_NOT_FOUND: () =>
+			'We could not find a reservation with this number and email address.',
+		INVALID_CONFIRMATION_TOKEN: () =>
+			'This confirmation link has expired. Your reservation number and details are in the confirmation email.',
+		DRAFT_ORDER_REJECTED: () =>
+			'Your reservation could not be created. Please try again or contact us.',
+		SHOPIFY_AUTH_ERROR: () => SERVER_ERROR_EN,
+		SHOPIFY_API_ERROR: () => SERVER_ERROR_EN,
+		CONFIGURATION_ERROR: () => SERVER_ERROR_EN,
+		SERVER_ERROR: () => SERVER_ERROR_EN,
+	},
+	fr: {
+		NOT_FOUND: () => 'Cette page est introuvable.',
+		METHOD_NOT_ALLOWED: () => 'Cette requête n’est pas prise en charge.',
+		MISSING_SIGNATURE: () =>
+			'Cette requête n’a pas pu être vérifiée. Veuillez actualiser la page et réessayer.',
+		INVALID_SIGNATURE: () =>
+			'Cette requête n’a pas pu être vérifiée. Veuillez actualiser la page et réessayer.',
+		VALIDATION_ERROR: () =>
+			'Certains renseignements saisis ne sont pas valides. Veuillez les vérifier et réessayer.',
+		MISSING_DRAFT_ORDER: () =>
+			'Aucun ensemble n’a été sélectionné. Veuillez actualiser la page et réessayer.',
+		TOO_MANY_PRODUCTS: ({ max }) =>
+			`Une réservation peut comprendre au plus ${max} ensembles.`,
+		BOT_PROTECTION_FAILED: () =>
+			'La vérification de sécurité a échoué. Veuillez actualiser la page et réessayer.',
+		BOT_PROTECTION_UNAVAILABLE: () =>
+			'La vérification de sécurité n’est pas disponible pour le moment. Veuillez réessayer plus tard.',
+		REQUEST_IN_PROGRESS: () =>
+			'Votre réservation est toujours en cours de traitement. Veuillez patienter un instant et réessayer.',
+		IDEMPOTENCY_KEY_REUSED: () =>
+			'Cet envoi a déjà servi pour une autre réservation. Veuillez actualiser la page et réessayer.',
+		RESERVATION_LIMIT_REACHED: ({ limit, retryAfter }) => {
+			let message = `Vous avez atteint le nombre maximal de réservations pour ${
+				LIMIT_SUBJECTS.fr[limit] || 'votre compte'
+			}.`
+			if (retryAfter > 0) {
+				const { count, unit } = waitUnits(retryAfter)
+				const wait =
+					unit === 'days'
+						? `${count} jours`
+						: `${count} heure${count === 1 ? '' : 's'}`
+				message += ` Vous pourrez faire une autre réservation dans environ ${wait}.`
+			}
+			return `${message} Veuillez communiquer avec nous si vous devez réserver d’autres ensembles.`
+		},
+		PRODUCT_ALREADY_RESERVED: ({ titles }) =>
+			titles.length === 1
+				? 'Cet ensemble a déjà été réservé.'
+				: `Ces ensembles ont déjà été réservés : ${titles.join(', ')}.`,
+		WAITLIST_FULL: ({ title }) =>
+			`La liste d’attente pour ${title} est complète. Veuillez plutôt communiquer avec nous.`,
+		PRODUCT_UNAVAILABLE: ({ titles }) =>
+			titles.length === 1
+				? 'Cet ensemble n’est plus disponible.'
+				: `Ces ensembles ne sont plus disponibles : ${titles.join(', ')}.`,
+		PRODUCT_NOT_RESERVED: ({ titles }) =>
+			titles.length === 1
+				? 'Cet ensemble n’est plus réservé. Veuillez actualiser la page pour le réserver.'
+				: `Ces ensembles ne sont plus réservés : ${titles.join(
+						', '
+				  )}. Veuillez actualiser la page pour les réserver.`,
+		RESERVATION_NOT_FOUND: () =>
+			'Aucune réservation ne correspond à ce numéro et à cette adresse courriel.',
+		INVALID_CONFIRMATION_TOKEN: () =>
+			'Ce lien de confirmation a expiré. Votre numéro de réservation et ses détails figurent dans le courriel de confirmation.',
+		DRAFT_ORDER_REJECTED: () =>
+			'Votre réservation n’a pas pu être créée. Veuillez réessayer ou communiquer avec nous.',
+		SHOPIFY_AUTH_ERROR: () => SERVER_ERROR_FR,
+		SHOPIFY_API_ERROR: () => SERVER_ERROR_FR,
+		CONFIGURATION_ERROR: () => SERVER_ERROR_FR,
+		SERVER_ERROR: () => SERVER_ERROR_FR,
+	},
+}
+
+/**
+ * Every error_type the backend returns
+ */
+export const ERROR_TYPES = Object.keys(MESSAGES.en)
+
+/**
+ * Gets the message of an error in a language
+ * @param {string} errorType - One of ERROR_TYPES
+ * @param {string} [language] - Storefront locale, e.g. `fr` or `fr-CA`
+ * @param {Object} [params] - Values the message mentions, e.g. `{max}` for
+ *   TOO_MANY_PRODUCTS
+ * @returns {string} The message, in English when the language has no
+ *   catalogue
+ */
+export function getErrorMessage(errorType, language, params = {}) {
+	const messages = resolveLanguage(MESSAGES, language)
+	const render =
+		messages[errorType] || MESSAGES.en[errorType] || MESSAGES.en.SERVER_ERROR
+	return render(params)
+}
@@ -0,0 +1,130 @@
+import crypto from 'crypto'
+import { updateShopState } from './shop-state.js'
+
+// Idempotency keys sent by the reservation form. The first request with a key
+// marks it pending; when it succeeds its response is stored so retries of the
+// same submission (double clicks, a dropped connection) get that response back
+// instead of creating a second reservation or a 409 against the first one.
+
+export const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_-]{16,128}$/
+
+const IDEMPOTENCY_STATE_KEY = 'idempotency_keys'
+
+// How long a completed response is replayed
+const RETENTION_MS = 60 * 60 * 1000
+
+// A pending key older than this belongs to a request that died mid-way (the
+// function timeout is well below it) and may be taken over by a retry
+const PENDING_TIMEOUT_MS = 2 * 60 * 1000
+
+// Keeps the shop metafield small; the oldest keys are dropped first
+const MAX_ENTRIES = 50
+
+/**
+ * Hashes what a request asks for, so a key reused for a different submission
+ * can be told apart from a retry
+ * @param {Object} payload - The parts of the request that define it
+ * @returns {string} Hex digest
+ */
+export function requestFingerprint(payload) {
+	return crypto
+		.createHash('sha256')
+		.update(JSON.stringify(payload))
+		.digest('hex')
+}
+
+/**
+ * Drops expired keys and keeps at most MAX_ENTRIES of the newest ones
+ */
+function pruneEntries(entries, now) {
+	const kept = Object.entries(entries || {})
+		.filter(
+			([, entry]) => now.getTime() - Date.parse(entry.started_at) < RETENTION_MS
+		)
+		.sort(([, a], [, b]) => Date.parse(b.started_at) - Date.parse(a.started_at))
+		.slice(0, MAX_ENTRIES)
+	return Object.fromEntries(kept)
+}
+
+/**
+ * Registers a request under its idempotency key
+ * @param {string} key - Idempotency key from the request
+ * @param {string} fingerprint - requestFingerprint of the request
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object>} `{status}`: `new` to go ahead, `replay` with the
+ *   stored `response`, `in_progress` while the first request still runs, or
+ *   `mismatch` when the key was used for a different request
+ */
+export async function beginIdempotentRequest(
+	key,
+	fingerprint,
+	now = new Date()
+) {
+	let outcome = null
+
+	await updateShopState(IDEMPOTENCY_STATE_KEY, (current) => {
+		const entries = pruneEntries(current, now)
+		const entry = entries[key]
+
+		if (entry && entry.fingerprint !== fingerprint) {
+			outcome = { status: 'mismatch' }
+			return undefined
+		}
+		if (entry && entry.status === 'completed') {
+			outcome = { status: 'replay', response: entry.response }
+			return undefined
+		}
+		if (
+			entry &&
+			now.getTime() - Date.parse(entry.started_at) < PENDING_TIMEOUT_MS
+		) {
+			outcome = { status: 'in_progress' }
+			return undefined
+		}
+
+		outcome = { status: 'new' }
+		entries[key] = {
+			fingerprint,
+			status: 'pending',
+			started_at: now.toISOString(),
+		}
+		return entries
+	})
+
+	return outcome
+}
+
+/**
+ * Stores the response of a successful request for replay
+ * @param {string} key - Idempotency key from the request
+ * @param {Object} response - `statusCode` and `body` to replay
+ */
+export async function completeIdempotentRequest(key, response) {
+	await updateShopState(IDEMPOTENCY_STATE_KEY, (current) => {
+		if (!current || !current[key]) {
+			return undefined
+		}
+		return {
+			...current,
+			[key]: {
+				...current[key],
+				status: 'completed',
+				response: { statusCode: response.statusCode, body: response.body },
+			},
+		}
+	})
+}
+
+/**
+ * Forgets a key whose request failed, so the shopper can try again with it
+ * @param {string} key - Idempotency key from the request
+ */
+export async function releaseIdempotentRequest(key) {
+	await updateShopState(IDEMPOTENCY_STATE_KEY, (current) => {
+		if (!current || !current[key] || current[key].status !== 'pending') {
+			return undefined
+		}
+		const { [key]: released, ...rest } = current
+		return rest
+	})
+}
@@ -0,0 +1,15 @@
+// The storefront sends its locale as is, e.g. `fr`, `fr-CA` or `pt-BR`, while
+// the error messages, emails and draft order notes are written per language.
+
+/**
+ * Picks the entry of a catalogue for a storefront locale: the locale itself,
+ * else its base language, else English
+ * @param {Object} catalogue - Entries by lowercase language code, including
+ *   `en`
+ * @param {string} [language] - Storefront locale, e.g. `fr` or `fr-CA`
+ * @returns {*} The entry for the language
+ */
+export function resolveLanguage(catalogue, language) {
+	const locale = String(language || 'en').toLowerCase()
+	return catalogue[locale] || catalogue[locale.split('-')[0]] || catalogue.en
+}
@@ -0,0 +1,131 @@
+import { AsyncLocalStorage } from 'async_hooks'
+import crypto from 'crypto'
+
+// JSON-lines logger shared by the functions. Every line carries the request ID
+// of the invocation that wrote it, so one submission can be followed through
+// the Netlify logs, and customer details and secrets are redacted before
+// anything is written.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 }
+
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info'
+
+const REDACTED = '[REDACTED]'
+
+// Fields whose whole value is withheld
+const SECRET_FIELD_PATTERN =
+	/token|secret|signature|password|authorization|hmac|api_?key/i
+const PRACTICE_FIELD_PATTERN = /practice|^note$/i
+
+// Keeps the first two characters and the domain: te***@example.com
+const EMAIL_PATTERN =
+	/([A-Za-z0-9._%+-]{1,2})[A-Za-z0-9._%+-]*(@[A-Za-z0-9.-]+\.[A-Za-z]{2,})/g
+
+// Practice names inside notes, tags and messages ("Practice Name: ...")
+const PRACTICE_TEXT_PATTERN = /(Practice(?: Name)?: )[^\n,"]+/g
+
+const requestContext = new AsyncLocalStorage()
+
+function redactString(value) {
+	return value
+		.replace(EMAIL_PATTERN, '$1***$2')
+		.replace(PRACTICE_TEXT_PATTERN, `$1${REDACTED}`)
+}
+
+/**
+ * Copies a value for logging with emails masked and secrets and practice
+ * names removed
+ * @param {*} value - Anything passed to the logger
+ * @returns {*} The redacted copy
+ */
+export function redact(value) {
+	if (typeof value === 'string') {
+		return redactString(value)
+	}
+	if (value instanceof Error) {
+		return redact({
+			name: value.name,
+			message: value.message,
+			status: value.response ? value.response.status : undefined,
+			userErrors: value.userErrors,
+			stack: value.stack,
+		})
+	}
+	if (Array.isArray(value)) {
+		return value.map(redact)
+	}
+	if (value && typeof value === 'object') {
+		const copy = {}
+		for (const [key, fieldValue] of Object.entries(value)) {
+			copy[key] =
+				fieldValue &&
+				(SECRET_FIELD_PATTERN.test(key) || PRACTICE_FIELD_PATTERN.test(key))
+					? REDACTED
+					: redact(fieldValue)
+		}
+		return copy
+	}
+	return value
+}
+
+function write(level, message, fields) {
+	if (LEVELS[level] < LEVELS[LOG_LEVEL]) {
+		return
+	}
+
+	const line = JSON.stringify({
+		time: new Date().toISOString(),
+		level,
+		...requestContext.getStore(),
+		message: redactString(message),
+		...redact(fields instanceof Error ? { error: fields } : fields),
+	})
+
+	if (level === 'error') {
+		console.error(line)
+	} else if (level === 'warn') {
+		console.warn(line)
+	} else {
+		console.log(line)
+	}
+}
+
+/**
+ * Writes one JSON line per call. `fields` is an object of extra properties,
+ * or an Error, which is logged under `error`.
+ */
+export const logger = {
+	debug: (message, fields) => write('debug', message, fields),
+	info: (message, fields) => write('info', message, fields),
+	warn: (message, fields) => write('warn', message, fields),
+	error: (message, fields) => write('error', message, fields),
+}
+
+/**
+ * Gets the ID that ties the log lines of one invocation together: Netlify's
+ * request ID when there is one, a random UUID otherwise
+ * @param {Object} event - Netlify function event
+ * @returns {string} The request ID
+ */
+export function getRequestId(event) {
+	const headers = (event && event.headers) || {}
+	return (
+		headers['x-nf-request-id'] || headers['x-request-id'] || crypto.randomUUID()
+	)
+}
+
+/**
+ * Wraps a function handler so everything it logs, including from the shared
+ * modules it calls, carries its request ID
+ * @param {string} functionName - Name written on every log line
+ * @param {Function} handler - The Netlify function handler
+ * @returns {Function} The wrapped handler
+ */
+export function withRequestLogging(functionName, handler) {
+	return function (event, context) {
+		return requestContext.run(
+			{ function: functionName, requestId: getRequestId(event) },
+			() => handler(event, context)
+		)
+	}
+}
@@ -0,0 +1,141 @@
+import axios from 'axios'
+import crypto from 'crypto'
+import { promises as fs } from 'fs'
+import nodemailer from 'nodemailer'
+import path from 'path'
+
+// Transports for the emails the backend sends itself. Every transport takes
+// the same message, `{from, to, replyTo, subject, text, html}`, so SMTP, a
+// provider API and the file stand-in used in tests and local development are
+// interchangeable through MAIL_TRANSPORT.
+
+const POSTMARK_URL = 'https://api.postmarkapp.com/email'
+
+/**
+ * Creates a transport that sends through an SMTP server, e.g. the shop's mail
+ * provider, or MailCatcher / Mailpit on localhost:1025 in development
+ * @param {Object} options
+ * @param {string} options.host - SMTP host
+ * @param {number} [options.port] - Port, 587 by default
+ * @param {boolean} [options.secure] - TLS from the start (port 465) rather
+ *   than STARTTLS
+ * @param {string} [options.user] - Username, if the server needs one
+ * @param {string} [options.password] - Password
+ * @returns {{name: string, send: Function}} `send(message)` resolves to
+ *   `{messageId}`
+ */
+export function createSmtpTransport({
+	host,
+	port = 587,
+	secure,
+	user,
+	password,
+}) {
+	if (!host) {
+		throw new Error('Missing SMTP host')
+	}
+
+	const transporter = nodemailer.createTransport({
+		host,
+		port,
+		secure: secure === undefined ? port === 465 : secure,
+		auth: user ? { user, pass: password } : undefined,
+	})
+	return {
+		name: 'smtp',
+		async send(message) {
+			const info = await transporter.sendMail(message)
+			return { messageId: info.messageId }
+		},
+	}
+}
+
+/**
+ * Creates a transport that sends through Postmark's email API
+ * @param {string} serverToken - Postmark server API token
+ * @returns {{name: string, send: Function}} A transport
+ */
+export function createPostmarkTransport(serverToken) {
+	if (!serverToken) {
+		throw new Error('Missing Postmark server token')
+	}
+
+	return {
+		name: 'postmark',
+		async send(message) {
+			const response = await axios.post(
+				POSTMARK_URL,
+				{
+					From: message.from,
+					To: [].concat(message.to).join(', '),
+					ReplyTo: message.replyTo,
+					Subject: message.subject,
+					TextBody: message.text,
+					HtmlBody: message.html,
+					MessageStream: 'outbound',
+				},
+				{
+					headers: {
+						Accept: 'application/json',
+						'X-Postmark-Server-Token': serverToken,
+					},
+				}
+			)
+			return { messageId: response.data.MessageID }
+		},
+	}
+}
+
+/**
+ * Creates a transport that writes each message to a JSON file instead of
+ * sending it
+ * @param {string} directory - Where the files are written, created if needed
+ * @returns {{name: string, send: Function}} A transport
+ */
+export function createFileTransport(directory) {
+	return {
+		name: 'file',
+		async send(message) {
+			const messageId = `${Date.now()}-${crypto.randomUUID()}`
+			await fs.mkdir(directory, { recursive: true })
+			await fs.writeFile(
+				path.join(directory, `${messageId}.json`),
+				JSON.stringify(message, null, 2)
+			)
+			return { messageId }
+		},
+	}
+}
+
+/**
+ * Creates the transport configured by MAIL_TRANSPORT
+ * @returns {Object|null} The transport, or null when email is off
+ */
+export function getMailTransport() {
+	const transport = process.env.MAIL_TRANSPORT || 'none'
+
+	if (transport === 'none') {
+		return null
+	}
+	if (transport === 'smtp') {
+		return createSmtpTransport({
+			host: process.env.SMTP_HOST,
+			port: Number(process.env.SMTP_PORT || 587),
+			secure:
+				process.env.SMTP_SECURE === undefined
+					? undefined
+					: process.env.SMTP_SECURE === 'true',
+			user: process.env.SMTP_USER,
+			password: process.env.SMTP_PASSWORD,
+		})
+	}
+	if (transport === 'postmark') {
+		return createPostmarkTransport(process.env.MAIL_API_KEY)
+	}
+	if (transport === 'file') {
+		return createFileTransport(
+			process.env.MAIL_FILE_DIRECTORY || '/tmp/reservation-mail'
+		)
+	}
+	throw new Error(`Unknown mail transport: ${transport}`)
+}
@@ -0,0 +1,254 @@
+import { logger } from './logger.js'
+import { readShopState, updateShopState } from './shop-state.js'
+import { shopifyRest } from './shopify-admin.js'
+import { notifyWaitlist } from './waitlist.js'
+
+// Product metafield updates shared by the functions that end a reservation:
+// release-expired-reservations and reservation-webhooks.
+
+export const RESERVED_STATUS = 'Reserved'
+export const SOLD_STATUS = 'Sold'
+
+// Tag added to the draft order of a reservation whose hold has passed
+export const EXPIRED_TAG = 'reservation-expired'
+
+// Value written back to custom.availability_status when a hold is released
+export const RELEASED_AVAILABILITY_STATUS =
+	process.env.RELEASED_AVAILABILITY_STATUS || 'In stock'
+
+/**
+ * Whether a product can be reserved: custom.availability_status is unset or
+ * back to RELEASED_AVAILABILITY_STATUS. Reserved and Sold products, or any
+ * other status, cannot.
+ * @param {string|null} status - Value of custom.availability_status
+ * @returns {boolean}
+ */
+export function isAvailableStatus(status) {
+	return !status || status === RELEASED_AVAILABILITY_STATUS
+}
+
+// Product metafields written by create-draft-order for the current holder
+const RESERVATION_METAFIELD_KEYS = [
+	'reservation_number',
+	'reservation_expiry_date',
+	'reservation_draft_order_id',
+]
+
+// Products held by each reservation draft order, by draft order ID
+const DRAFT_ORDER_PRODUCTS_STATE_KEY = 'draft_order_products'
+
+// How long a draft order's products are kept once recorded; holds end well
+// before, and completed or deleted draft orders are removed right away
+const DRAFT_ORDER_PRODUCTS_RETENTION_MS = 90 * 24 * 60 * 60 * 1000
+
+/**
+ * Fetches the custom.* metafields of a product, keyed by metafield key
+ * @param {number|string} productId - The product
+ * @returns {Promise<Object>} Metafields by key
+ */
+async function getCustomMetafields(productId) {
+	const metafieldsResponse = await shopifyRest(
+		'get',
+		`products/${productId}/metafields.json`
+	)
+
+	const metafields = {}
+	for (const metafield of metafieldsResponse.metafields || []) {
+		if (metafield.namespace === 'custom') {
+			metafields[metafield.key] = metafield
+		}
+	}
+	return metafields
+}
+
+async function setAvailabilityStatus(metafield, value) {
+	return shopifyRest('put', `metafields/${metafield.id}.json`, {
+		data: {
+			metafield: {
+				id: metafield.id,
+				value: value,
+				type: 'single_line_text_field',
+			},
+		},
+	})
+}
+
+async function deleteMetafield(metafield) {
+	return shopifyRest('delete', `metafields/${metafield.id}.json`)
+}
+
+/**
+ * Checks that a reserved product is still held by the given reservation. A
+ * product may have been released and reserved again by someone else.
+ */
+function isHeldBy(metafields, { reservationNumber, draftOrderId }) {
+	const heldNumber = metafields.reservation_number
+	const heldDraftOrderId = metafields.reservation_draft_order_id
+
+	if (
+		reservationNumber &&
+		heldNumber &&
+		heldNumber.value !== reservationNumber
+	) {
+		return false
+	}
+	if (
+		draftOrderId &&
+		(!heldDraftOrderId || heldDraftOrderId.value !== String(draftOrderId))
+	) {
+		return false
+	}
+	return true
+}
+
+/**
+ * Resets custom.availability_status and removes the other reservation
+ * metafields on a product, but only while it is still held by this
+ * reservation, then notifies the product's waitlist
+ * @param {number|string} productId - The product to release
+ * @param {Object} holder - The reservation being released
+ * @param {string} [holder.reservationNumber] - Its reservation number
+ * @param {number|string} [holder.draftOrderId] - Its draft order
+ * @returns {Promise<boolean>} Whether the product was released
+ */
+export async function releaseProduct(productId, holder) {
+	const metafields = await getCustomMetafields(productId)
+	const availabilityStatusMetafield = metafields.availability_status
+
+	if (
+		!availabilityStatusMetafield ||
+		availabilityStatusMetafield.value !== RESERVED_STATUS
+	) {
+		logger.info('Product is no longer reserved, skipping', {
+			product_id: productId,
+		})
+		return false
+	}
+
+	if (!isHeldBy(metafields, holder)) {
+		logger.info('Product is held by another reservation, skipping', {
+			product_id: productId,
+		})
+		return false
+	}
+
+	await setAvailabilityStatus(
+		availabilityStatusMetafield,
+		RELEASED_AVAILABILITY_STATUS
+	)
+
+	for (const key of RESERVATION_METAFIELD_KEYS) {
+		if (metafields[key]) {
+			await deleteMetafield(metafields[key])
+		}
+	}
+
+	logger.info('Product released', {
+		product_id: productId,
+		availability_status: RELEASED_AVAILABILITY_STATUS,
+	})
+
+	// The next shopper waiting for it can reserve it now
+	await notifyWaitlist(productId)
+	return true
+}
+
+/**
+ * Flips a reserved product to Sold. The reservation number is kept so the sale
+ * can be traced back to its reservation; the expiry is removed.
+ * @param {number|string} productId - The product that was ordered
+ * @returns {Promise<boolean>} Whether the product was marked sold
+ */
+export async function markProductSold(productId) {
+	const metafields = await getCustomMetafields(productId)
+	const availabilityStatusMetafield = metafields.availability_status
+
+	if (
+		!availabilityStatusMetafield ||
+		availabilityStatusMetafield.value !== RESERVED_STATUS
+	) {
+		logger.info('Product is not reserved, skipping', { product_id: productId })
+		return false
+	}
+
+	await setAvailabilityStatus(availabilityStatusMetafield, SOLD_STATUS)
+
+	if (metafields.reservation_expiry_date) {
+		await deleteMetafield(metafields.reservation_expiry_date)
+	}
+
+	logger.info('Product marked sold', {
+		product_id: productId,
+		availability_status: SOLD_STATUS,
+	})
+	return true
+}
+
+/**
+ * Drops the draft orders recorded too long ago to still be held
+ */
+function pruneDraftOrderProducts(draftOrders, now) {
+	const kept = {}
+	for (const [draftOrderId, entry] of Object.entries(draftOrders || {})) {
+		if (
+			now - Date.parse(entry.recorded_at) <
+			DRAFT_ORDER_PRODUCTS_RETENTION_MS
+		) {
+			kept[draftOrderId] = entry
+		}
+	}
+	return kept
+}
+
+/**
+ * Records the products a draft order holds, so they can be released when it
+ * is deleted
+ * @param {number|string} draftOrderId - The reservation draft order
+ * @param {Array<number|string>} productIds - The products it holds
+ * @param {Date} [now] - Current time
+ * @returns {Promise<void>}
+ */
+export async function recordDraftOrderProducts(
+	draftOrderId,
+	productIds,
+	now = new Date()
+) {
+	await updateShopState(DRAFT_ORDER_PRODUCTS_STATE_KEY, (value) => {
+		const draftOrders = pruneDraftOrderProducts(value, now.getTime())
+		draftOrders[draftOrderId] = {
+			product_ids: productIds.map(String),
+			recorded_at: now.toISOString(),
+		}
+		return draftOrders
+	})
+}
+
+/**
+ * Finds the products held by a draft order. Deleted draft orders cannot be
+ * fetched any more, so this uses what recordDraftOrderProducts stored when
+ * the reservation was made; releaseProduct still checks each product is held
+ * by the draft order.
+ * @param {number|string} draftOrderId - The draft order
+ * @returns {Promise<string[]>} Product IDs, empty when none were recorded
+ */
+export async function findProductsReservedByDraftOrder(draftOrderId) {
+	const { value } = await readShopState(DRAFT_ORDER_PRODUCTS_STATE_KEY)
+	const entry = value && value[draftOrderId]
+	return entry ? entry.product_ids : []
+}
+
+/**
+ * Removes the products recorded for a draft order that was deleted or
+ * completed
+ * @param {number|string} draftOrderId - The draft order
+ * @returns {Promise<void>}
+ */
+export async function forgetDraftOrderProducts(draftOrderId) {
+	await updateShopState(DRAFT_ORDER_PRODUCTS_STATE_KEY, (value) => {
+		if (!value || !value[draftOrderId]) {
+			return undefined
+		}
+		const { [draftOrderId]: forgotten, ...draftOrders } = value
+		return draftOrders
+	})
+}
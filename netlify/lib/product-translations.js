@@ -0,0 +1,81 @@
+import { logger } from './logger.js'
+import { shopifyGraphql } from './shopify-admin.js'
+
+// Product titles in the storefront language. The Admin API always answers in
+// the shop's primary locale, whatever Accept-Language says; translations made
+// in Translate & Adapt (or any other translation app) are only available
+// through the translatable resources API, which needs read_translations.
+
+/**
+ * Gets the translated titles of products
+ * @param {number[]} productIds - Product IDs
+ * @param {string} locale - Storefront locale, e.g. `fr` or `pt-BR`
+ * @returns {Promise<Map<number, string>>} Titles by product ID; products
+ *   without a translation in that locale are left out
+ */
+export async function getTranslatedTitles(productIds, locale) {
+	const titles = new Map()
+	if (!locale || productIds.length === 0) {
+		return titles
+	}
+
+	const data = await shopifyGraphql(
+		`query ProductTitleTranslations($ids: [ID!]!, $first: Int!, $locale: String!) {
+			translatableResourcesByIds(first: $first, resourceIds: $ids) {
+				nodes {
+					resourceId
+					translations(locale: $locale) {
+						key
+						value
+					}
+				}
+			}
+		}`,
+		{
+			ids: productIds.map((id) => `gid://shopify/Product/${id}`),
+			first: productIds.length,
+			locale,
+		}
+	)
+
+	for (const node of data.translatableResourcesByIds.nodes) {
+		const title = node.translations.find(
+			(translation) => translation.key === 'title'
+		)
+		if (title && title.value) {
+			titles.set(Number(node.resourceId.split('/').pop()), title.value)
+		}
+	}
+	return titles
+}
+
+/**
+ * Replaces the titles of reserved items by their translation, keeping the
+ * primary locale title when there is none or the lookup fails
+ * @param {Object[]} items - Items built by buildReservedItem, updated in place
+ * @param {string} [locale] - Storefront locale of the form
+ * @returns {Promise<Object[]>} The items
+ */
+export async function translateItemTitles(items, locale) {
+	const productIds = [...new Set(items.map((item) => item.product_id))]
+	try {
+		const titles = await getTranslatedTitles(productIds, locale)
+		for (const item of items) {
+			if (titles.has(item.product_id)) {
+				item.title = titles.get(item.product_id)
+			}
+		}
+		if (titles.size > 0) {
+			logger.debug('Using translated product titles', {
+				locale,
+				product_ids: [...titles.keys()],
+			})
+		}
+	} catch (error) {
+		logger.warn(
+			'Could not fetch translated product titles, using default',
+			error
+		)
+	}
+	return items
+}
@@ -0,0 +1,199 @@
+import { ROLES } from './customer-info.js'
+import { shopifyGraphql } from './shopify-admin.js'
+
+// The Shopify customer a reservation is attached to. Logged-in shoppers keep
+// their own record; guests get the customer with their email address, created
+// if needed. The practice details are saved on the customer so sales can find
+// every reservation of a practice, but only on a customer the shopper is
+// known to be: the logged-in one or one created for them. Anyone can type an
+// email address into the form, so a customer found by email only gets the
+// Reservation tag.
+
+const CUSTOMER_METAFIELD_NAMESPACE = 'custom'
+
+// Shopify tags are at most 255 characters and cannot contain commas
+const MAX_TAG_LENGTH = 255
+
+// Tags that describe the practice, replaced rather than added to when the
+// practice details change
+const PRACTICE_TAG_PREFIXES = ['Role: ', 'Practice: ']
+
+/**
+ * Builds the customer tags for a reservation
+ * @param {Object} customerInfo - Info returned by validateCustomerInfo
+ * @returns {string[]} Tags to add to the customer
+ */
+export function buildCustomerTags(customerInfo) {
+	return [
+		'Reservation',
+		`Role: ${ROLES[customerInfo.role]}`,
+		`Practice: ${customerInfo.practice_name.replace(/,/g, ' ')}`,
+	].map((tag) => tag.slice(0, MAX_TAG_LENGTH))
+}
+
+/**
+ * Checks that a logged-in customer ID refers to an existing customer
+ * @returns {Promise<{id: string, tags: string[]}|null>} The customer
+ */
+async function findCustomerById(customerId) {
+	const data = await shopifyGraphql(
+		`query CustomerById($id: ID!) {
+			customer(id: $id) { id tags }
+		}`,
+		{ id: `gid://shopify/Customer/${customerId}` }
+	)
+	return data.customer
+}
+
+async function findCustomerByEmail(email) {
+	const data = await shopifyGraphql(
+		`query CustomerByEmail($query: String!) {
+			customers(first: 1, query: $query) {
+				nodes { id }
+			}
+		}`,
+		{ query: `email:"${email.replace(/"/g, '')}"` }
+	)
+	const [customer] = data.customers.nodes
+	return customer ? customer.id : null
+}
+
+/**
+ * Creates a customer for a new guest
+ * @returns {Promise<{customerGid: string, created: boolean}>} The customer;
+ *   created is false when another request created one with the email in the
+ *   meantime
+ */
+async function createCustomer(email) {
+	const data = await shopifyGraphql(
+		`mutation CreateReservationCustomer($input: CustomerInput!) {
+			customerCreate(input: $input) {
+				customer { id }
+				userErrors { field message }
+			}
+		}`,
+		{ input: { email } }
+	)
+
+	const { customer, userErrors } = data.customerCreate
+	if (userErrors.length > 0) {
+		// Another request created the customer in the meantime
+		const existingGid = await findCustomerByEmail(email)
+		if (existingGid) {
+			return { customerGid: existingGid, created: false }
+		}
+		throw new Error(`Could not create customer: ${JSON.stringify(userErrors)}`)
+	}
+	return { customerGid: customer.id, created: true }
+}
+
+/**
+ * Saves the practice details on a customer, as metafields and tags. The
+ * practice and role tags the customer already has are replaced.
+ */
+async function updateCustomerDetails(customerGid, customerInfo, currentTags) {
+	const tags = buildCustomerTags(customerInfo)
+	const staleTags = currentTags.filter(
+		(tag) =>
+			PRACTICE_TAG_PREFIXES.some((prefix) => tag.startsWith(prefix)) &&
+			!tags.includes(tag)
+	)
+
+	const data = await shopifyGraphql(
+		`mutation UpdateReservationCustomer($id: ID!, $tags: [String!]!, $staleTags: [String!]!, $metafields: [MetafieldsSetInput!]!) {
+			tagsAdd(id: $id, tags: $tags) {
+				userErrors { field message }
+			}
+			tagsRemove(id: $id, tags: $staleTags) {
+				userErrors { field message }
+			}
+			metafieldsSet(metafields: $metafields) {
+				userErrors { field message code }
+			}
+		}`,
+		{
+			id: customerGid,
+			tags,
+			staleTags,
+			metafields: [
+				['practice_name', customerInfo.practice_name],
+				['role', ROLES[customerInfo.role]],
+				['postal_code', customerInfo.zip_code],
+			].map(([key, value]) => ({
+				ownerId: customerGid,
+				namespace: CUSTOMER_METAFIELD_NAMESPACE,
+				key,
+				value,
+				type: 'single_line_text_field',
+			})),
+		}
+	)
+
+	const userErrors = [
+		...data.tagsAdd.userErrors,
+		...data.tagsRemove.userErrors,
+		...data.metafieldsSet.userErrors,
+	]
+	if (userErrors.length > 0) {
+		throw new Error(
+			`Could not update customer ${customerGid}: ${JSON.stringify(userErrors)}`
+		)
+	}
+}
+
+/**
+ * Marks a customer found by email as having made a reservation, without
+ * touching anything else on it
+ */
+async function tagReservationCustomer(customerGid) {
+	const data = await shopifyGraphql(
+		`mutation TagReservationCustomer($id: ID!, $tags: [String!]!) {
+			tagsAdd(id: $id, tags: $tags) {
+				userErrors { field message }
+			}
+		}`,
+		{ id: customerGid, tags: ['Reservation'] }
+	)
+
+	const { userErrors } = data.tagsAdd
+	if (userErrors.length > 0) {
+		throw new Error(
+			`Could not tag customer ${customerGid}: ${JSON.stringify(userErrors)}`
+		)
+	}
+}
+
+/**
+ * Finds or creates the customer of a reservation and, when it is the
+ * logged-in or a new customer, saves the practice details on it
+ * @param {Object} customerInfo - Info returned by validateCustomerInfo
+ * @param {string} [loggedInCustomerId] - `logged_in_customer_id` forwarded
+ *   by the app proxy, empty for guests
+ * @returns {Promise<{customerGid: string, source: string}>} The customer and
+ *   how it was found: `logged_in`, `email` or `created`
+ */
+export async function resolveReservationCustomer(
+	customerInfo,
+	loggedInCustomerId
+) {
+	if (/^\d+$/.test(loggedInCustomerId || '')) {
+		const customer = await findCustomerById(loggedInCustomerId)
+		if (customer) {
+			await updateCustomerDetails(customer.id, customerInfo, customer.tags)
+			return { customerGid: customer.id, source: 'logged_in' }
+		}
+	}
+
+	let customerGid = await findCustomerByEmail(customerInfo.email)
+	if (!customerGid) {
+		const created = await createCustomer(customerInfo.email)
+		customerGid = created.customerGid
+		if (created.created) {
+			await updateCustomerDetails(customerGid, customerInfo, [])
+			return { customerGid, source: 'created' }
+		}
+	}
+
+	await tagReservationCustomer(customerGid)
+	return { customerGid, source: 'email' }
+}
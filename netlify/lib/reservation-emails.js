@@ -0,0 +1,82 @@
+import {
+	renderReservationConfirmation,
+	renderSalesNotification,
+} from './email-templates.js'
+import { logger } from './logger.js'
+import { getMailTransport } from './mailer.js'
+
+// Sends the emails of a new reservation. The reservation is already made when
+// this runs, so a failed email is logged and never fails the request.
+
+/**
+ * Sends the confirmation to the shopper and the alert to the sales inbox
+ * @param {Object} reservation
+ * @param {string} reservation.reservationNumber - The reservation number
+ * @param {string} reservation.holdExpiryDate - Last day of the hold
+ * @param {string} reservation.language - `en` or `fr`
+ * @param {Object[]} reservation.items - `{title, stocking_number}` per item
+ * @param {Object} reservation.customerInfo - Info returned by
+ *   validateCustomerInfo
+ * @param {Object|null} [reservation.territory] - Territory returned by
+ *   assignTerritory; its manager also gets the sales alert
+ * @param {string} reservation.adminUrl - Draft order in the Shopify admin
+ * @param {Object|null} [transport] - Defaults to the MAIL_TRANSPORT transport
+ * @returns {Promise<{confirmation: string, notification: string}>} `sent`,
+ *   `failed` or `skipped` for each email
+ */
+export async function sendReservationEmails(
+	reservation,
+	transport = getMailTransport()
+) {
+	const from = process.env.MAIL_FROM
+	const salesInbox = (process.env.SALES_NOTIFICATION_EMAIL || '')
+		.split(',')
+		.map((address) => address.trim())
+		.filter(Boolean)
+	const { territory } = reservation
+	if (territory && territory.manager.email) {
+		salesInbox.push(territory.manager.email)
+	}
+
+	if (!transport || !from) {
+		return { confirmation: 'skipped', notification: 'skipped' }
+	}
+
+	async function send(kind, message) {
+		try {
+			const { messageId } = await transport.send({ from, ...message })
+			logger.info('Reservation email sent', {
+				kind,
+				transport: transport.name,
+				message_id: messageId,
+				reservation_number: reservation.reservationNumber,
+			})
+			return 'sent'
+		} catch (error) {
+			logger.error('Error sending reservation email', {
+				kind,
+				transport: transport.name,
+				reservation_number: reservation.reservationNumber,
+				error,
+			})
+			return 'failed'
+		}
+	}
+
+	const [confirmation, notification] = await Promise.all([
+		send('confirmation', {
+			to: reservation.customerInfo.email,
+			replyTo: process.env.MAIL_REPLY_TO || undefined,
+			...renderReservationConfirmation(reservation),
+		}),
+		salesInbox.length > 0
+			? send('notification', {
+					to: salesInbox,
+					replyTo: reservation.customerInfo.email,
+					...renderSalesNotification(reservation),
+			  })
+			: 'skipped',
+	])
+
+	return { confirmation, notification }
+}
@@ -0,0 +1,224 @@
+// Business-day hold calculation shared by create-draft-order and
+// release-expired-reservations. Dates are handled as ISO `YYYY-MM-DD` strings
+// in the shop's time zone so they can be stored in `date` metafields as-is.
+
+// Length of the no-cost hold, in business days
+export const HOLD_BUSINESS_DAYS =
+	parseInt(process.env.RESERVATION_HOLD_BUSINESS_DAYS, 10) || 3
+
+// Time zone used to decide which calendar day a reservation starts and ends on
+export const RESERVATION_TIMEZONE =
+	process.env.RESERVATION_TIMEZONE || 'America/Los_Angeles'
+
+// Built-in holiday calendars to honour, e.g. "us,ca" (empty to disable)
+const HOLIDAY_CALENDARS = (process.env.RESERVATION_HOLIDAY_CALENDARS ?? 'us,ca')
+	.split(',')
+	.map((calendar) => calendar.trim().toLowerCase())
+	.filter(Boolean)
+
+// Additional closures as comma separated ISO dates, e.g. "2025-12-24,2025-12-31"
+const EXTRA_HOLIDAYS = (process.env.RESERVATION_HOLIDAYS || '')
+	.split(',')
+	.map((date) => date.trim())
+	.filter((date) => /^\d{4}-\d{2}-\d{2}$/.test(date))
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Maps the country values used by the reservation form ("us", "United States",
+ * "ca", "Canada") to a holiday calendar code
+ * @param {string} country - Country as submitted or stored on the draft order
+ * @returns {string|null} 'us', 'ca' or null when unknown
+ */
+export function normalizeCountry(country) {
+	const value = (country || '').trim().toLowerCase()
+	if (value === 'us' || value === 'usa' || value === 'united states') {
+		return 'us'
+	}
+	if (value === 'ca' || value === 'canada') {
+		return 'ca'
+	}
+	return null
+}
+
+/**
+ * Formats a date as `YYYY-MM-DD` in the reservation time zone
+ * @param {Date} date - The instant to format
+ * @returns {string} ISO calendar date
+ */
+export function toShopDate(date) {
+	return new Intl.DateTimeFormat('en-CA', {
+		timeZone: RESERVATION_TIMEZONE,
+		year: 'numeric',
+		month: '2-digit',
+		day: '2-digit',
+	}).format(date)
+}
+
+function isoDate(year, month, day) {
+	return new Date(Date.UTC(year, month, day)).toISOString().slice(0, 10)
+}
+
+function addDays(date, days) {
+	return new Date(Date.parse(date) + days * DAY_MS).toISOString().slice(0, 10)
+}
+
+function weekday(date) {
+	return new Date(Date.parse(date)).getUTCDay()
+}
+
+// The nth (1-based) given weekday of a month, or the last one when n is -1
+function nthWeekday(year, month, day, n) {
+	if (n === -1) {
+		const last = new Date(Date.UTC(year, month + 1, 0))
+		const offset = (last.getUTCDay() - day + 7) % 7
+		return isoDate(year, month, last.getUTCDate() - offset)
+	}
+	const first = new Date(Date.UTC(year, month, 1)).getUTCDay()
+	return isoDate(year, month, 1 + ((day - first + 7) % 7) + (n - 1) * 7)
+}
+
+// Easter Sunday (anonymous Gregorian algorithm)
+function easterSunday(year) {
+	const a = year % 19
+	const b = Math.floor(year / 100)
+	const c = year % 100
+	const d = Math.floor(b / 4)
+	const e = b % 4
+	const f = Math.floor((b + 8) / 25)
+	const g = Math.floor((b - f + 1) / 3)
+	const h = (19 * a + b - d - g + 15) % 30
+	const i = Math.floor(c / 4)
+	const k = c % 4
+	const l = (32 + 2 * e + 2 * i - h - k) % 7
+	const m = Math.floor((a + 11 * h + 22 * l) / 451)
+	const month = Math.floor((h + l - 7 * m + 114) / 31)
+	const day = ((h + l - 7 * m + 114) % 31) + 1
+	return isoDate(year, month - 1, day)
+}
+
+function usHolidays(year) {
+	const fixed = [
+		isoDate(year, 0, 1), // New Year's Day
+		isoDate(year, 6, 4), // Independence Day
+		isoDate(year, 11, 25), // Christmas Day
+	].map((date) => {
+		// Observed on the Friday before or the Monday after a weekend
+		if (weekday(date) === 6) return addDays(date, -1)
+		if (weekday(date) === 0) return addDays(date, 1)
+		return date
+	})
+	const thanksgiving = nthWeekday(year, 10, 4, 4)
+
+	return [
+		...fixed,
+		nthWeekday(year, 4, 1, -1), // Memorial Day
+		nthWeekday(year, 8, 1, 1), // Labor Day
+		thanksgiving,
+		addDays(thanksgiving, 1), // Day after Thanksgiving
+	]
+}
+
+function caHolidays(year) {
+	const may24 = isoDate(year, 4, 24)
+	const holidays = [
+		addDays(easterSunday(year), -2), // Good Friday
+		addDays(may24, -((weekday(may24) + 6) % 7)), // Victoria Day
+		nthWeekday(year, 8, 1, 1), // Labour Day
+		nthWeekday(year, 9, 1, 2), // Thanksgiving
+	]
+
+	// Fixed-date holidays falling on a weekend move to the next free weekday
+	for (const date of [
+		isoDate(year, 0, 1), // New Year's Day
+		isoDate(year, 6, 1), // Canada Day
+		isoDate(year, 11, 25), // Christmas Day
+		isoDate(year, 11, 26), // Boxing Day
+	]) {
+		let observed = date
+		while (
+			weekday(observed) === 0 ||
+			weekday(observed) === 6 ||
+			holidays.includes(observed)
+		) {
+			observed = addDays(observed, 1)
+		}
+		holidays.push(observed)
+	}
+
+	return holidays
+}
+
+/**
+ * Lists the holidays that do not count towards a hold
+ * @param {number} year - Calendar year
+ * @param {string} [country] - Customer country; both calendars apply when unknown
+ * @returns {string[]} ISO dates
+ */
+export function getHolidays(year, country) {
+	const code = normalizeCountry(country)
+	const calendars = HOLIDAY_CALENDARS.filter(
+		(calendar) => !code || calendar === code
+	)
+
+	const holidays = [...EXTRA_HOLIDAYS]
+	if (calendars.includes('us')) holidays.push(...usHolidays(year))
+	if (calendars.includes('ca')) holidays.push(...caHolidays(year))
+	return holidays
+}
+
+/**
+ * Checks whether a date is a weekday that is not a holiday
+ * @param {string} date - ISO date
+ * @param {string} [country] - Customer country
+ * @returns {boolean}
+ */
+export function isBusinessDay(date, country) {
+	const day = weekday(date)
+	if (day === 0 || day === 6) {
+		return false
+	}
+	return !getHolidays(parseInt(date.slice(0, 4), 10), country).includes(date)
+}
+
+/**
+ * Adds business days to an ISO date, skipping weekends and holidays
+ * @param {string} date - ISO start date
+ * @param {number} days - Number of business days to add
+ * @param {string} [country] - Customer country
+ * @returns {string} ISO date
+ */
+export function addBusinessDays(date, days, country) {
+	let result = date
+	let remaining = days
+
+	while (remaining > 0) {
+		result = addDays(result, 1)
+		if (isBusinessDay(result, country)) {
+			remaining--
+		}
+	}
+
+	return result
+}
+
+/**
+ * Computes the last day of the hold for a reservation made at `createdAt`.
+ * The hold runs until the end of that day in the reservation time zone.
+ * @param {Date} createdAt - When the reservation was made
+ * @param {string} [country] - Customer country
+ * @returns {string} ISO expiry date
+ */
+export function computeHoldExpiry(createdAt, country) {
+	return addBusinessDays(toShopDate(createdAt), HOLD_BUSINESS_DAYS, country)
+}
+
+/**
+ * Checks whether a hold ending on `expiryDate` is over
+ * @param {string} expiryDate - ISO expiry date
+ * @param {Date} [now] - Current time
+ * @returns {boolean}
+ */
+export function isHoldExpired(expiryDate, now = new Date()) {
+	return toShopDate(now) > expiryDate
+}
@@ -0,0 +1,180 @@
+import crypto from 'crypto'
+import { updateShopState } from './shop-state.js'
+
+// Caps on how many active reservations one email address, practice or client IP
+// can hold. Each reservation takes a slot recorded in shop state before any
+// product is claimed; a reservation that fails gives its slot back, and one
+// that is made keeps it until its hold ends. Identities are stored as hashes,
+// never in clear.
+
+const LIMITS_STATE_KEY = 'reservation_limits'
+
+// Maximum active reservations per identity; 0 disables a limit
+export const RESERVATION_LIMITS = {
+	email: Number(process.env.RESERVATION_LIMIT_PER_EMAIL || 3),
+	practice: Number(process.env.RESERVATION_LIMIT_PER_PRACTICE || 5),
+	ip: Number(process.env.RESERVATION_LIMIT_PER_IP || 10),
+}
+
+// Slots are given back when the hold ends; one whose end was never seen (a
+// missed webhook, say) stops counting after this long. Long enough to cover a
+// hold over a weekend and a holiday.
+const WINDOW_MS =
+	Number(process.env.RESERVATION_LIMIT_WINDOW_HOURS || 168) * 60 * 60 * 1000
+
+/**
+ * Hashes one identity so the shop metafield holds no personal data
+ */
+function identityHash(kind, value) {
+	return crypto
+		.createHash('sha256')
+		.update(`${kind}:${value}`)
+		.digest('hex')
+		.slice(0, 32)
+}
+
+/**
+ * Normalizes a practice name so spacing and case do not count as another one
+ */
+function normalizePracticeName(practiceName) {
+	return practiceName.trim().replace(/\s+/g, ' ').toLowerCase()
+}
+
+/**
+ * Gets the shopper's IP address. Requests arrive through the Shopify app proxy,
+ * which appends the shopper's address to X-Forwarded-For; Netlify then appends
+ * the proxy's own, the address that connected to it. Entries before the
+ * shopper's come from the shopper and cannot be trusted, so the address is
+ * read from the right.
+ * @param {Object} headers - Request headers (lower case, as Netlify passes them)
+ * @returns {string|null} The IP address, null if unknown
+ */
+export function getClientIp(headers = {}) {
+	const connectionIp = headers['x-nf-client-connection-ip'] || null
+	const forwardedFor = (headers['x-forwarded-for'] || '')
+		.split(',')
+		.map((entry) => entry.trim())
+		.filter(Boolean)
+
+	// Skip the hop Netlify added for the app proxy itself
+	if (connectionIp && forwardedFor[forwardedFor.length - 1] === connectionIp) {
+		forwardedFor.pop()
+	}
+	return forwardedFor.pop() || connectionIp
+}
+
+/**
+ * Takes a reservation slot for every identity of the shopper, unless one of
+ * them has reached its limit
+ * @param {Object} identity
+ * @param {string} identity.email - Normalized email address
+ * @param {string} identity.practiceName - Practice name
+ * @param {string|null} identity.ip - Client IP address, if known
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object>} `{allowed: true, slotId}`, or `{allowed: false,
+ *   limit, max, retryAfterSeconds}` naming the first limit that was reached.
+ *   `retryAfterSeconds` is the latest a slot frees up; ending a hold frees
+ *   one sooner.
+ */
+export async function takeReservationSlot(
+	{ email, practiceName, ip },
+	now = new Date()
+) {
+	const identities = [
+		['email', email],
+		['practice', practiceName && normalizePracticeName(practiceName)],
+		['ip', ip],
+	].filter(([kind, value]) => value && RESERVATION_LIMITS[kind] > 0)
+
+	if (identities.length === 0) {
+		return { allowed: true, slotId: null }
+	}
+
+	let outcome = null
+
+	await updateShopState(LIMITS_STATE_KEY, (current) => {
+		// Slots older than the window no longer count
+		const slots = ((current && current.slots) || []).filter(
+			(slot) => now.getTime() - Date.parse(slot.at) < WINDOW_MS
+		)
+
+		for (const [kind, value] of identities) {
+			const hash = identityHash(kind, value)
+			const taken = slots.filter((slot) => slot.identities.includes(hash))
+			if (taken.length >= RESERVATION_LIMITS[kind]) {
+				// The oldest slot is the first to leave the window
+				const oldest = Math.min(...taken.map((slot) => Date.parse(slot.at)))
+				outcome = {
+					allowed: false,
+					limit: kind,
+					max: RESERVATION_LIMITS[kind],
+					retryAfterSeconds: Math.max(
+						Math.ceil((oldest + WINDOW_MS - now.getTime()) / 1000),
+						0
+					),
+				}
+				return undefined
+			}
+		}
+
+		const slotId = crypto.randomUUID()
+		outcome = { allowed: true, slotId }
+		slots.push({
+			id: slotId,
+			at: now.toISOString(),
+			identities: identities.map(([kind, value]) => identityHash(kind, value)),
+		})
+		return { slots }
+	})
+
+	return outcome
+}
+
+/**
+ * Links a slot to the draft order of the reservation it was taken for, so it
+ * is given back when that hold ends
+ * @param {string} slotId - Slot returned by takeReservationSlot
+ * @param {number|string} draftOrderId - Draft order of the reservation
+ */
+export async function assignReservationSlot(slotId, draftOrderId) {
+	await updateShopState(LIMITS_STATE_KEY, (current) => {
+		const slots = (current && current.slots) || []
+		if (!slots.some((slot) => slot.id === slotId)) {
+			return undefined
+		}
+		return {
+			slots: slots.map((slot) =>
+				slot.id === slotId
+					? { ...slot, draft_order_id: String(draftOrderId) }
+					: slot
+			),
+		}
+	})
+}
+
+/**
+ * Gives back the slot of a reservation that was not made
+ * @param {string} slotId - Slot returned by takeReservationSlot
+ */
+export async function releaseReservationSlot(slotId) {
+	await removeSlots((slot) => slot.id === slotId)
+}
+
+/**
+ * Gives back the slot of a reservation whose hold has ended: it expired, its
+ * draft order was deleted or it was completed
+ * @param {number|string} draftOrderId - Draft order of the reservation
+ */
+export async function releaseDraftOrderSlot(draftOrderId) {
+	await removeSlots((slot) => slot.draft_order_id === String(draftOrderId))
+}
+
+async function removeSlots(matches) {
+	await updateShopState(LIMITS_STATE_KEY, (current) => {
+		const slots = (current && current.slots) || []
+		if (!slots.some(matches)) {
+			return undefined
+		}
+		return { slots: slots.filter((slot) => !matches(slot)) }
+	})
+}
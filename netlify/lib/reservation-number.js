@@ -0,0 +1,85 @@
+import { toShopDate } from './reservation-hold.js'
+import { updateShopState } from './shop-state.js'
+
+// Reservation numbers look like RES-250314-0042-4: the shop date, a per-day
+// sequence kept in shop state, and a Luhn check digit over both so staff can
+// tell a mistyped number from one that does not exist.
+
+export const RESERVATION_NUMBER_PATTERN = /^RES-(\d{6})-(\d{4,})-(\d)$/
+
+// Random numbers issued before the sequence, e.g. RES-250314-4821
+export const LEGACY_RESERVATION_NUMBER_PATTERN = /^RES-\d{6}-\d{4}$/
+
+const SEQUENCE_STATE_KEY = 'reservation_sequence'
+
+/**
+ * Computes the Luhn check digit of a string of digits
+ * @param {string} digits - The digits to protect
+ * @returns {string} The check digit
+ */
+export function luhnCheckDigit(digits) {
+	let sum = 0
+	for (let i = 0; i < digits.length; i++) {
+		// Double every second digit, starting with the rightmost one
+		let digit = Number(digits[digits.length - 1 - i])
+		if (i % 2 === 0) {
+			digit *= 2
+			if (digit > 9) {
+				digit -= 9
+			}
+		}
+		sum += digit
+	}
+	return String((10 - (sum % 10)) % 10)
+}
+
+/**
+ * Formats a reservation number
+ * @param {string} shopDate - ISO date of the reservation in the shop time zone
+ * @param {number} sequence - Position of the reservation within that day
+ * @returns {string} e.g. RES-250314-0042-4
+ */
+export function formatReservationNumber(shopDate, sequence) {
+	const datePart = shopDate.slice(2).replace(/-/g, '')
+	const sequencePart = String(sequence).padStart(4, '0')
+	return `RES-${datePart}-${sequencePart}-${luhnCheckDigit(
+		datePart + sequencePart
+	)}`
+}
+
+/**
+ * Checks the format and check digit of a reservation number, e.g. one typed in
+ * by a customer or staff member
+ * @param {string} value - The reservation number
+ * @returns {boolean} Whether it could have been issued by this app
+ */
+export function isValidReservationNumber(value) {
+	const match = RESERVATION_NUMBER_PATTERN.exec(
+		String(value || '')
+			.trim()
+			.toUpperCase()
+	)
+	if (!match) {
+		return false
+	}
+	const [, datePart, sequencePart, checkDigit] = match
+	return luhnCheckDigit(datePart + sequencePart) === checkDigit
+}
+
+/**
+ * Issues the next reservation number of the day. The sequence restarts every
+ * day and is incremented with a compare-and-set, so no number is issued twice.
+ * @param {Date} [now] - Time of the reservation
+ * @returns {Promise<string>} The reservation number
+ */
+export async function nextReservationNumber(now = new Date()) {
+	const shopDate = toShopDate(now)
+
+	const { sequence } = await updateShopState(SEQUENCE_STATE_KEY, (current) =>
+		current && current.date === shopDate
+			? { date: shopDate, sequence: current.sequence + 1 }
+			: { date: shopDate, sequence: 1 }
+	)
+
+	return formatReservationNumber(shopDate, sequence)
+}
@@ -0,0 +1,54 @@
+// The body create-draft-order returns to the storefront when a reservation is
+// made. Anyone can read it, so it only holds what the form and confirmation
+// page show; draft order and product details stay in the debug section, which
+// is only added for requests carrying a signed debug header.
+//
+// Bump RESPONSE_VERSION when a field is removed or changes meaning; adding a
+// field is backwards compatible.
+
+export const RESPONSE_VERSION = 2
+
+/**
+ * @typedef {Object} ReservationResponse
+ * @property {true} success
+ * @property {number} version - RESPONSE_VERSION
+ * @property {string} reservation_number - e.g. RES-250314-0042-4
+ * @property {string} hold_expiry_date - Last day of the hold, YYYY-MM-DD
+ * @property {string} language - `en` or `fr`
+ * @property {{title: string, stocking_number: string}[]} items - One entry
+ *   per reserved line item, titles in the reservation language
+ * @property {string} confirmation_token - Exchanged by the confirmation page
+ *   for the reservation details, see confirmation-token.js
+ */
+
+/**
+ * Builds the public body of a successful reservation
+ * @param {Object} reservation
+ * @param {string} reservation.reservationNumber - The reservation number
+ * @param {string} reservation.holdExpiryDate - Last day of the hold
+ * @param {string} [reservation.language] - Language of the form
+ * @param {Object[]} reservation.items - Reserved items built by the handler
+ * @param {string} reservation.confirmationToken - Token for the confirmation
+ *   page
+ * @returns {ReservationResponse} The response body
+ */
+export function buildReservationResponse({
+	reservationNumber,
+	holdExpiryDate,
+	language,
+	items,
+	confirmationToken,
+}) {
+	return {
+		success: true,
+		version: RESPONSE_VERSION,
+		reservation_number: reservationNumber,
+		hold_expiry_date: holdExpiryDate,
+		language: language || 'en',
+		items: items.map((item) => ({
+			title: item.title,
+			stocking_number: item.stocking_number || '',
+		})),
+		confirmation_token: confirmationToken,
+	}
+}
@@ -0,0 +1,215 @@
+import { EXPIRED_TAG, RESERVED_STATUS } from './product-reservation.js'
+import { computeHoldExpiry, isHoldExpired } from './reservation-hold.js'
+import {
+	isValidReservationNumber,
+	LEGACY_RESERVATION_NUMBER_PATTERN,
+} from './reservation-number.js'
+import { shopifyGraphql } from './shopify-admin.js'
+
+// Looks up a reservation by its number for the status route of the app proxy.
+// The email it was made with must match, and a mismatch reads exactly like an
+// unknown number, so the route cannot be used to find other reservations.
+
+export const RESERVATION_STATUSES = {
+	// Held for the shopper
+	active: 'active',
+	// The hold passed, whether or not the hourly release has run yet
+	expired: 'expired',
+	// The draft order was completed into an order
+	converted: 'converted',
+	// Staff or a webhook gave the products back before the hold ended
+	released: 'released',
+}
+
+/**
+ * Checks that a reservation number could have been issued, in the current or
+ * the legacy format
+ * @param {string} value - Reservation number typed in or from the URL
+ * @returns {boolean}
+ */
+export function isReservationNumberFormat(value) {
+	return (
+		isValidReservationNumber(value) ||
+		LEGACY_RESERVATION_NUMBER_PATTERN.test(value)
+	)
+}
+
+/**
+ * Works out the status of a reservation from its draft order
+ * @param {Object} reservation - Draft order as returned by the lookup query,
+ *   with its reservation.* metafields by key
+ * @param {string} reservationNumber - The reservation number
+ * @param {string} holdExpiryDate - Last day of the hold
+ * @param {Date} [now] - Current time
+ * @returns {string} One of RESERVATION_STATUSES
+ */
+export function getReservationStatus(
+	reservation,
+	reservationNumber,
+	holdExpiryDate,
+	now = new Date()
+) {
+	if (reservation.status === 'COMPLETED') {
+		return RESERVATION_STATUSES.converted
+	}
+	if (
+		reservation.tags.includes(EXPIRED_TAG) ||
+		isHoldExpired(holdExpiryDate, now)
+	) {
+		return RESERVATION_STATUSES.expired
+	}
+
+	const stillHeld = reservation.lineItems.nodes.some(
+		({ product }) =>
+			product &&
+			product.availabilityStatus &&
+			product.availabilityStatus.value === RESERVED_STATUS &&
+			product.reservationNumber &&
+			product.reservationNumber.value === reservationNumber
+	)
+	return stillHeld ? RESERVATION_STATUSES.active : RESERVATION_STATUSES.released
+}
+
+// Draft orders looked at per lookup. Staff can tag any draft order with a
+// reservation number, so the tag only narrows the search down.
+const LOOKUP_CANDIDATES = 10
+
+/**
+ * Loads the draft order of a reservation, with its reservation.* metafields
+ * by key. The draft order is the one whose reservation.reservation_number
+ * metafield, written with it by create-draft-order, has the number.
+ */
+async function findReservation(reservationNumber) {
+	const data = await shopifyGraphql(
+		`query ReservationByNumber($query: String!, $first: Int!) {
+			draftOrders(first: $first, query: $query) {
+				nodes {
+					status
+					email
+					createdAt
+					tags
+					metafields(namespace: "reservation", first: 25) {
+						nodes { key value }
+					}
+					lineItems(first: 25) {
+						nodes {
+							product {
+								availabilityStatus: metafield(namespace: "custom", key: "availability_status") { value }
+								reservationNumber: metafield(namespace: "custom", key: "reservation_number") { value }
+							}
+						}
+					}
+				}
+			}
+		}`,
+		{ query: `tag:"${reservationNumber}"`, first: LOOKUP_CANDIDATES }
+	)
+
+	for (const reservation of data.draftOrders.nodes) {
+		const metafields = Object.fromEntries(
+			reservation.metafields.nodes.map(({ key, value }) => [key, value])
+		)
+		if (metafields.reservation_number === reservationNumber) {
+			return { reservation, metafields }
+		}
+	}
+	return null
+}
+
+function describeReservation(
+	{ reservation, metafields },
+	reservationNumber,
+	now
+) {
+	// Reservations made before the expiry was stored get it computed again
+	const holdExpiryDate =
+		metafields.hold_expiry_date ||
+		computeHoldExpiry(
+			new Date(reservation.createdAt),
+			metafields.customer_country
+		)
+
+	return {
+		reservation_number: reservationNumber,
+		status: getReservationStatus(
+			reservation,
+			reservationNumber,
+			holdExpiryDate,
+			now
+		),
+		hold_expiry_date: holdExpiryDate,
+		product_title: metafields.product_title || '',
+		stocking_number: metafields.stocking_number || '',
+	}
+}
+
+/**
+ * Finds a reservation by number and email
+ * @param {string} reservationNumber - The reservation number
+ * @param {string} email - Email address the reservation was made with
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object|null>} `{reservation_number, status,
+ *   hold_expiry_date, product_title, stocking_number}`, or null when no
+ *   reservation has this number and email
+ */
+export async function lookupReservation(
+	reservationNumber,
+	email,
+	now = new Date()
+) {
+	const found = await findReservation(reservationNumber)
+	if (!found) {
+		return null
+	}
+
+	const reservationEmail = (
+		found.metafields.customer_email ||
+		found.reservation.email ||
+		''
+	).toLowerCase()
+	if (reservationEmail !== email.trim().toLowerCase()) {
+		return null
+	}
+
+	return describeReservation(found, reservationNumber, now)
+}
+
+/**
+ * Gets what the confirmation page shows about a reservation. Only called with
+ * a number from a verified confirmation token, so no email is asked for.
+ * @param {string} reservationNumber - The reservation number
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object|null>} The lookupReservation fields plus `language`,
+ *   `items` and the customer details, or null for an unknown number
+ */
+export async function getReservationConfirmation(
+	reservationNumber,
+	now = new Date()
+) {
+	const found = await findReservation(reservationNumber)
+	if (!found) {
+		return null
+	}
+
+	const { metafields } = found
+	let items = []
+	try {
+		items = JSON.parse(metafields.items || '[]').map((item) => ({
+			title: item.title,
+			stocking_number: item.stocking_number || '',
+		}))
+	} catch (parseError) {
+		// Edited by hand in the admin; the product title still shows
+	}
+
+	return {
+		...describeReservation(found, reservationNumber, now),
+		language: metafields.language || 'en',
+		items,
+		practice_name: metafields.practice_name || '',
+		email: metafields.customer_email || found.reservation.email || '',
+		zip_code: metafields.customer_zip_code || '',
+		country: metafields.customer_country || '',
+		role: metafields.customer_role || '',
+	}
+}
@@ -0,0 +1,102 @@
+import { logger } from './logger.js'
+import { shopifyGraphql } from './shopify-admin.js'
+
+// Small pieces of app state kept in JSON metafields on the shop. Every write is
+// a compare-and-set on the digest that was read, so concurrent function
+// invocations never overwrite each other's changes.
+
+const SHOP_STATE_NAMESPACE = 'reservation_app'
+
+// Attempts before giving up when other requests keep winning the write
+const MAX_UPDATE_ATTEMPTS = 5
+
+/**
+ * Reads a shop state entry
+ * @param {string} key - Metafield key in the reservation_app namespace
+ * @returns {Promise<{shopGid: string, value: *, compareDigest: string|null}>}
+ *   The parsed JSON value, null when the entry does not exist yet
+ */
+export async function readShopState(key) {
+	const data = await shopifyGraphql(
+		`query ShopState($namespace: String!, $key: String!) {
+			shop {
+				id
+				metafield(namespace: $namespace, key: $key) {
+					value
+					compareDigest
+				}
+			}
+		}`,
+		{ namespace: SHOP_STATE_NAMESPACE, key }
+	)
+
+	const { metafield } = data.shop
+	return {
+		shopGid: data.shop.id,
+		value: metafield ? JSON.parse(metafield.value) : null,
+		compareDigest: metafield ? metafield.compareDigest : null,
+	}
+}
+
+/**
+ * Applies `update` to a shop state entry and writes the result, retrying with
+ * the fresh value when another request wrote in between
+ * @param {string} key - Metafield key in the reservation_app namespace
+ * @param {Function} update - Receives the current value (null if unset) and
+ *   returns the new one, or undefined to leave the entry unchanged
+ * @returns {Promise<*>} The value that was written, or the current value when
+ *   nothing was written
+ */
+export async function updateShopState(key, update) {
+	for (let attempt = 1; attempt <= MAX_UPDATE_ATTEMPTS; attempt++) {
+		const { shopGid, value, compareDigest } = await readShopState(key)
+		const nextValue = update(value)
+		if (nextValue === undefined) {
+			return value
+		}
+
+		const data = await shopifyGraphql(
+			`mutation SetShopState($metafields: [MetafieldsSetInput!]!) {
+				metafieldsSet(metafields: $metafields) {
+					userErrors { field message code }
+				}
+			}`,
+			{
+				metafields: [
+					{
+						ownerId: shopGid,
+						namespace: SHOP_STATE_NAMESPACE,
+						key,
+						type: 'json',
+						value: JSON.stringify(nextValue),
+						// A null digest only succeeds if the entry still does not exist
+						compareDigest,
+					},
+				],
+			},
+			{},
+			// Safe to repeat: if the first write landed, the repeat fails as stale
+			// and the loop starts again from the fresh value
+			{ retryUnavailable: true }
+		)
+
+		const { userErrors } = data.metafieldsSet
+		if (userErrors.length === 0) {
+			return nextValue
+		}
+		if (!userErrors.some((userError) => userError.code === 'STALE_OBJECT')) {
+			throw new Error(
+				`Could not update shop state ${key}: ${JSON.stringify(userErrors)}`
+			)
+		}
+		logger.debug('Shop state changed while updating it, retrying', {
+			key,
+			attempt,
+			max_attempts: MAX_UPDATE_ATTEMPTS,
+		})
+	}
+
+	throw new Error(
+		`Could not update shop state ${key} after ${MAX_UPDATE_ATTEMPTS} attempts`
+	)
+}
@@ -0,0 +1,211 @@
+import axios from 'axios'
+import { logger } from './logger.js'
+
+// Shopify Admin API client shared by all functions. It adds the access token
+// and API version, retries rate-limited and unavailable responses, and logs
+// how much of the call limit is in use. A 502 or 503 may arrive after Shopify
+// has applied a write, so only requests that are safe to repeat retry them.
+
+const SHOP_DOMAIN = process.env.SHOP_DOMAIN
+const ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN
+const API_VERSION = process.env.SHOPIFY_API_VERSION || '2025-01' // Default fallback
+
+// Retries after the first attempt, and the backoff base doubled on each one
+const MAX_RETRIES = Number(process.env.SHOPIFY_MAX_RETRIES || 3)
+const RETRY_BASE_DELAY_MS = Number(
+	process.env.SHOPIFY_RETRY_BASE_DELAY_MS || 500
+)
+
+// Shopify did not process a rate-limited request; an unavailable one may
+// have been processed anyway
+const RATE_LIMITED_STATUS = 429
+const UNAVAILABLE_STATUSES = [502, 503]
+
+/**
+ * Builds an Admin REST URL for the configured shop and API version
+ * @param {string} path - Path below /admin/api/{version}/, e.g. `products/1.json`
+ * @returns {string} Full URL
+ */
+export function adminUrl(path) {
+	return `https://${SHOP_DOMAIN}/admin/api/${API_VERSION}/${path}`
+}
+
+/**
+ * Works out how long to wait before retrying. A Retry-After header (seconds)
+ * wins; otherwise the delay doubles with each attempt.
+ * @param {Object} [headers] - Headers of the failed response
+ * @param {number} attempt - Zero-based attempt that failed
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelay(headers, attempt) {
+	const retryAfter = headers ? Number(headers['retry-after']) : NaN
+	if (Number.isFinite(retryAfter) && retryAfter >= 0) {
+		return retryAfter * 1000
+	}
+	return RETRY_BASE_DELAY_MS * 2 ** attempt
+}
+
+function sleep(ms) {
+	return new Promise((resolve) => setTimeout(resolve, ms))
+}
+
+function send(method, url, data, config) {
+	if (method === 'get' || method === 'delete') {
+		return axios[method](url, config)
+	}
+	return axios[method](url, data, config)
+}
+
+function isRetryable(status, retryUnavailable) {
+	return (
+		status === RATE_LIMITED_STATUS ||
+		(retryUnavailable && UNAVAILABLE_STATUSES.includes(status))
+	)
+}
+
+/**
+ * Sends a request, retrying 429 responses with backoff, and 502 and 503
+ * responses too when `retryUnavailable` is set
+ */
+async function requestWithRetry(method, url, data, config, retryUnavailable) {
+	for (let attempt = 0; ; attempt++) {
+		try {
+			return await send(method, url, data, config)
+		} catch (error) {
+			const status = error.response ? error.response.status : null
+			if (!isRetryable(status, retryUnavailable) || attempt >= MAX_RETRIES) {
+				throw error
+			}
+
+			const delay = getRetryDelay(error.response.headers, attempt)
+			logger.warn('Shopify request failed, retrying', {
+				status,
+				method: method.toUpperCase(),
+				url,
+				delay_ms: delay,
+				retry: attempt + 1,
+				max_retries: MAX_RETRIES,
+			})
+			await sleep(delay)
+		}
+	}
+}
+
+/**
+ * Sends a request to the Admin REST API. POST requests are not retried on
+ * 502 or 503, since repeating them could create a resource twice.
+ * @param {string} method - get, post, put or delete
+ * @param {string} path - Path below /admin/api/{version}/
+ * @param {Object} [options]
+ * @param {Object} [options.data] - JSON body for post and put
+ * @param {Object} [options.params] - Query string parameters
+ * @returns {Promise<Object>} The response body
+ */
+export async function shopifyRest(method, path, { data, params } = {}) {
+	const response = await requestWithRetry(
+		method,
+		adminUrl(path),
+		data,
+		{
+			params,
+			headers: {
+				'X-Shopify-Access-Token': ACCESS_TOKEN,
+				'Content-Type': 'application/json',
+			},
+		},
+		method !== 'post'
+	)
+
+	// e.g. "32/40": bucket usage of the REST leaky bucket
+	const callLimit =
+		response.headers && response.headers['x-shopify-shop-api-call-limit']
+	if (callLimit) {
+		logger.info('Shopify REST call limit', { call_limit: callLimit, path })
+	}
+
+	return response.data
+}
+
+function isMutation(query) {
+	return /^\s*mutation\b/.test(query)
+}
+
+/**
+ * Sends a query to the Admin GraphQL API. Throttled requests are retried once
+ * enough cost has been restored. Queries are also retried on 502 and 503;
+ * mutations only when the caller says they are safe to repeat, such as a
+ * compare-and-set write.
+ * @param {string} query - GraphQL document
+ * @param {Object} [variables] - Query variables
+ * @param {Object} [headers] - Extra request headers, e.g. Accept-Language
+ * @param {Object} [options]
+ * @param {boolean} [options.retryUnavailable] - Retry 502 and 503 responses;
+ *   defaults to true for queries and false for mutations
+ * @returns {Promise<Object>} The `data` of the response
+ */
+export async function shopifyGraphql(
+	query,
+	variables = {},
+	headers = {},
+	{ retryUnavailable = !isMutation(query) } = {}
+) {
+	for (let attempt = 0; ; attempt++) {
+		const response = await requestWithRetry(
+			'post',
+			adminUrl('graphql.json'),
+			{ query, variables },
+			{
+				headers: {
+					'X-Shopify-Access-Token': ACCESS_TOKEN,
+					'Content-Type': 'application/json',
+					...headers,
+				},
+			},
+			retryUnavailable
+		)
+
+		const cost = response.data.extensions && response.data.extensions.cost
+		if (cost && cost.throttleStatus) {
+			const { currentlyAvailable, maximumAvailable } = cost.throttleStatus
+			logger.info('Shopify GraphQL cost', {
+				requested: cost.requestedQueryCost,
+				available: currentlyAvailable,
+				maximum: maximumAvailable,
+			})
+		}
+
+		const errors = response.data.errors
+		const throttled =
+			errors &&
+			errors.some(
+				(error) => error.extensions && error.extensions.code === 'THROTTLED'
+			)
+		if (throttled && attempt < MAX_RETRIES) {
+			const delay = getThrottleDelay(cost, attempt)
+			logger.warn('Shopify GraphQL query throttled, retrying', {
+				delay_ms: delay,
+				retry: attempt + 1,
+				max_retries: MAX_RETRIES,
+			})
+			await sleep(delay)
+			continue
+		}
+
+		if (errors) {
+			throw new Error(`GraphQL error: ${JSON.stringify(errors)}`)
+		}
+		return response.data.data
+	}
+}
+
+/**
+ * Time until the bucket has restored enough points for the query
+ */
+function getThrottleDelay(cost, attempt) {
+	if (!cost || !cost.throttleStatus) {
+		return getRetryDelay(null, attempt)
+	}
+	const { currentlyAvailable, restoreRate } = cost.throttleStatus
+	const missing = cost.requestedQueryCost - currentlyAvailable
+	return Math.max(Math.ceil((missing / restoreRate) * 1000), 0)
+}
@@ -0,0 +1,211 @@
+import crypto from 'crypto'
+
+// Verification of requests coming from Shopify: app proxy signatures for
+// storefront requests and HMAC headers for webhooks. Functions must reject
+// requests that fail verification with a 401 before reading the payload.
+
+const SHOPIFY_API_SECRET = process.env.SHOPIFY_API_SECRET
+
+// How far an app proxy request's timestamp may be from now, in either
+// direction to allow for clock skew
+const APP_PROXY_MAX_AGE_SECONDS = Number(
+	process.env.APP_PROXY_MAX_AGE_SECONDS || 300
+)
+
+/**
+ * Lower-cases header names, which differ between Netlify and netlify dev
+ * @param {Object} headers - Request headers
+ * @returns {Object} Headers keyed by lower-case name
+ */
+export function normalizeHeaders(headers) {
+	const normalized = {}
+	for (const [name, value] of Object.entries(headers || {})) {
+		normalized[name.toLowerCase()] = value
+	}
+	return normalized
+}
+
+/**
+ * Returns the request body exactly as Shopify sent it, which is what the
+ * webhook HMAC is calculated over
+ * @param {Object} event - Netlify function event
+ * @returns {string} Raw body
+ */
+export function getRawBody(event) {
+	return event.isBase64Encoded
+		? Buffer.from(event.body || '', 'base64').toString('utf8')
+		: event.body || ''
+}
+
+/**
+ * Compares two strings in constant time
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean} Whether they are equal
+ */
+export function safeEqual(a, b) {
+	const bufferA = Buffer.from(a, 'utf8')
+	const bufferB = Buffer.from(b, 'utf8')
+	if (bufferA.length !== bufferB.length) {
+		return false
+	}
+	return crypto.timingSafeEqual(bufferA, bufferB)
+}
+
+/**
+ * Verifies an X-Shopify-Hmac-Sha256 header against a raw webhook body
+ * @param {string} rawBody - Raw request body
+ * @param {string} hmacHeader - Base64 HMAC sent by Shopify
+ * @param {string} [secret] - App secret, defaults to SHOPIFY_API_SECRET
+ * @returns {boolean} Whether the payload is authentic
+ */
+export function verifyWebhookHmac(
+	rawBody,
+	hmacHeader,
+	secret = SHOPIFY_API_SECRET
+) {
+	if (!hmacHeader || !secret) {
+		return false
+	}
+
+	const calculatedHmac = crypto
+		.createHmac('sha256', secret)
+		.update(rawBody, 'utf8')
+		.digest('base64')
+
+	return safeEqual(calculatedHmac, hmacHeader)
+}
+
+/**
+ * Verifies a webhook request and extracts what the handler needs from it
+ * @param {Object} event - Netlify function event
+ * @returns {{valid: boolean, topic: string, shop: string, rawBody: string}}
+ */
+export function verifyWebhookRequest(event) {
+	const headers = normalizeHeaders(event.headers)
+	const rawBody = getRawBody(event)
+
+	return {
+		valid: verifyWebhookHmac(rawBody, headers['x-shopify-hmac-sha256']),
+		topic: headers['x-shopify-topic'],
+		shop: headers['x-shopify-shop-domain'],
+		rawBody,
+	}
+}
+
+/**
+ * Reads a parameter that must appear once, as a string or one-value array
+ */
+function singleValue(value) {
+	if (Array.isArray(value)) {
+		return value.length === 1 ? value[0] : undefined
+	}
+	return value
+}
+
+/**
+ * Builds the string Shopify signs for an app proxy request: every parameter
+ * but `signature` as `key=value`, multiple values joined with commas, sorted
+ * and concatenated without a separator
+ * @param {Object} params - Query parameters; values may be arrays
+ * @returns {string} The string to sign
+ */
+export function appProxySignatureMessage(params) {
+	return Object.entries(params)
+		.filter(([key]) => key !== 'signature')
+		.map(
+			([key, value]) =>
+				`${key}=${Array.isArray(value) ? value.join(',') : value}`
+		)
+		.sort()
+		.join('')
+}
+
+/**
+ * Verifies the signature Shopify adds to app proxy requests and that the
+ * request is recent, so signed URLs cannot be replayed later
+ * @param {Object} query - Query parameters; pass Netlify's
+ *   multiValueQueryStringParameters so repeated parameters are signed as sent
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Current time
+ * @param {number} [options.maxAgeSeconds] - Allowed distance between
+ *   `timestamp` and now, defaults to APP_PROXY_MAX_AGE_SECONDS
+ * @returns {{valid: boolean, reason: string|null}}
+ */
+export function verifyAppProxySignature(
+	query,
+	{ now = new Date(), maxAgeSeconds = APP_PROXY_MAX_AGE_SECONDS } = {}
+) {
+	const params = query || {}
+	const signature = singleValue(params.signature)
+
+	if (typeof signature !== 'string' || !SHOPIFY_API_SECRET) {
+		return { valid: false, reason: 'Missing signature or API secret' }
+	}
+
+	const calculatedSignature = crypto
+		.createHmac('sha256', SHOPIFY_API_SECRET)
+		.update(appProxySignatureMessage(params), 'utf8')
+		.digest('hex')
+
+	if (!safeEqual(calculatedSignature, signature)) {
+		return { valid: false, reason: 'Signature mismatch' }
+	}
+
+	// Checked after the signature, so the timestamp is known to be Shopify's
+	const timestamp = Number(singleValue(params.timestamp))
+	if (!Number.isInteger(timestamp)) {
+		return { valid: false, reason: 'Missing or malformed timestamp' }
+	}
+	if (Math.abs(now.getTime() / 1000 - timestamp) > maxAgeSeconds) {
+		return { valid: false, reason: 'Request expired' }
+	}
+
+	return { valid: true, reason: null }
+}
+
+function debugSignature(timestamp, secret) {
+	return crypto
+		.createHmac('sha256', secret)
+		.update(`debug:${timestamp}`, 'utf8')
+		.digest('hex')
+}
+
+/**
+ * Signs an X-Reservation-Debug header value, which unlocks diagnostic details
+ * in responses for a few minutes
+ * @param {Date} [now] - Time of signing
+ * @param {string} [secret] - App secret, defaults to SHOPIFY_API_SECRET
+ * @returns {string} `<unix timestamp>.<hex HMAC>`
+ */
+export function signDebugHeader(now = new Date(), secret = SHOPIFY_API_SECRET) {
+	const timestamp = Math.floor(now.getTime() / 1000)
+	return `${timestamp}.${debugSignature(timestamp, secret)}`
+}
+
+/**
+ * Verifies an X-Reservation-Debug header value made by signDebugHeader. Like
+ * app proxy requests, it is only good for APP_PROXY_MAX_AGE_SECONDS.
+ * @param {string} [headerValue] - The header, if sent
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Current time
+ * @returns {boolean} Whether diagnostic details may be returned
+ */
+export function verifyDebugSignature(headerValue, { now = new Date() } = {}) {
+	if (typeof headerValue !== 'string' || !SHOPIFY_API_SECRET) {
+		return false
+	}
+
+	const [timestamp, signature] = headerValue.split('.')
+	if (!/^\d+$/.test(timestamp) || !signature) {
+		return false
+	}
+	if (
+		Math.abs(now.getTime() / 1000 - Number(timestamp)) >
+		APP_PROXY_MAX_AGE_SECONDS
+	) {
+		return false
+	}
+
+	return safeEqual(debugSignature(timestamp, SHOPIFY_API_SECRET), signature)
+}
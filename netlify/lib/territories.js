@@ -0,0 +1,138 @@
+import { logger } from './logger.js'
+import { readShopState } from './shop-state.js'
+
+// Assignment of reservations to territory managers. The territory table is a
+// JSON shop metafield (reservation_app.territories) so sales operations can
+// change it in the Shopify admin without a deploy:
+//
+// [
+//   {
+//     "id": "pacific-northwest",
+//     "manager": { "name": "Jane Doe", "email": "jane.doe@example.com" },
+//     "us_zip_ranges": ["97000-97999", "98000-99499"],
+//     "ca_fsa_prefixes": ["V", "T2"]
+//   }
+// ]
+//
+// A US ZIP code matches by its first five digits, a Canadian postal code by
+// its forward sortation area (the first three characters). When several
+// territories match, the most specific one wins: the narrowest ZIP range or
+// the longest FSA prefix.
+
+const TERRITORY_STATE_KEY = 'territories'
+
+const ZIP_RANGE_PATTERN = /^(\d{5})(?:-(\d{5}))?$/
+const FSA_PREFIX_PATTERN = /^[A-Z](\d[A-Z]?)?$/
+
+/**
+ * Checks a territory table and drops the entries that cannot be used
+ * @param {*} value - The parsed metafield value
+ * @returns {Object[]} Territories with their ZIP ranges as numbers
+ */
+export function parseTerritoryTable(value) {
+	if (!Array.isArray(value)) {
+		if (value !== null) {
+			logger.warn('Territory table is not an array, ignoring it')
+		}
+		return []
+	}
+
+	const territories = []
+	for (const entry of value) {
+		const manager = entry && entry.manager
+		if (!entry || !entry.id || !manager || !manager.name) {
+			logger.warn('Skipping territory without an id or manager name', {
+				territory: entry && entry.id,
+			})
+			continue
+		}
+
+		const zipRanges = []
+		for (const range of entry.us_zip_ranges || []) {
+			const match = ZIP_RANGE_PATTERN.exec(String(range).trim())
+			if (!match) {
+				logger.warn('Skipping malformed ZIP range', {
+					territory: entry.id,
+					range,
+				})
+				continue
+			}
+			zipRanges.push([Number(match[1]), Number(match[2] || match[1])])
+		}
+
+		const fsaPrefixes = []
+		for (const prefix of entry.ca_fsa_prefixes || []) {
+			const normalized = String(prefix).trim().toUpperCase()
+			if (!FSA_PREFIX_PATTERN.test(normalized)) {
+				logger.warn('Skipping malformed FSA prefix', {
+					territory: entry.id,
+					prefix,
+				})
+				continue
+			}
+			fsaPrefixes.push(normalized)
+		}
+
+		territories.push({
+			id: String(entry.id),
+			manager: { name: manager.name, email: manager.email || null },
+			zipRanges,
+			fsaPrefixes,
+		})
+	}
+	return territories
+}
+
+/**
+ * Finds the territory of a postal code
+ * @param {Object[]} territories - Table returned by parseTerritoryTable
+ * @param {string} zipCode - Postal code as normalized by validateCustomerInfo
+ * @param {string} country - `us` or `ca`
+ * @returns {{id: string, manager: {name: string, email: string|null}}|null}
+ *   The territory, or null when none covers the postal code
+ */
+export function findTerritory(territories, zipCode, country) {
+	let best = null
+	// Lower is more specific: the width of a ZIP range, or minus the length of
+	// an FSA prefix
+	let bestSpecificity = Infinity
+
+	if (country === 'us') {
+		const zip = Number(zipCode.slice(0, 5))
+		for (const territory of territories) {
+			for (const [start, end] of territory.zipRanges) {
+				if (zip >= start && zip <= end && end - start < bestSpecificity) {
+					best = territory
+					bestSpecificity = end - start
+				}
+			}
+		}
+	} else if (country === 'ca') {
+		const fsa = zipCode.slice(0, 3).toUpperCase()
+		for (const territory of territories) {
+			for (const prefix of territory.fsaPrefixes) {
+				if (fsa.startsWith(prefix) && -prefix.length < bestSpecificity) {
+					best = territory
+					bestSpecificity = -prefix.length
+				}
+			}
+		}
+	}
+
+	return best && { id: best.id, manager: best.manager }
+}
+
+/**
+ * Assigns a reservation to the territory manager of the customer's postal
+ * code, using the territory table of the shop
+ * @param {Object} customerInfo - Info returned by validateCustomerInfo
+ * @returns {Promise<Object|null>} See findTerritory
+ */
+export async function assignTerritory(customerInfo) {
+	const { value } = await readShopState(TERRITORY_STATE_KEY)
+	return findTerritory(
+		parseTerritoryTable(value),
+		customerInfo.zip_code,
+		customerInfo.country
+	)
+}
@@ -0,0 +1,183 @@
+import crypto from 'crypto'
+import { renderWaitlistNotification } from './email-templates.js'
+import { logger } from './logger.js'
+import { getMailTransport } from './mailer.js'
+import { translateItemTitles } from './product-translations.js'
+import { readShopState, updateShopState } from './shop-state.js'
+import { shopifyGraphql } from './shopify-admin.js'
+
+// Waitlists for reserved products. Shoppers who get PRODUCT_ALREADY_RESERVED
+// can join the waitlist of the product; when its reservation expires or is
+// released, the first shopper in line is emailed that it can be reserved
+// again and leaves the list. The lists are one shop state entry, by product.
+
+const WAITLIST_STATE_KEY = 'waitlist'
+
+// Longest a product's waitlist gets
+export const MAX_WAITLIST_LENGTH = 25
+
+// How long a shopper stays on a waitlist without being notified
+const WAITLIST_RETENTION_MS =
+	Number(process.env.WAITLIST_RETENTION_DAYS || 30) * 24 * 60 * 60 * 1000
+
+/**
+ * Drops expired entries and the products left without any
+ */
+function pruneWaitlists(waitlists, now) {
+	const kept = {}
+	for (const [productId, entries] of Object.entries(waitlists || {})) {
+		const current = entries.filter(
+			(entry) => now - Date.parse(entry.joined_at) < WAITLIST_RETENTION_MS
+		)
+		if (current.length > 0) {
+			kept[productId] = current
+		}
+	}
+	return kept
+}
+
+/**
+ * Adds a shopper to the waitlist of a product. Joining again with the same
+ * email keeps the original place in line.
+ * @param {number|string} productId - The reserved product
+ * @param {Object} customerInfo - Info returned by validateCustomerInfo; only
+ *   the email is kept
+ * @param {string} language - Language to notify the shopper in
+ * @param {Date} [now] - Current time
+ * @returns {Promise<{joined: boolean, position: number|null}>} The 1-based
+ *   place in line, or joined false when the waitlist is full
+ */
+export async function joinWaitlist(
+	productId,
+	customerInfo,
+	language,
+	now = new Date()
+) {
+	const email = customerInfo.email.toLowerCase()
+	let result = null
+
+	await updateShopState(WAITLIST_STATE_KEY, (value) => {
+		const waitlists = pruneWaitlists(value, now.getTime())
+		const entries = waitlists[productId] || []
+
+		const existing = entries.findIndex((entry) => entry.email === email)
+		if (existing !== -1) {
+			result = { joined: true, position: existing + 1 }
+			return undefined
+		}
+		if (entries.length >= MAX_WAITLIST_LENGTH) {
+			result = { joined: false, position: null }
+			return undefined
+		}
+
+		waitlists[productId] = [
+			...entries,
+			{
+				id: crypto.randomUUID(),
+				email,
+				language: language || 'en',
+				joined_at: now.toISOString(),
+			},
+		]
+		result = { joined: true, position: waitlists[productId].length }
+		return waitlists
+	})
+
+	return result
+}
+
+/**
+ * Gets what the waitlist email links to, in the shopper's language
+ */
+async function getProductListing(productId, language) {
+	const data = await shopifyGraphql(
+		`query WaitlistProduct($id: ID!) {
+			product(id: $id) {
+				title
+				onlineStoreUrl
+			}
+		}`,
+		{ id: `gid://shopify/Product/${productId}` }
+	)
+	const { product } = data
+	if (!product) {
+		return null
+	}
+
+	const [item] = await translateItemTitles(
+		[{ product_id: Number(productId), title: product.title }],
+		language
+	)
+
+	let url = product.onlineStoreUrl
+	if (url && language && language !== 'en') {
+		// Same locale prefix as the storefront form's confirmation redirect
+		const localized = new URL(url)
+		localized.pathname = `/${language}${localized.pathname}`
+		url = localized.toString()
+	}
+	return { title: item.title, url }
+}
+
+/**
+ * Emails the first shopper on a product's waitlist that it can be reserved
+ * again, and takes them off the list. Called once the product is released;
+ * failures are logged so they never undo the release.
+ * @param {number|string} productId - The released product
+ * @param {Date} [now] - Current time
+ * @returns {Promise<string>} `notified`, `empty`, `skipped` (email is off) or
+ *   `failed`
+ */
+export async function notifyWaitlist(productId, now = new Date()) {
+	const from = process.env.MAIL_FROM
+	try {
+		const transport = getMailTransport()
+		if (!transport || !from) {
+			return 'skipped'
+		}
+
+		const { value } = await readShopState(WAITLIST_STATE_KEY)
+		const [next] = pruneWaitlists(value, now.getTime())[productId] || []
+		if (!next) {
+			return 'empty'
+		}
+
+		const listing = await getProductListing(productId, next.language)
+		if (listing) {
+			await transport.send({
+				from,
+				to: next.email,
+				replyTo: process.env.MAIL_REPLY_TO || undefined,
+				...renderWaitlistNotification({
+					language: next.language,
+					productTitle: listing.title,
+					productUrl: listing.url,
+				}),
+			})
+		}
+
+		// Shoppers are only told once; a deleted product empties its waitlist
+		await updateShopState(WAITLIST_STATE_KEY, (current) => {
+			const waitlists = pruneWaitlists(current, now.getTime())
+			const remaining = listing
+				? (waitlists[productId] || []).filter((entry) => entry.id !== next.id)
+				: []
+			if (remaining.length > 0) {
+				waitlists[productId] = remaining
+			} else {
+				delete waitlists[productId]
+			}
+			return waitlists
+		})
+
+		logger.info('Notified waitlist', {
+			product_id: productId,
+			email: next.email,
+			product_found: !!listing,
+		})
+		return listing ? 'notified' : 'empty'
+	} catch (error) {
+		logger.error('Error notifying waitlist', { product_id: productId, error })
+		return 'failed'
+	}
+}
@@ -0,0 +1,142 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+// Mock axios before importing the module
+vi.mock('axios', () => ({
+	default: {
+		post: vi.fn(),
+	},
+}))
+
+// Mock environment variables - a stricter threshold for one action
+const originalEnv = process.env
+vi.stubGlobal('process', {
+	env: {
+		...originalEnv,
+		BOT_PROTECTION_ACTIONS: JSON.stringify({
+			reserve_product: { min_score: 0.5, hostname: 'test-shop.myshopify.com' },
+		}),
+	},
+})
+
+const axios = await import('axios')
+const { createBotVerifier, createFakeVerifier, verifyBotToken } = await import(
+	'../netlify/lib/bot-protection.js'
+)
+
+const mockedAxios = vi.mocked(axios.default)
+
+const verifier = createFakeVerifier({
+	human: { score: 0.9, hostname: 'test-shop.myshopify.com' },
+	borderline: { score: 0.6, hostname: 'test-shop.myshopify.com' },
+	'other-action': {
+		score: 0.9,
+		action: 'login',
+		hostname: 'test-shop.myshopify.com',
+	},
+	'other-site': { score: 0.9, hostname: 'evil.example.com' },
+})
+
+describe('bot-protection.js', () => {
+	beforeEach(() => {
+		vi.clearAllMocks()
+	})
+
+	describe('verifyBotToken', () => {
+		it('applies the threshold of the action', async () => {
+			expect(
+				await verifyBotToken(verifier, 'borderline', 'reserve_product')
+			).toEqual({ passed: true, reason: null, score: 0.6 })
+			// Other actions keep the default threshold of 0.7
+			expect(
+				(await verifyBotToken(verifier, 'borderline', 'contact')).reason
+			).toBe('score-too-low')
+		})
+
+		it('rejects tokens issued for another action or hostname', async () => {
+			expect(
+				(await verifyBotToken(verifier, 'other-action', 'reserve_product'))
+					.reason
+			).toBe('action-mismatch: login')
+			expect(
+				(await verifyBotToken(verifier, 'other-site', 'reserve_product')).reason
+			).toBe('hostname-mismatch: evil.example.com')
+		})
+
+		it('rejects missing and unknown tokens', async () => {
+			expect(
+				(await verifyBotToken(verifier, undefined, 'reserve_product')).reason
+			).toBe('missing-token')
+			expect(
+				(await verifyBotToken(verifier, 'forged', 'reserve_product')).passed
+			).toBe(false)
+		})
+	})
+
+	describe('createBotVerifier', () => {
+		it('posts the token to reCAPTCHA siteverify', async () => {
+			mockedAxios.post.mockResolvedValue({
+				data: {
+					success: true,
+					score: 0.8,
+					action: 'reserve_product',
+					hostname: 'test-shop.myshopify.com',
+				},
+			})
+
+			const result = await createBotVerifier('recaptcha', 'secret').verify(
+				'token',
+				{ remoteIp: '203.0.113.7' }
+			)
+
+			expect(result).toEqual({
+				success: true,
+				score: 0.8,
+				action: 'reserve_product',
+				hostname: 'test-shop.myshopify.com',
+				errorCodes: [],
+			})
+			expect(mockedAxios.post).toHaveBeenCalledWith(
+				'https://www.google.com/recaptcha/api/siteverify',
+				'secret=secret&response=token&remoteip=203.0.113.7',
+				expect.any(Object)
+			)
+		})
+
+		it('reads Turnstile results, which have no score', async () => {
+			mockedAxios.post.mockResolvedValue({
+				data: { success: false, 'error-codes': ['timeout-or-duplicate'] },
+			})
+
+			const result = await createBotVerifier('turnstile', 'secret').verify(
+				'token'
+			)
+
+			expect(mockedAxios.post.mock.calls[0][0]).toContain(
+				'challenges.cloudflare.com'
+			)
+			expect(result).toMatchObject({
+				success: false,
+				score: null,
+				errorCodes: ['timeout-or-duplicate'],
+			})
+		})
+
+		it('turns the hCaptcha risk score into a human score', async () => {
+			mockedAxios.post.mockResolvedValue({
+				data: { success: true, score: 0.2 },
+			})
+
+			const result = await createBotVerifier('hcaptcha', 'secret').verify(
+				'token'
+			)
+
+			expect(result.score).toBeCloseTo(0.8)
+		})
+
+		it('rejects unknown providers', () => {
+			expect(() => createBotVerifier('captchaland', 'secret')).toThrow(
+				'Unknown bot protection provider'
+			)
+		})
+	})
+})
@@ -1,4 +1,8 @@
-import { describe, it, expect, vi, beforeEach } from 'vitest'
+import crypto from 'crypto'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
 
 // Mock axios before importing the handler
 vi.mock('axios', () => ({
@@ -9,16 +13,6 @@ vi.mock('axios', () => ({
 	},
 }))
 
-// Mock crypto
-vi.mock('crypto', () => ({
-	default: {
-		createHmac: vi.fn(() => ({
-			update: vi.fn().mockReturnThis(),
-			digest: vi.fn(() => 'test-signature'),
-		})),
-	},
-}))
-
 // Mock environment variables - include secret so signature verification works
 const originalEnv = process.env
 vi.stubGlobal('process', {
@@ -27,29 +21,366 @@ vi.stubGlobal('process', {
 		SHOP_DOMAIN: 'test-shop.myshopify.com',
 		SHOPIFY_ACCESS_TOKEN: 'test-token',
 		SHOPIFY_API_VERSION: '2025-01',
-		SHOPIFY_API_SECRET: 'test-secret', // so verification can work with mocked crypto
+		SHOPIFY_API_SECRET: 'test-secret', // signs the app proxy query below
 	},
 })
 
 // Import the actual handler after mocking
 const axios = await import('axios')
 const { handler } = await import('../netlify/functions/create-draft-order.js')
+const { isValidReservationNumber } = await import(
+	'../netlify/lib/reservation-number.js'
+)
+const { signDebugHeader } = await import(
+	'../netlify/lib/shopify-verification.js'
+)
 
 const mockedAxios = vi.mocked(axios.default)
 
+// Query parameters as the app proxy sends them, signed with the test secret
+function signedProxyQuery(params = {}) {
+	const query = {
+		shop: 'test-shop.myshopify.com',
+		path_prefix: '/apps/create-draft-order',
+		timestamp: String(Math.floor(Date.now() / 1000)),
+		...params,
+	}
+	const message = Object.keys(query)
+		.sort()
+		.map((key) => `${key}=${query[key]}`)
+		.join('')
+	query.signature = crypto
+		.createHmac('sha256', 'test-secret')
+		.update(message)
+		.digest('hex')
+	return query
+}
+
+const UNKNOWN_VARIANT = {}
+
+// Products of the mocked variants, by product ID
+const MULTI_ITEM_PRODUCTS = {
+	67890: { title: 'First Package', stockingNumber: 'r1001' },
+	67891: { title: 'Second Package', stockingNumber: 'r1002' },
+}
+
+// Routes Admin GraphQL operations by the operation they contain
+function mockShopifyPost({
+	availabilityStatus = null,
+	availabilityByProduct = {},
+	claimErrors = [],
+	draftOrderError = null,
+	draftOrderUserErrors = [],
+	variantError = null,
+	products = {},
+	beforeDraftOrderCreate = null,
+	customers = {},
+	customerTags = {},
+	customerError = null,
+	territories = null,
+	translations = {},
+} = {}) {
+	// Shop metafields written by the handler, e.g. the reservation sequence
+	const shopState = {}
+	if (territories) {
+		shopState.territories = {
+			value: JSON.stringify(territories),
+			compareDigest: 'digest-territories',
+		}
+	}
+
+	mockedAxios.post.mockImplementation((url, body) => {
+		if (!url.includes('graphql.json')) {
+			return Promise.resolve({ data: {} })
+		}
+		// Existing customers: `customers` maps their IDs to their emails
+		if (body.query.includes('CustomerByEmail')) {
+			const email = body.variables.query.match(/email:"(.*)"/)[1]
+			const id = Object.keys(customers).find((id) => customers[id] === email)
+			return Promise.resolve({
+				data: {
+					data: {
+						customers: {
+							nodes: id ? [{ id: `gid://shopify/Customer/${id}` }] : [],
+						},
+					},
+				},
+			})
+		}
+		if (body.query.includes('CustomerById')) {
+			const id = body.variables.id.split('/').pop()
+			return Promise.resolve({
+				data: {
+					data: {
+						customer:
+							id in customers
+								? { id: body.variables.id, tags: customerTags[id] || [] }
+								: null,
+					},
+				},
+			})
+		}
+		if (body.query.includes('customerCreate')) {
+			return Promise.resolve({
+				data: {
+					data: {
+						customerCreate: {
+							customer: { id: 'gid://shopify/Customer/777' },
+							userErrors: [],
+						},
+					},
+				},
+			})
+		}
+		if (
+			body.query.includes('UpdateReservationCustomer') ||
+			body.query.includes('TagReservationCustomer')
+		) {
+			if (customerError) {
+				return Promise.reject(customerError)
+			}
+			return Promise.resolve({
+				data: {
+					data: {
+						tagsAdd: { userErrors: [] },
+						tagsRemove: { userErrors: [] },
+						metafieldsSet: { userErrors: [] },
+					},
+				},
+			})
+		}
+		if (body.query.includes('query ShopState')) {
+			return Promise.resolve({
+				data: {
+					data: {
+						shop: {
+							id: 'gid://shopify/Shop/1',
+							metafield: shopState[body.variables.key] || null,
+						},
+					},
+				},
+			})
+		}
+		if (
+			body.query.includes('metafieldsSet') &&
+			body.variables.metafields[0].ownerId === 'gid://shopify/Shop/1'
+		) {
+			for (const metafield of body.variables.metafields) {
+				shopState[metafield.key] = {
+					value: metafield.value,
+					compareDigest: `digest-${metafield.value.length}`,
+				}
+			}
+			return Promise.resolve({
+				data: { data: { metafieldsSet: { userErrors: [] } } },
+			})
+		}
+		if (body.query.includes('productVariant')) {
+			if (variantError) {
+				return Promise.reject(variantError)
+			}
+			// Variant 12345 belongs to product 67890, 12346 to 67891, ...
+			const variantId = body.variables.id.split('/').pop()
+			const productId = String(Number(variantId) - 12345 + 67890)
+			const product = products[productId] || {}
+			if (product === UNKNOWN_VARIANT) {
+				return Promise.resolve({ data: { data: { productVariant: null } } })
+			}
+			return Promise.resolve({
+				data: {
+					data: {
+						productVariant: {
+							id: body.variables.id,
+							legacyResourceId: variantId,
+							price: '1250.00',
+							sku: `SKU-${variantId}`,
+							product: {
+								id: `gid://shopify/Product/${productId}`,
+								legacyResourceId: productId,
+								title: product.title || 'Test Product',
+								handle: 'r1234',
+								stockingNumber: product.stockingNumber
+									? { value: product.stockingNumber }
+									: null,
+							},
+						},
+					},
+				},
+			})
+		}
+		// `translations` maps locales to translated titles by product ID
+		if (body.query.includes('ProductTitleTranslations')) {
+			const titles = translations[body.variables.locale] || {}
+			const nodes = body.variables.ids.map((resourceId) => {
+				const title = titles[resourceId.split('/').pop()]
+				return {
+					resourceId,
+					translations: title ? [{ key: 'title', value: title }] : [],
+				}
+			})
+			return Promise.resolve({
+				data: { data: { translatableResourcesByIds: { nodes } } },
+			})
+		}
+		if (body.query.includes('ProductAvailability')) {
+			const nodes = body.variables.ids.map((id) => {
+				const productId = id.split('/').pop()
+				return {
+					id,
+					availabilityStatus:
+						productId in availabilityByProduct
+							? availabilityByProduct[productId]
+							: availabilityStatus,
+				}
+			})
+			return Promise.resolve({ data: { data: { nodes } } })
+		}
+		if (body.query.includes('metafieldsSet')) {
+			const isClaim = body.variables.metafields.some(
+				(m) => 'compareDigest' in m
+			)
+			return Promise.resolve({
+				data: {
+					data: {
+						metafieldsSet: { userErrors: isClaim ? claimErrors : [] },
+					},
+				},
+			})
+		}
+		if (body.query.includes('draftOrderCreate')) {
+			if (beforeDraftOrderCreate) {
+				const callback = beforeDraftOrderCreate
+				beforeDraftOrderCreate = null
+				return callback().then(() => draftOrderCreateResponse())
+			}
+			return draftOrderCreateResponse()
+		}
+		return Promise.resolve({
+			data: { data: { metafieldsDelete: { userErrors: [] } } },
+		})
+	})
+
+	function draftOrderCreateResponse() {
+		if (draftOrderError) {
+			return Promise.reject(draftOrderError)
+		}
+		return Promise.resolve({
+			data: {
+				data: {
+					draftOrderCreate: {
+						draftOrder:
+							draftOrderUserErrors.length > 0
+								? null
+								: {
+										id: 'gid://shopify/DraftOrder/123456',
+										legacyResourceId: '123456',
+										name: '#D1001',
+								  },
+						userErrors: draftOrderUserErrors,
+					},
+				},
+			},
+		})
+	}
+}
+
+function graphqlCalls(operation) {
+	return mockedAxios.post.mock.calls
+		.filter(
+			([url, body]) =>
+				url.includes('graphql.json') && body.query.includes(operation)
+		)
+		.map(([, body]) => body)
+}
+
+function draftOrderCreateCalls() {
+	return graphqlCalls('draftOrderCreate')
+}
+
+// Product metafield writes, leaving out the shop state
+function metafieldsSetCalls() {
+	return graphqlCalls('metafieldsSet')
+		.map((body) => body.variables.metafields)
+		.filter((metafields) => metafields[0].ownerId.includes('/Product/'))
+}
+
+// Answers the ReservationByNumber lookup with a draft order, overridden by
+// `reservation`, or with none when it is null, after the `others` that carry
+// the same tag
+function mockReservation(reservation, others = []) {
+	mockedAxios.post.mockResolvedValue({
+		data: {
+			data: {
+				draftOrders: {
+					nodes: reservation
+						? [
+								...others,
+								{
+									status: 'OPEN',
+									email: 'test@example.com',
+									createdAt: '2099-06-12T14:00:00Z',
+									tags: ['Reservation', 'RES-250612-1234-3'],
+									metafields: {
+										nodes: [
+											{
+												key: 'reservation_number',
+												value:
+													(reservation.tags || []).find((tag) =>
+														tag.startsWith('RES-')
+													) || 'RES-250612-1234-3',
+											},
+											{ key: 'hold_expiry_date', value: '2099-06-16' },
+											{ key: 'product_title', value: 'Test Package' },
+											{ key: 'stocking_number', value: 'R1234' },
+											{ key: 'practice_name', value: 'Test Practice' },
+											{ key: 'customer_email', value: 'test@example.com' },
+											{ key: 'customer_zip_code', value: '12345' },
+											{ key: 'customer_country', value: 'United States' },
+											{ key: 'customer_role', value: 'Doctor' },
+											{
+												key: 'items',
+												value: JSON.stringify([
+													{ title: 'Test Package', stocking_number: 'R1234' },
+												]),
+											},
+										],
+									},
+									lineItems: {
+										nodes: [
+											{
+												product: {
+													availabilityStatus: { value: 'Reserved' },
+													reservationNumber: { value: 'RES-250612-1234-3' },
+												},
+											},
+										],
+									},
+									...reservation,
+								},
+						  ]
+						: others,
+				},
+			},
+		},
+	})
+}
+
 describe('create-draft-order.js - Real Logic Tests', () => {
 	let baseEvent
 
+	function withLineItems(lineItems) {
+		const body = JSON.parse(baseEvent.body)
+		body.draft_order.line_items = lineItems
+		return { ...baseEvent, body: JSON.stringify(body) }
+	}
+
 	beforeEach(() => {
 		vi.clearAllMocks()
 
 		// Base event with minimal required params
 		baseEvent = {
 			httpMethod: 'POST',
-			queryStringParameters: {
-				signature: 'test-signature',
-				timestamp: '1609459200',
-			},
+			queryStringParameters: signedProxyQuery(),
 			body: JSON.stringify({
 				draft_order: {
 					line_items: [
@@ -60,12 +391,13 @@ describe('create-draft-order.js - Real Logic Tests', () => {
 							quantity: 1,
 						},
 					],
-					customer: {
-						email: 'test@example.com',
-						first_name: 'Test',
-						last_name: 'Customer',
-					},
-					note: 'Practice Name: Test Practice\nZIP/Postal Code: 12345\nCountry: Canada\nRole: Dentist',
+				},
+				customer_info: {
+					practice_name: 'Test Practice',
+					email: 'test@example.com',
+					zip_code: '12345',
+					country: 'us',
+					role: 'Doctor',
 				},
 				language: 'en',
 			}),
@@ -80,7 +412,8 @@ describe('create-draft-order.js - Real Logic Tests', () => {
 
 			expect(result.statusCode).toBe(405)
 			const body = JSON.parse(result.body)
-			expect(body.error).toBe('Method not allowed')
+			expect(body.error_type).toBe('METHOD_NOT_ALLOWED')
+			expect(body.error).toBe('This request is not supported.')
 		})
 
 		it('should return 204 for OPTIONS requests (CORS)', async () => {
@@ -111,7 +444,25 @@ describe('create-draft-order.js - Real Logic Tests', () => {
 
 			expect(result.statusCode).toBe(400)
 			const body = JSON.parse(result.body)
-			expect(body.error).toBe('Missing draft order data')
+			expect(body.error_type).toBe('MISSING_DRAFT_ORDER')
+		})
+
+		it('should return 422 with the invalid fields when customer info fails validation', async () => {
+			const body = JSON.parse(baseEvent.body)
+			body.customer_info.email = 'not-an-email'
+			body.customer_info.country = 'ca'
+			const invalidEvent = { ...baseEvent, body: JSON.stringify(body) }
+
+			const result = await handler(invalidEvent, {})
+
+			expect(result.statusCode).toBe(422)
+			const responseBody = JSON.parse(result.body)
+			expect(responseBody.error_type).toBe('VALIDATION_ERROR')
+			expect(responseBody.fields.map((field) => field.field)).toEqual([
+				'email',
+				'zip_code',
+			])
+			expect(mockedAxios.post).not.toHaveBeenCalled()
 		})
 
 		it('should return 400 for missing required query parameters', async () => {
@@ -124,90 +475,75 @@ describe('create-draft-order.js - Real Logic Tests', () => {
 
 			expect(result.statusCode).toBe(400)
 			const body = JSON.parse(result.body)
-			expect(body.error).toBe('Missing required query parameters')
+			expect(body.error_type).toBe('MISSING_SIGNATURE')
+		})
+
+		it('should return 401 for a replayed signed URL', async () => {
+			// Signed by Shopify an hour ago
+			const result = await handler(
+				{
+					...baseEvent,
+					queryStringParameters: signedProxyQuery({
+						timestamp: String(Math.floor(Date.now() / 1000) - 3600),
+					}),
+				},
+				{}
+			)
+
+			expect(result.statusCode).toBe(401)
+			expect(draftOrderCreateCalls()).toHaveLength(0)
+		})
+
+		it('should return 401 when a signed parameter was changed', async () => {
+			const result = await handler(
+				{
+					...baseEvent,
+					queryStringParameters: {
+						...baseEvent.queryStringParameters,
+						logged_in_customer_id: '42',
+					},
+				},
+				{}
+			)
+
+			expect(result.statusCode).toBe(401)
 		})
 	})
 
 	describe('Product Reservation Logic', () => {
 		it('should return 200 for successful reservation when product is available', async () => {
-			// Mock successful API responses
-			mockedAxios.get.mockImplementation((url) => {
-				if (url.includes('/variants/12345')) {
-					return Promise.resolve({
-						data: { variant: { product_id: 67890, id: 12345 } },
-					})
-				}
-				if (url.includes('/products/67890.json')) {
-					return Promise.resolve({
-						data: { product: { id: 67890, title: 'Test Product' } },
-					})
-				}
-				if (url.includes('/metafields.json')) {
-					// Mock metafields response - product has "Available" status
-					return Promise.resolve({
-						data: {
-							metafields: [
-								{
-									namespace: 'custom',
-									key: 'availability_status',
-									value: 'In stock',
-								},
-							],
-						},
-					})
-				}
-				return Promise.resolve({ data: {} })
+			// Product has "In stock" status
+			mockShopifyPost({
+				availabilityStatus: { value: 'In stock', compareDigest: 'digest-1' },
 			})
 
-			mockedAxios.post.mockImplementation((url) => {
-				if (url.includes('draft_orders.json')) {
-					return Promise.resolve({
-						data: { draft_order: { id: 123456, name: '#D1001' } },
-					})
-				}
-				return Promise.resolve({ data: {} })
-			})
-
-			mockedAxios.put.mockResolvedValue({ data: {} })
-
 			const result = await handler(baseEvent, {})
 
 			expect(result.statusCode).toBe(200)
 			const body = JSON.parse(result.body)
 			expect(body.success).toBe(true)
-			expect(body.reservation_number).toMatch(/^RES-\d{6}-\d{4}$/)
-			expect(body.product_id).toBe(67890)
-			expect(body.draft_order.id).toBe(123456)
+			expect(body.reservation_number).toMatch(/^RES-\d{6}-\d{4}-\d$/)
+			expect(body.items).toEqual([
+				{ title: 'Test Product', stocking_number: 'R1234' },
+			])
+		})
+
+		it('should issue consecutive, check-digit protected reservation numbers', async () => {
+			mockShopifyPost({ availabilityStatus: null })
+
+			const first = JSON.parse((await handler(baseEvent, {})).body)
+			const second = JSON.parse((await handler(baseEvent, {})).body)
+
+			expect(first.reservation_number).toMatch(/^RES-\d{6}-0001-\d$/)
+			expect(second.reservation_number).toMatch(/^RES-\d{6}-0002-\d$/)
+			expect(isValidReservationNumber(first.reservation_number)).toBe(true)
+			expect(isValidReservationNumber(second.reservation_number)).toBe(true)
 		})
 
 		it('should return 409 when product is already reserved - REAL CONFLICT DETECTION', async () => {
-			// Mock API responses showing product IS reserved
-			mockedAxios.get.mockImplementation((url) => {
-				if (url.includes('/variants/12345')) {
-					return Promise.resolve({
-						data: { variant: { product_id: 67890, id: 12345 } },
-					})
-				}
-				if (url.includes('/products/67890.json')) {
-					return Promise.resolve({
-						data: { product: { id: 67890, title: 'Test Product' } },
-					})
-				}
-				if (url.includes('/metafields.json')) {
-					// Mock metafields response - product has "Reserved" status
-					return Promise.resolve({
-						data: {
-							metafields: [
-								{
-									namespace: 'custom',
-									key: 'availability_status',
-									value: 'Reserved',
-								},
-							],
-						},
-					})
-				}
-				return Promise.resolve({ data: {} })
+			// Product has "Reserved" status
+			mockShopifyPost({
+				availabilityStatus: { value: 'Reserved', compareDigest: 'digest-1' },
 			})
 
 			const result = await handler(baseEvent, {})
@@ -215,127 +551,1516 @@ describe('create-draft-order.js - Real Logic Tests', () => {
 			expect(result.statusCode).toBe(409)
 			const body = JSON.parse(result.body)
 			expect(body.success).toBe(false)
-			expect(body.error).toBe('Product is already reserved')
+			expect(body.error).toBe('This package has already been reserved.')
 			expect(body.error_type).toBe('PRODUCT_ALREADY_RESERVED')
-			expect(body.product_id).toBe(67890)
+			expect(body.product_title).toBe('Test Product')
+			expect(body.conflicts).toEqual([{ product_title: 'Test Product' }])
+			// Internal product IDs stay out of the public body
+			expect(body).not.toHaveProperty('product_id')
+			expect(body).not.toHaveProperty('debug')
+			expect(draftOrderCreateCalls()).toHaveLength(0)
 		})
 
-		it('should return 200 when product has no availability_status metafield (not reserved)', async () => {
-			// Mock API responses showing product has no availability_status metafield
-			mockedAxios.get.mockImplementation((url) => {
-				if (url.includes('/variants/12345')) {
-					return Promise.resolve({
-						data: { variant: { product_id: 67890, id: 12345 } },
-					})
-				}
-				if (url.includes('/products/67890.json')) {
-					return Promise.resolve({
-						data: { product: { id: 67890, title: 'Test Product' } },
-					})
-				}
-				if (url.includes('/metafields.json')) {
-					// Mock metafields response - no availability_status metafield
-					return Promise.resolve({
-						data: {
-							metafields: [
-								{
-									namespace: 'custom',
-									key: 'some_other_field',
-									value: 'some_value',
-								},
-							],
-						},
-					})
-				}
-				return Promise.resolve({ data: {} })
+		it('should give signed debug requests the IDs of the reserved products', async () => {
+			mockShopifyPost({
+				availabilityStatus: { value: 'Reserved', compareDigest: 'digest-1' },
 			})
 
-			mockedAxios.post.mockImplementation((url) => {
-				if (url.includes('draft_orders.json')) {
-					return Promise.resolve({
-						data: { draft_order: { id: 123456, name: '#D1001' } },
-					})
-				}
-				return Promise.resolve({ data: {} })
+			const result = await handler(
+				{ ...baseEvent, headers: { 'x-reservation-debug': signDebugHeader() } },
+				{}
+			)
+
+			expect(result.statusCode).toBe(409)
+			const body = JSON.parse(result.body)
+			expect(body.conflicts).toEqual([{ product_title: 'Test Product' }])
+			expect(body.debug).toEqual({ product_ids: [67890] })
+		})
+
+		it('should not reserve a product that has been sold', async () => {
+			mockShopifyPost({
+				availabilityStatus: { value: 'Sold', compareDigest: 'digest-1' },
 			})
 
-			mockedAxios.put.mockResolvedValue({ data: {} })
+			const result = await handler(baseEvent, {})
+
+			expect(result.statusCode).toBe(409)
+			const body = JSON.parse(result.body)
+			expect(body.error_type).toBe('PRODUCT_UNAVAILABLE')
+			expect(body.error).toBe('This package is no longer available.')
+			// The Sold status is never overwritten
+			expect(metafieldsSetCalls()).toHaveLength(0)
+			expect(draftOrderCreateCalls()).toHaveLength(0)
+		})
+
+		it('should return 200 when product has no availability_status metafield (not reserved)', async () => {
+			mockShopifyPost({ availabilityStatus: null })
 
 			const result = await handler(baseEvent, {})
 
 			expect(result.statusCode).toBe(200)
 			const body = JSON.parse(result.body)
 			expect(body.success).toBe(true)
-			expect(body.reservation_number).toMatch(/^RES-\d{6}-\d{4}$/)
-			expect(body.product_id).toBe(67890)
-			expect(body.draft_order.id).toBe(123456)
+			expect(body.reservation_number).toMatch(/^RES-\d{6}-\d{4}-\d$/)
+			expect(body.items).toEqual([
+				{ title: 'Test Product', stocking_number: 'R1234' },
+			])
+
+			// The claim must only succeed if nobody created the metafield meanwhile
+			const claim = metafieldsSetCalls()[0].find(
+				(m) => m.key === 'availability_status'
+			)
+			expect(claim).toMatchObject({ value: 'Reserved', compareDigest: null })
+		})
+
+		it('should return 409 without creating a draft order when another request claims the product first', async () => {
+			// Both requests read "In stock", but the other request wrote first
+			mockShopifyPost({
+				availabilityStatus: { value: 'In stock', compareDigest: 'digest-1' },
+				claimErrors: [
+					{
+						field: ['metafields', '0'],
+						message: 'The resource has been updated since it was loaded.',
+						code: 'STALE_OBJECT',
+					},
+				],
+			})
+
+			const result = await handler(baseEvent, {})
+
+			expect(result.statusCode).toBe(409)
+			const body = JSON.parse(result.body)
+			expect(body.error_type).toBe('PRODUCT_ALREADY_RESERVED')
+			expect(draftOrderCreateCalls()).toHaveLength(0)
+
+			const claim = metafieldsSetCalls()[0].find(
+				(m) => m.key === 'availability_status'
+			)
+			expect(claim.compareDigest).toBe('digest-1')
 		})
 
-		it('should handle Shopify API errors gracefully and continue processing', async () => {
-			// Mock API failure for variant lookup but success for draft order creation
-			mockedAxios.get.mockRejectedValue(new Error('Shopify API Error'))
-			mockedAxios.post.mockResolvedValue({
-				data: { draft_order: { id: 123456, name: '#D1001' } },
+		it('should release the claim when the draft order cannot be created', async () => {
+			mockShopifyPost({
+				availabilityStatus: { value: 'In stock', compareDigest: 'digest-1' },
+				draftOrderError: new Error('Draft order creation failed'),
 			})
-			mockedAxios.put.mockResolvedValue({ data: {} })
 
 			const result = await handler(baseEvent, {})
 
-			// The function gracefully handles the error and continues with draft order creation
+			expect(result.statusCode).toBe(500)
+			// The previous status is restored and the reservation metafields removed
+			expect(metafieldsSetCalls()[1]).toEqual([
+				expect.objectContaining({
+					key: 'availability_status',
+					value: 'In stock',
+				}),
+			])
+			const deleteCall = mockedAxios.post.mock.calls.find(
+				([url, body]) =>
+					url.includes('graphql.json') &&
+					body.query.includes('metafieldsDelete')
+			)
+			expect(deleteCall[1].variables.metafields.map((m) => m.key)).toEqual([
+				'reservation_number',
+				'reservation_expiry_date',
+			])
+		})
+
+		it('should reserve every product of a multi-item reservation in one write', async () => {
+			mockShopifyPost({
+				availabilityStatus: { value: 'In stock', compareDigest: 'digest-1' },
+				products: MULTI_ITEM_PRODUCTS,
+			})
+			const multiItemEvent = withLineItems([
+				{ variant_id: 12345, quantity: 1 },
+				{ variant_id: 12346, quantity: 1 },
+			])
+
+			const result = await handler(multiItemEvent, {})
+
 			expect(result.statusCode).toBe(200)
 			const body = JSON.parse(result.body)
-			expect(body.success).toBe(true)
-			expect(body.reservation_number).toMatch(/^RES-\d{6}-\d{4}$/)
+			expect(body.items.map((item) => item.title)).toEqual([
+				'First Package',
+				'Second Package',
+			])
+
+			// Both products are claimed in a single metafieldsSet
+			const [claim, link] = metafieldsSetCalls()
+			expect(
+				claim
+					.filter((m) => m.key === 'availability_status')
+					.map((m) => m.ownerId)
+			).toEqual(['gid://shopify/Product/67890', 'gid://shopify/Product/67891'])
+			expect(link.map((m) => m.key)).toEqual([
+				'reservation_draft_order_id',
+				'reservation_draft_order_id',
+			])
+
+			// The products are recorded for the draft_orders/delete webhook
+			const [recorded] = graphqlCalls('SetShopState')
+				.flatMap((call) => call.variables.metafields)
+				.filter((metafield) => metafield.key === 'draft_order_products')
+			expect(JSON.parse(recorded.value)).toEqual({
+				123456: {
+					product_ids: ['67890', '67891'],
+					recorded_at: expect.any(String),
+				},
+			})
+
+			// Each item keeps its own stocking number on the draft order
+			const { metafields } = draftOrderCreateCalls()[0].variables.input
+			const items = metafields.find((m) => m.key === 'items')
+			expect(items.type).toBe('json')
+			expect(JSON.parse(items.value)).toEqual([
+				{
+					product_id: 67890,
+					variant_id: 12345,
+					title: 'First Package',
+					sku: 'SKU-12345',
+					price: '1250.00',
+					stocking_number: 'R1001',
+				},
+				{
+					product_id: 67891,
+					variant_id: 12346,
+					title: 'Second Package',
+					sku: 'SKU-12346',
+					price: '1250.00',
+					stocking_number: 'R1002',
+				},
+			])
+			expect(metafields).toContainEqual(
+				expect.objectContaining({
+					key: 'stocking_number',
+					value: 'R1001, R1002',
+				})
+			)
+		})
+
+		it('should list the conflicting products when one of several is already reserved', async () => {
+			mockShopifyPost({
+				availabilityStatus: { value: 'In stock', compareDigest: 'digest-1' },
+				availabilityByProduct: {
+					67891: { value: 'Reserved', compareDigest: 'digest-2' },
+				},
+				products: MULTI_ITEM_PRODUCTS,
+			})
+			const multiItemEvent = withLineItems([
+				{ variant_id: 12345, quantity: 1 },
+				{ variant_id: 12346, quantity: 1 },
+			])
+
+			const result = await handler(multiItemEvent, {})
+
+			expect(result.statusCode).toBe(409)
+			const body = JSON.parse(result.body)
+			expect(body.conflicts).toEqual([{ product_title: 'Second Package' }])
+			// Nothing is written for the product that was still available
+			expect(metafieldsSetCalls()).toHaveLength(0)
+			expect(draftOrderCreateCalls()).toHaveLength(0)
+		})
+
+		it('should report the product that lost the race for a multi-item claim', async () => {
+			mockShopifyPost({
+				availabilityStatus: { value: 'In stock', compareDigest: 'digest-1' },
+				claimErrors: [
+					{
+						field: ['metafields', '3'],
+						message: 'The resource has been updated since it was loaded.',
+						code: 'STALE_OBJECT',
+					},
+				],
+				products: MULTI_ITEM_PRODUCTS,
+			})
+			const multiItemEvent = withLineItems([
+				{ variant_id: 12345, quantity: 1 },
+				{ variant_id: 12346, quantity: 1 },
+			])
+
+			const result = await handler(multiItemEvent, {})
+
+			expect(result.statusCode).toBe(409)
+			expect(JSON.parse(result.body).conflicts).toEqual([
+				{ product_title: 'Second Package' },
+			])
+			expect(draftOrderCreateCalls()).toHaveLength(0)
+		})
+
+		it('should return 422 and release the claim when Shopify rejects the draft order', async () => {
+			mockShopifyPost({
+				availabilityStatus: { value: 'In stock', compareDigest: 'digest-1' },
+				draftOrderUserErrors: [
+					{ field: ['input', 'email'], message: 'Email is invalid' },
+				],
+			})
+
+			const result = await handler(baseEvent, {})
+
+			expect(result.statusCode).toBe(422)
+			const body = JSON.parse(result.body)
+			expect(body.success).toBe(false)
+			expect(body.error_type).toBe('DRAFT_ORDER_REJECTED')
+			// Shopify's messages stay out of the public response
+			expect(Object.keys(body).sort()).toEqual([
+				'error',
+				'error_type',
+				'success',
+			])
+			expect(graphqlCalls('metafieldsDelete')).toHaveLength(1)
+		})
+
+		it("should return Shopify's rejection only to signed debug requests", async () => {
+			mockShopifyPost({
+				availabilityStatus: { value: 'In stock', compareDigest: 'digest-1' },
+				draftOrderUserErrors: [
+					{ field: ['input', 'email'], message: 'Email is invalid' },
+				],
+			})
+
+			const result = await handler(
+				{ ...baseEvent, headers: { 'x-reservation-debug': signDebugHeader() } },
+				{}
+			)
+
+			expect(result.statusCode).toBe(422)
+			expect(JSON.parse(result.body).debug).toEqual({
+				shopify_errors: [
+					{ field: ['input', 'email'], message: 'Email is invalid' },
+				],
+			})
+		})
+
+		it("should not pass Shopify's status through on API errors", async () => {
+			const apiError = new Error('Request failed with status code 404')
+			apiError.response = { status: 404, data: { errors: 'Not Found' } }
+			mockShopifyPost({
+				availabilityStatus: { value: 'In stock', compareDigest: 'digest-1' },
+				draftOrderError: apiError,
+			})
+
+			const result = await handler(baseEvent, {})
+
+			expect(result.statusCode).toBe(502)
+			const body = JSON.parse(result.body)
+			expect(body.error_type).toBe('SHOPIFY_API_ERROR')
+			expect(body).not.toHaveProperty('details')
+			expect(body).not.toHaveProperty('debug')
+		})
+
+		it('should fail without reserving anything when the variant lookup fails', async () => {
+			// Line items cannot be built without the variant data from Shopify
+			mockShopifyPost({ variantError: new Error('Shopify API Error') })
+
+			const result = await handler(baseEvent, {})
+
+			expect(result.statusCode).toBe(500)
+			expect(metafieldsSetCalls()).toHaveLength(0)
+			expect(draftOrderCreateCalls()).toHaveLength(0)
 		})
 	})
 
-	describe('API Call Verification', () => {
-		it('should make the correct API calls in sequence', async () => {
-			// Setup mocks
-			mockedAxios.get.mockImplementation((url) => {
-				if (url.includes('/variants/12345')) {
-					return Promise.resolve({
-						data: { variant: { product_id: 67890, id: 12345 } },
-					})
-				}
-				if (url.includes('/products/67890.json')) {
-					return Promise.resolve({
-						data: { product: { id: 67890, title: 'Test Product' } },
-					})
-				}
-				if (url.includes('/metafields.json')) {
-					return Promise.resolve({
-						data: { metafields: [] },
-					})
-				}
-				return Promise.resolve({ data: {} })
+	describe('Idempotency', () => {
+		const idempotencyKey = 'a1b2c3d4-e5f6-4789-abcd-0123456789ab'
+
+		function withIdempotencyKey(event, key = idempotencyKey) {
+			const body = JSON.parse(event.body)
+			body.idempotency_key = key
+			return { ...event, body: JSON.stringify(body) }
+		}
+
+		it('should replay the original response for a repeated key', async () => {
+			mockShopifyPost({ availabilityStatus: null })
+			const event = withIdempotencyKey(baseEvent)
+
+			const first = await handler(event, {})
+			const second = await handler(event, {})
+
+			expect(first.statusCode).toBe(200)
+			expect(second.statusCode).toBe(200)
+			// Only the confirmation token is re-issued
+			expect({
+				...JSON.parse(second.body),
+				confirmation_token: undefined,
+			}).toEqual({ ...JSON.parse(first.body), confirmation_token: undefined })
+			expect(JSON.parse(second.body).confirmation_token).toMatch(
+				/^RES-[0-9-]+\.\d+\.[\w-]+$/
+			)
+			expect(second.headers['Idempotent-Replayed']).toBe('true')
+			expect(draftOrderCreateCalls()).toHaveLength(1)
+		})
+
+		it('should reject malformed line items with a key as invalid', async () => {
+			mockShopifyPost({ availabilityStatus: null })
+
+			for (const lineItems of [{ variant_id: 12345 }, [null]]) {
+				const result = await handler(
+					withIdempotencyKey(withLineItems(lineItems)),
+					{}
+				)
+
+				expect(result.statusCode).toBe(422)
+				expect(JSON.parse(result.body).error_type).toBe('VALIDATION_ERROR')
+			}
+			expect(draftOrderCreateCalls()).toHaveLength(0)
+		})
+
+		it('should let a failed submission be retried with the same key', async () => {
+			mockShopifyPost({
+				availabilityStatus: null,
+				draftOrderError: new Error('Draft order creation failed'),
 			})
+			const event = withIdempotencyKey(baseEvent)
+
+			expect((await handler(event, {})).statusCode).toBe(500)
+
+			mockShopifyPost({ availabilityStatus: null })
+			const retry = await handler(event, {})
 
-			mockedAxios.post.mockResolvedValue({
-				data: { draft_order: { id: 123456, name: '#D1001' } },
+			expect(retry.statusCode).toBe(200)
+			expect(retry.headers['Idempotent-Replayed']).toBeUndefined()
+		})
+
+		it('should return 409 for a retry while the first request is still running', async () => {
+			const event = withIdempotencyKey(baseEvent)
+			let retry = null
+			mockShopifyPost({
+				availabilityStatus: null,
+				// The shopper submits again while the draft order is being created
+				beforeDraftOrderCreate: async () => {
+					retry = await handler(event, {})
+				},
 			})
-			mockedAxios.put.mockResolvedValue({ data: {} })
 
-			await handler(baseEvent, {})
+			const first = await handler(event, {})
 
-			// Verify the correct sequence of API calls
-			const getCalls = mockedAxios.get.mock.calls
-			expect(getCalls.some((call) => call[0].includes('/variants/12345'))).toBe(
-				true
+			expect(first.statusCode).toBe(200)
+			expect(retry.statusCode).toBe(409)
+			expect(JSON.parse(retry.body).error_type).toBe('REQUEST_IN_PROGRESS')
+			expect(draftOrderCreateCalls()).toHaveLength(1)
+		})
+
+		it('should reject a key reused for a different reservation', async () => {
+			mockShopifyPost({ availabilityStatus: null })
+			await handler(withIdempotencyKey(baseEvent), {})
+
+			const otherBody = JSON.parse(withIdempotencyKey(baseEvent).body)
+			otherBody.customer_info.email = 'someone-else@example.com'
+			const result = await handler(
+				{ ...baseEvent, body: JSON.stringify(otherBody) },
+				{}
 			)
-			expect(
-				getCalls.some((call) => call[0].includes('/products/67890.json'))
-			).toBe(true)
-			expect(
-				getCalls.some((call) => call[0].includes('/metafields.json'))
-			).toBe(true)
 
-			// Should call draft order creation
-			expect(mockedAxios.post).toHaveBeenCalledWith(
-				expect.stringContaining('draft_orders.json'),
-				expect.any(Object),
-				expect.any(Object)
+			expect(result.statusCode).toBe(422)
+			expect(JSON.parse(result.body).error_type).toBe('IDEMPOTENCY_KEY_REUSED')
+			expect(draftOrderCreateCalls()).toHaveLength(1)
+		})
+
+		it('should reject malformed keys', async () => {
+			const result = await handler(withIdempotencyKey(baseEvent, 'short'), {})
+
+			expect(result.statusCode).toBe(422)
+			expect(JSON.parse(result.body).fields[0].field).toBe('idempotency_key')
+		})
+	})
+
+	describe('Response Contract', () => {
+		function withDebugHeader(value) {
+			return { ...baseEvent, headers: { 'x-reservation-debug': value } }
+		}
+
+		it('should return only the public fields', async () => {
+			mockShopifyPost({ availabilityStatus: null })
+
+			const body = JSON.parse((await handler(baseEvent, {})).body)
+
+			expect(Object.keys(body).sort()).toEqual([
+				'confirmation_token',
+				'hold_expiry_date',
+				'items',
+				'language',
+				'reservation_number',
+				'success',
+				'version',
+			])
+			expect(body.version).toBe(2)
+			expect(body.hold_expiry_date).toMatch(/^\d{4}-\d{2}-\d{2}$/)
+		})
+
+		it('should add diagnostics for a signed debug header', async () => {
+			mockShopifyPost({ availabilityStatus: null })
+
+			const body = JSON.parse(
+				(await handler(withDebugHeader(signDebugHeader()), {})).body
 			)
+
+			expect(body.debug.draft_order).toEqual({
+				id: 123456,
+				name: '#D1001',
+				admin_url: 'https://test-shop.myshopify.com/admin/draft_orders/123456',
+			})
+			expect(body.debug.product_ids).toEqual([67890])
+		})
+
+		it('should ignore unsigned or expired debug headers', async () => {
+			mockShopifyPost({ availabilityStatus: null })
+			const expired = signDebugHeader(new Date(Date.now() - 3600 * 1000))
+
+			const forged = JSON.parse(
+				(await handler(withDebugHeader('1700000000.forged'), {})).body
+			)
+			const stale = JSON.parse(
+				(await handler(withDebugHeader(expired), {})).body
+			)
+
+			expect(forged.debug).toBeUndefined()
+			expect(stale.debug).toBeUndefined()
+		})
+
+		it('should not replay diagnostics to retries', async () => {
+			mockShopifyPost({ availabilityStatus: null })
+			const body = JSON.parse(baseEvent.body)
+			body.idempotency_key = 'a1b2c3d4-e5f6-4789-abcd-0123456789ab'
+			const event = {
+				...baseEvent,
+				body: JSON.stringify(body),
+				headers: { 'x-reservation-debug': signDebugHeader() },
+			}
+
+			const first = JSON.parse((await handler(event, {})).body)
+			const retry = JSON.parse(
+				(await handler({ ...event, headers: {} }, {})).body
+			)
+
+			expect(first.debug).toBeDefined()
+			expect(retry.debug).toBeUndefined()
+			expect(retry.reservation_number).toBe(first.reservation_number)
+		})
+	})
+
+	describe('Error Messages', () => {
+		function inLanguage(language, event = baseEvent) {
+			const body = JSON.parse(event.body)
+			body.language = language
+			return { ...event, body: JSON.stringify(body) }
+		}
+
+		it('should answer in the language of the form', async () => {
+			mockShopifyPost({
+				availabilityStatus: { value: 'Reserved', compareDigest: 'digest-1' },
+				products: MULTI_ITEM_PRODUCTS,
+			})
+			const event = inLanguage(
+				'fr',
+				withLineItems([
+					{ variant_id: 12345, quantity: 1 },
+					{ variant_id: 12346, quantity: 1 },
+				])
+			)
+
+			const body = JSON.parse((await handler(event, {})).body)
+
+			expect(body.error_type).toBe('PRODUCT_ALREADY_RESERVED')
+			expect(body.error).toBe(
+				'Ces ensembles ont déjà été réservés : First Package, Second Package.'
+			)
+		})
+
+		it('should answer in English when the language has no catalogue', async () => {
+			const event = inLanguage('es', withLineItems([]))
+
+			const body = JSON.parse((await handler(event, {})).body)
+
+			expect(body.error_type).toBe('VALIDATION_ERROR')
+			expect(body.error).toBe(
+				'Some of the information you entered is not valid. Please check it and try again.'
+			)
+		})
+
+		it('should fall back to the browser language', async () => {
+			const result = await handler(
+				{
+					...baseEvent,
+					path: '/.netlify/functions/create-draft-order/unknown',
+					body: '',
+					headers: { 'accept-language': 'fr-CA,fr;q=0.9,en;q=0.8' },
+				},
+				{}
+			)
+
+			expect(result.statusCode).toBe(404)
+			expect(JSON.parse(result.body)).toEqual({
+				success: false,
+				error: 'Cette page est introuvable.',
+				error_type: 'NOT_FOUND',
+			})
+		})
+
+		it('should not expose internal error messages', async () => {
+			mockShopifyPost({ variantError: new Error('Shopify API Error') })
+
+			const body = JSON.parse((await handler(baseEvent, {})).body)
+
+			expect(body).toEqual({
+				success: false,
+				error: 'Something went wrong on our end. Please try again later.',
+				error_type: 'SERVER_ERROR',
+			})
+		})
+	})
+
+	describe('Customer Linking', () => {
+		function draftOrderCustomerId() {
+			const { purchasingEntity } = draftOrderCreateCalls()[0].variables.input
+			return purchasingEntity ? purchasingEntity.customerId : null
+		}
+
+		it('should attach the reservation to the logged-in customer', async () => {
+			mockShopifyPost({
+				availabilityStatus: null,
+				customers: { 42: 'shopper@example.com' },
+			})
+
+			const result = await handler(
+				{
+					...baseEvent,
+					queryStringParameters: signedProxyQuery({
+						logged_in_customer_id: '42',
+					}),
+				},
+				{}
+			)
+
+			expect(result.statusCode).toBe(200)
+			expect(draftOrderCustomerId()).toBe('gid://shopify/Customer/42')
+			expect(graphqlCalls('CustomerByEmail')).toHaveLength(0)
+		})
+
+		it('should replace the practice tags of the logged-in customer', async () => {
+			mockShopifyPost({
+				availabilityStatus: null,
+				customers: { 42: 'shopper@example.com' },
+				customerTags: {
+					42: ['VIP', 'Reservation', 'Role: Doctor', 'Practice: Old Practice'],
+				},
+			})
+
+			await handler(
+				{
+					...baseEvent,
+					queryStringParameters: signedProxyQuery({
+						logged_in_customer_id: '42',
+					}),
+				},
+				{}
+			)
+
+			const update = graphqlCalls('UpdateReservationCustomer')[0].variables
+			expect(update.tags).toEqual([
+				'Reservation',
+				'Role: Doctor',
+				'Practice: Test Practice',
+			])
+			expect(update.staleTags).toEqual(['Practice: Old Practice'])
+		})
+
+		it('should leave the details of a customer found by email untouched', async () => {
+			mockShopifyPost({
+				availabilityStatus: null,
+				customers: { 55: 'test@example.com' },
+			})
+
+			await handler(baseEvent, {})
+
+			expect(draftOrderCustomerId()).toBe('gid://shopify/Customer/55')
+			expect(graphqlCalls('customerCreate')).toHaveLength(0)
+			// Anyone can type the email, so only the neutral tag is added
+			expect(graphqlCalls('UpdateReservationCustomer')).toHaveLength(0)
+			const customerMetafields = graphqlCalls('metafieldsSet').flatMap(
+				({ variables }) =>
+					(variables.metafields || []).filter(
+						(metafield) => metafield.ownerId === 'gid://shopify/Customer/55'
+					)
+			)
+			expect(customerMetafields).toEqual([])
+			expect(graphqlCalls('TagReservationCustomer')[0].variables).toEqual({
+				id: 'gid://shopify/Customer/55',
+				tags: ['Reservation'],
+			})
+		})
+
+		it('should create a customer with the practice details for a new guest', async () => {
+			mockShopifyPost({ availabilityStatus: null })
+
+			await handler(baseEvent, {})
+
+			expect(graphqlCalls('customerCreate')[0].variables.input).toEqual({
+				email: 'test@example.com',
+			})
+			expect(draftOrderCustomerId()).toBe('gid://shopify/Customer/777')
+
+			const update = graphqlCalls('UpdateReservationCustomer')[0].variables
+			expect(update.tags).toEqual([
+				'Reservation',
+				'Role: Doctor',
+				'Practice: Test Practice',
+			])
+			expect(
+				update.metafields.map(({ ownerId, key, value }) => [
+					ownerId,
+					key,
+					value,
+				])
+			).toEqual([
+				['gid://shopify/Customer/777', 'practice_name', 'Test Practice'],
+				['gid://shopify/Customer/777', 'role', 'Doctor'],
+				['gid://shopify/Customer/777', 'postal_code', '12345'],
+			])
+		})
+
+		it('should still reserve when the customer cannot be updated', async () => {
+			mockShopifyPost({
+				availabilityStatus: null,
+				customerError: new Error('Access denied for customers'),
+			})
+
+			const result = await handler(baseEvent, {})
+
+			expect(result.statusCode).toBe(200)
+			expect(draftOrderCustomerId()).toBeNull()
+		})
+	})
+
+	describe('Bot Protection', () => {
+		function withBotProtectionToken(token) {
+			const body = JSON.parse(baseEvent.body)
+			body.bot_protection_token = token
+			return { ...baseEvent, body: JSON.stringify(body) }
+		}
+
+		beforeEach(() => {
+			process.env.BOT_PROTECTION_PROVIDER = 'fake'
+		})
+
+		afterEach(() => {
+			delete process.env.BOT_PROTECTION_PROVIDER
+		})
+
+		it('should reject a low score without revealing it', async () => {
+			mockShopifyPost({ availabilityStatus: null })
+
+			const result = await handler(withBotProtectionToken('test-low-score'), {})
+
+			expect(result.statusCode).toBe(400)
+			const body = JSON.parse(result.body)
+			expect(body.error_type).toBe('BOT_PROTECTION_FAILED')
+			expect(result.body).not.toContain('score')
+			expect(result.body).not.toContain('0.1')
+			expect(draftOrderCreateCalls()).toHaveLength(0)
+		})
+
+		it('should reserve with a valid token', async () => {
+			mockShopifyPost({ availabilityStatus: null })
+
+			const result = await handler(withBotProtectionToken('test-pass'), {})
+
+			expect(result.statusCode).toBe(200)
+		})
+	})
+
+	describe('Reservation Limits', () => {
+		it('should return 429 once an email address reaches its limit', async () => {
+			mockShopifyPost({ availabilityStatus: null })
+
+			// Three reservations per email address by default
+			for (let i = 0; i < 3; i++) {
+				expect((await handler(baseEvent, {})).statusCode).toBe(200)
+			}
+			const result = await handler(baseEvent, {})
+
+			expect(result.statusCode).toBe(429)
+			const body = JSON.parse(result.body)
+			expect(body.error_type).toBe('RESERVATION_LIMIT_REACHED')
+			expect(body.limit).toBe('email')
+			expect(Number(result.headers['Retry-After'])).toBeGreaterThan(0)
+			expect(draftOrderCreateCalls()).toHaveLength(3)
+		})
+
+		it('should link the limit slot to the draft order until the hold ends', async () => {
+			mockShopifyPost({ availabilityStatus: null })
+
+			expect((await handler(baseEvent, {})).statusCode).toBe(200)
+
+			const limitWrites = graphqlCalls('SetShopState')
+				.flatMap((call) => call.variables.metafields)
+				.filter((metafield) => metafield.key === 'reservation_limits')
+			const { slots } = JSON.parse(limitWrites[limitWrites.length - 1].value)
+			expect(slots).toEqual([
+				expect.objectContaining({ draft_order_id: '123456' }),
+			])
+		})
+
+		it('should limit the shopper IP whatever X-Forwarded-For they send', async () => {
+			mockShopifyPost({ availabilityStatus: null })
+			function fromShopper(i) {
+				const body = JSON.parse(baseEvent.body)
+				body.customer_info.email = `shopper${i}@example.com`
+				body.customer_info.practice_name = `Practice ${i}`
+				return {
+					...baseEvent,
+					body: JSON.stringify(body),
+					headers: {
+						// A new forged entry on every request, before the proxy's
+						'x-forwarded-for': `192.0.2.${i}, 203.0.113.7, 23.227.38.1`,
+						'x-nf-client-connection-ip': '23.227.38.1',
+					},
+				}
+			}
+
+			// Ten reservations per IP address by default
+			for (let i = 0; i < 10; i++) {
+				expect((await handler(fromShopper(i), {})).statusCode).toBe(200)
+			}
+			const result = await handler(fromShopper(10), {})
+
+			expect(result.statusCode).toBe(429)
+			expect(JSON.parse(result.body).limit).toBe('ip')
+		})
+
+		it('should not count reservations that were not made', async () => {
+			mockShopifyPost({
+				availabilityStatus: { value: 'Reserved', compareDigest: 'digest-1' },
+			})
+
+			for (let i = 0; i < 4; i++) {
+				expect((await handler(baseEvent, {})).statusCode).toBe(409)
+			}
+		})
+	})
+
+	describe('Line Item Construction', () => {
+		it('should ignore the price and title sent by the client', async () => {
+			mockShopifyPost({ availabilityStatus: null })
+			const tamperedEvent = withLineItems([
+				{
+					variant_id: 12345,
+					title: 'Free Package',
+					price: '0.01',
+					sku: 'FAKE',
+					quantity: 5,
+					properties: [{ name: 'Stocking Number', value: 'R9999' }],
+				},
+			])
+
+			const result = await handler(tamperedEvent, {})
+
+			expect(result.statusCode).toBe(200)
+			const { input } = draftOrderCreateCalls()[0].variables
+			expect(input.lineItems).toEqual([
+				{
+					variantId: 'gid://shopify/ProductVariant/12345',
+					quantity: 1,
+					customAttributes: [{ key: 'Stocking Number', value: 'R1234' }],
+				},
+			])
+			const items = JSON.parse(
+				input.metafields.find((m) => m.key === 'items').value
+			)
+			expect(items[0]).toMatchObject({
+				title: 'Test Product',
+				sku: 'SKU-12345',
+				price: '1250.00',
+				stocking_number: 'R1234',
+			})
+		})
+
+		it('should use the product titles translated in the form language', async () => {
+			mockShopifyPost({
+				products: MULTI_ITEM_PRODUCTS,
+				translations: { fr: { 67890: 'Premier ensemble' } },
+			})
+			const body = JSON.parse(
+				withLineItems([
+					{ variant_id: 12345, quantity: 1 },
+					{ variant_id: 12346, quantity: 1 },
+				]).body
+			)
+			body.language = 'fr'
+
+			const result = await handler(
+				{ ...baseEvent, body: JSON.stringify(body) },
+				{}
+			)
+
+			expect(result.statusCode).toBe(200)
+			const [lookup] = graphqlCalls('ProductTitleTranslations')
+			expect(lookup.variables).toMatchObject({
+				ids: ['gid://shopify/Product/67890', 'gid://shopify/Product/67891'],
+				locale: 'fr',
+			})
+			const { input } = draftOrderCreateCalls()[0].variables
+			const items = JSON.parse(
+				input.metafields.find((m) => m.key === 'items').value
+			)
+			// Untranslated products keep their primary locale title
+			expect(items.map((item) => item.title)).toEqual([
+				'Premier ensemble',
+				'Second Package',
+			])
+		})
+
+		it('should keep the primary locale titles when translations cannot be fetched', async () => {
+			mockShopifyPost()
+			const fallback = mockedAxios.post.getMockImplementation()
+			mockedAxios.post.mockImplementation((url, body) =>
+				body.query.includes('ProductTitleTranslations')
+					? Promise.reject(
+							new Error('Access denied for translatableResourcesByIds')
+					  )
+					: fallback(url, body)
+			)
+			const body = JSON.parse(baseEvent.body)
+			body.language = 'es'
+
+			const result = await handler(
+				{ ...baseEvent, body: JSON.stringify(body) },
+				{}
+			)
+
+			expect(result.statusCode).toBe(200)
+			const { input } = draftOrderCreateCalls()[0].variables
+			const items = JSON.parse(
+				input.metafields.find((m) => m.key === 'items').value
+			)
+			expect(items[0].title).toBe('Test Product')
+		})
+
+		it('should return 422 for unknown or missing variants', async () => {
+			mockShopifyPost({ products: { 67891: UNKNOWN_VARIANT } })
+			const invalidEvent = withLineItems([
+				{ variant_id: 12346, quantity: 1 },
+				{ title: 'Custom item', price: '10.00', quantity: 1 },
+			])
+
+			const result = await handler(invalidEvent, {})
+
+			expect(result.statusCode).toBe(422)
+			const body = JSON.parse(result.body)
+			expect(body.error_type).toBe('VALIDATION_ERROR')
+			expect(body.fields).toEqual([
+				{ field: 'line_items[0].variant_id', message: 'does not exist' },
+				{ field: 'line_items[1].variant_id', message: 'is required' },
+			])
+			expect(metafieldsSetCalls()).toHaveLength(0)
+		})
+
+		it('should return 422 when there are no line items', async () => {
+			const result = await handler(withLineItems([]), {})
+
+			expect(result.statusCode).toBe(422)
+			expect(JSON.parse(result.body).fields).toEqual([
+				{ field: 'line_items', message: 'must contain at least one product' },
+			])
+		})
+	})
+
+	describe('API Call Verification', () => {
+		it('should make the correct API calls in sequence', async () => {
+			mockShopifyPost({ availabilityStatus: null })
+
+			await handler(baseEvent, {})
+
+			// Should look up the variant, claim the product, then create the draft order
+			const queries = mockedAxios.post.mock.calls.map(([, body]) => body.query)
+			const variantIndex = queries.findIndex((query) =>
+				query.includes('productVariant')
+			)
+			const claimIndex = queries.findIndex((query) =>
+				query.includes('ProductAvailability')
+			)
+			const draftOrderIndex = queries.findIndex((query) =>
+				query.includes('draftOrderCreate')
+			)
+			expect(variantIndex).toBeLessThan(claimIndex)
+			expect(claimIndex).toBeLessThan(draftOrderIndex)
+			expect(metafieldsSetCalls()).toEqual([
+				expect.arrayContaining([
+					expect.objectContaining({
+						ownerId: 'gid://shopify/Product/67890',
+						key: 'availability_status',
+					}),
+					expect.objectContaining({ key: 'reservation_number' }),
+					expect.objectContaining({
+						key: 'reservation_expiry_date',
+						type: 'date',
+					}),
+				]),
+				[
+					expect.objectContaining({
+						key: 'reservation_draft_order_id',
+						value: '123456',
+					}),
+				],
+			])
+
+			// The draft order metafields are written with the draft order itself
+			const { input } = draftOrderCreateCalls()[0].variables
+			expect(input.lineItems).toEqual([
+				expect.objectContaining({
+					variantId: 'gid://shopify/ProductVariant/12345',
+					quantity: 1,
+				}),
+			])
+			expect(input.email).toBe('test@example.com')
+			expect(input.note).toContain('Practice Name: Test Practice')
+			expect(input.note).toContain('Country: United States')
+			expect(input.note).toContain('Role: Doctor')
+			expect(input.metafields).toContainEqual({
+				namespace: 'reservation',
+				key: 'hold_expiry_date',
+				value: expect.stringMatching(/^\d{4}-\d{2}-\d{2}$/),
+				type: 'date',
+			})
+			expect(input.metafields).toContainEqual(
+				expect.objectContaining({
+					key: 'stocking_number',
+					value: 'R1234',
+				})
+			)
+			// No metafield is written with an empty value
+			expect(input.metafields.every((m) => m.value !== '')).toBe(true)
+			expect(mockedAxios.get).not.toHaveBeenCalled()
+		})
+
+		it('should tag the draft order on the server, ignoring the client tags', async () => {
+			mockShopifyPost({ availabilityStatus: null })
+			const body = JSON.parse(baseEvent.body)
+			body.draft_order.tags = 'reservation-expired, RES-250612-1234-3'
+
+			const result = await handler(
+				{ ...baseEvent, body: JSON.stringify(body) },
+				{}
+			)
+
+			expect(result.statusCode).toBe(200)
+			const { reservation_number } = JSON.parse(result.body)
+			expect(draftOrderCreateCalls()[0].variables.input.tags).toEqual([
+				reservation_number,
+				'reservation',
+				'R1234',
+				'Doctor',
+				'12345',
+			])
+		})
+	})
+
+	describe('Status Lookup', () => {
+		function statusEvent(body, overrides = {}) {
+			return {
+				httpMethod: 'POST',
+				path: '/.netlify/functions/create-draft-order/status',
+				queryStringParameters: signedProxyQuery({
+					path_prefix: '/apps/create-draft-order/status',
+				}),
+				body: JSON.stringify(body),
+				...overrides,
+			}
+		}
+
+		it('returns the status of a reservation made with the email', async () => {
+			mockReservation({})
+
+			const result = await handler(
+				statusEvent({
+					reservation_number: ' res-250612-1234-3 ',
+					email: 'Test@Example.com',
+				}),
+				{}
+			)
+
+			expect(result.statusCode).toBe(200)
+			expect(JSON.parse(result.body)).toEqual({
+				success: true,
+				reservation_number: 'RES-250612-1234-3',
+				status: 'active',
+				hold_expiry_date: '2099-06-16',
+				product_title: 'Test Package',
+				stocking_number: 'R1234',
+			})
+			expect(graphqlCalls('ReservationByNumber')[0].variables).toEqual({
+				query: 'tag:"RES-250612-1234-3"',
+				first: 10,
+			})
+		})
+
+		it('reports converted, expired and released reservations', async () => {
+			const event = statusEvent({
+				reservation_number: 'RES-250612-1234-3',
+				email: 'test@example.com',
+			})
+
+			mockReservation({ status: 'COMPLETED' })
+			expect(JSON.parse((await handler(event, {})).body).status).toBe(
+				'converted'
+			)
+
+			mockReservation({ tags: ['RES-250612-1234-3', 'reservation-expired'] })
+			expect(JSON.parse((await handler(event, {})).body).status).toBe('expired')
+
+			mockReservation({ lineItems: { nodes: [{ product: null }] } })
+			expect(JSON.parse((await handler(event, {})).body).status).toBe(
+				'released'
+			)
+		})
+
+		it('finds the reservation by its metafield, not only the tag', async () => {
+			// Another draft order tagged with the same number comes first
+			mockReservation({}, [
+				{
+					status: 'OPEN',
+					email: 'someone@example.com',
+					createdAt: '2099-06-12T14:00:00Z',
+					tags: ['RES-250612-1234-3'],
+					metafields: { nodes: [] },
+					lineItems: { nodes: [] },
+				},
+			])
+
+			const result = await handler(
+				statusEvent({
+					reservation_number: 'RES-250612-1234-3',
+					email: 'test@example.com',
+				}),
+				{}
+			)
+
+			expect(result.statusCode).toBe(200)
+			expect(JSON.parse(result.body).status).toBe('active')
+		})
+
+		it('does not tell a wrong email from an unknown number', async () => {
+			mockReservation({})
+			const wrongEmail = await handler(
+				statusEvent({
+					reservation_number: 'RES-250612-1234-3',
+					email: 'someone@example.com',
+				}),
+				{}
+			)
+
+			mockReservation(null)
+			const unknown = await handler(
+				statusEvent({
+					reservation_number: 'RES-250612-9999-3',
+					email: 'test@example.com',
+				}),
+				{}
+			)
+
+			expect(wrongEmail.statusCode).toBe(404)
+			expect(wrongEmail.body).toBe(unknown.body)
+			expect(JSON.parse(unknown.body).error_type).toBe('RESERVATION_NOT_FOUND')
+		})
+
+		it('validates the lookup before querying Shopify', async () => {
+			const result = await handler(
+				statusEvent({ reservation_number: 'not-a-number' }),
+				{}
+			)
+
+			expect(result.statusCode).toBe(422)
+			expect(JSON.parse(result.body).fields.map(({ field }) => field)).toEqual([
+				'reservation_number',
+				'email',
+			])
+			expect(mockedAxios.post).not.toHaveBeenCalled()
+		})
+
+		it('rejects lookups that did not come through the app proxy', async () => {
+			const result = await handler(
+				statusEvent(
+					{
+						reservation_number: 'RES-250612-1234-3',
+						email: 'test@example.com',
+					},
+					{
+						queryStringParameters: {
+							...signedProxyQuery(),
+							signature: 'invalid',
+						},
+					}
+				),
+				{}
+			)
+
+			expect(result.statusCode).toBe(401)
+			expect(mockedAxios.post).not.toHaveBeenCalled()
+		})
+
+		it('requires a bot protection token for the lookup action', async () => {
+			process.env.BOT_PROTECTION_PROVIDER = 'fake'
+			try {
+				const lookup = {
+					reservation_number: 'RES-250612-1234-3',
+					email: 'test@example.com',
+				}
+
+				const rejected = await handler(
+					statusEvent({ ...lookup, bot_protection_token: 'test-low-score' }),
+					{}
+				)
+				expect(rejected.statusCode).toBe(400)
+				expect(JSON.parse(rejected.body).error_type).toBe(
+					'BOT_PROTECTION_FAILED'
+				)
+				expect(mockedAxios.post).not.toHaveBeenCalled()
+
+				mockReservation({})
+				const accepted = await handler(
+					statusEvent({ ...lookup, bot_protection_token: 'test-pass' }),
+					{}
+				)
+				expect(accepted.statusCode).toBe(200)
+			} finally {
+				delete process.env.BOT_PROTECTION_PROVIDER
+			}
+		})
+
+		it('lets support staff look up with a signed debug header', async () => {
+			process.env.BOT_PROTECTION_PROVIDER = 'fake'
+			try {
+				mockReservation({})
+				const lookup = {
+					reservation_number: 'RES-250612-1234-3',
+					email: 'test@example.com',
+				}
+
+				// Called directly, without the app proxy or a widget token
+				const staff = await handler(
+					statusEvent(lookup, {
+						queryStringParameters: {},
+						headers: { 'x-reservation-debug': signDebugHeader() },
+					}),
+					{}
+				)
+				expect(staff.statusCode).toBe(200)
+				expect(JSON.parse(staff.body).status).toBe('active')
+
+				const forged = await handler(
+					statusEvent(lookup, {
+						queryStringParameters: {},
+						headers: { 'x-reservation-debug': '1700000000.forged' },
+					}),
+					{}
+				)
+				expect(forged.statusCode).toBe(400)
+				expect(JSON.parse(forged.body).error_type).toBe('BOT_PROTECTION_FAILED')
+			} finally {
+				delete process.env.BOT_PROTECTION_PROVIDER
+			}
+		})
+
+		it('returns 404 for unknown routes', async () => {
+			const result = await handler(
+				{ ...baseEvent, path: '/.netlify/functions/create-draft-order/other' },
+				{}
+			)
+
+			expect(result.statusCode).toBe(404)
+		})
+	})
+
+	describe('Confirmation Tokens', () => {
+		function confirmationEvent(token) {
+			return {
+				httpMethod: 'POST',
+				path: '/.netlify/functions/create-draft-order/confirmation',
+				queryStringParameters: signedProxyQuery({
+					path_prefix: '/apps/create-draft-order/confirmation',
+				}),
+				body: JSON.stringify({ token }),
+			}
+		}
+
+		it('should exchange the token of a reservation for its details', async () => {
+			mockShopifyPost({ availabilityStatus: null })
+			const { reservation_number, confirmation_token } = JSON.parse(
+				(await handler(baseEvent, {})).body
+			)
+			expect(confirmation_token.startsWith(`${reservation_number}.`)).toBe(true)
+
+			// The token carries nothing about the shopper
+			expect(confirmation_token).not.toContain('example')
+
+			mockReservation({
+				tags: ['Reservation', reservation_number],
+			})
+			const result = await handler(confirmationEvent(confirmation_token), {})
+
+			expect(result.statusCode).toBe(200)
+			expect(result.headers['Cache-Control']).toBe('no-store')
+			expect(JSON.parse(result.body)).toMatchObject({
+				success: true,
+				reservation_number,
+				items: [{ title: 'Test Package', stocking_number: 'R1234' }],
+				practice_name: 'Test Practice',
+				email: 'test@example.com',
+				zip_code: '12345',
+				country: 'United States',
+				role: 'Doctor',
+			})
+			expect(graphqlCalls('ReservationByNumber')[0].variables).toEqual({
+				query: `tag:"${reservation_number}"`,
+				first: 10,
+			})
+		})
+
+		it('should reject tampered and expired tokens', async () => {
+			const { createConfirmationToken } = await import(
+				'../netlify/lib/confirmation-token.js'
+			)
+			const token = createConfirmationToken('RES-250612-1234-3')
+			const expired = createConfirmationToken(
+				'RES-250612-1234-3',
+				new Date(Date.now() - 24 * 3600 * 1000)
+			)
+
+			for (const rejected of [
+				token.replace('1234-3', '1235-1'),
+				expired,
+				'RES-250612-1234-3',
+				undefined,
+			]) {
+				const result = await handler(confirmationEvent(rejected), {})
+				expect(result.statusCode).toBe(401)
+				expect(JSON.parse(result.body).error_type).toBe(
+					'INVALID_CONFIRMATION_TOKEN'
+				)
+			}
+			expect(mockedAxios.post).not.toHaveBeenCalled()
+		})
+	})
+
+	describe('Emails', () => {
+		let directory
+
+		beforeEach(() => {
+			directory = fs.mkdtempSync(path.join(os.tmpdir(), 'reservation-mail-'))
+			process.env.MAIL_TRANSPORT = 'file'
+			process.env.MAIL_FILE_DIRECTORY = directory
+			process.env.MAIL_FROM = 'reservations@example.com'
+			process.env.SALES_NOTIFICATION_EMAIL = 'sales@example.com'
+		})
+
+		afterEach(() => {
+			fs.rmSync(directory, { recursive: true, force: true })
+			for (const name of [
+				'MAIL_TRANSPORT',
+				'MAIL_FILE_DIRECTORY',
+				'MAIL_FROM',
+				'SALES_NOTIFICATION_EMAIL',
+			]) {
+				delete process.env[name]
+			}
+		})
+
+		function sentMessages() {
+			return fs
+				.readdirSync(directory)
+				.map((file) =>
+					JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'))
+				)
+		}
+
+		it('should email the shopper and the sales inbox', async () => {
+			mockShopifyPost({ availabilityStatus: null })
+
+			const result = await handler(baseEvent, {})
+
+			const { reservation_number } = JSON.parse(result.body)
+			const messages = sentMessages()
+			expect(messages.map((message) => message.to).sort()).toEqual([
+				['sales@example.com'],
+				'test@example.com',
+			])
+			for (const message of messages) {
+				expect(message.text).toContain(reservation_number)
+			}
+		})
+
+		it('should not send anything when the reservation fails', async () => {
+			mockShopifyPost({
+				availabilityStatus: { value: 'Reserved', compareDigest: 'digest-1' },
+			})
+
+			const result = await handler(baseEvent, {})
+
+			expect(result.statusCode).toBe(409)
+			expect(sentMessages()).toEqual([])
+		})
+
+		it('should keep the reservation when email is misconfigured', async () => {
+			process.env.MAIL_TRANSPORT = 'smtp'
+			mockShopifyPost({ availabilityStatus: null })
+
+			const result = await handler(baseEvent, {})
+
+			expect(result.statusCode).toBe(200)
+		})
+	})
+
+	describe('Territories', () => {
+		const territories = [
+			{
+				id: 'northeast',
+				manager: { name: 'Smith, Jane', email: 'jane.smith@example.com' },
+				us_zip_ranges: ['10000-14999'],
+			},
+		]
+
+		it('should save the territory manager on the draft order', async () => {
+			mockShopifyPost({ availabilityStatus: null, territories })
+
+			const result = await handler(baseEvent, {})
+
+			expect(result.statusCode).toBe(200)
+			const { input } = draftOrderCreateCalls()[0].variables
+			expect(input.tags).toContain('Territory Manager: Smith  Jane')
+			expect(input.metafields).toEqual(
+				expect.arrayContaining([
+					expect.objectContaining({ key: 'territory', value: 'northeast' }),
+					expect.objectContaining({
+						key: 'territory_manager',
+						value: 'Smith, Jane',
+					}),
+					expect.objectContaining({
+						key: 'territory_manager_email',
+						value: 'jane.smith@example.com',
+					}),
+				])
+			)
+		})
+
+		it('should reserve without a territory when none matches', async () => {
+			mockShopifyPost({
+				availabilityStatus: null,
+				territories: [{ ...territories[0], us_zip_ranges: ['90000-99999'] }],
+			})
+
+			const result = await handler(baseEvent, {})
+
+			expect(result.statusCode).toBe(200)
+			const { input } = draftOrderCreateCalls()[0].variables
+			expect(input.tags).not.toContain('Territory Manager')
+			expect(input.metafields.map((metafield) => metafield.key)).not.toContain(
+				'territory'
+			)
+		})
+	})
+
+	describe('Waitlist', () => {
+		function waitlistEvent(event = baseEvent) {
+			return {
+				...event,
+				path: '/.netlify/functions/create-draft-order/waitlist',
+				queryStringParameters: signedProxyQuery({
+					path_prefix: '/apps/create-draft-order/waitlist',
+				}),
+			}
+		}
+
+		const RESERVED = { value: 'Reserved', compareDigest: 'digest-1' }
+
+		it('should put the shopper on the waitlist of the product', async () => {
+			mockShopifyPost({ availabilityStatus: RESERVED })
+
+			const result = await handler(waitlistEvent(), {})
+
+			expect(result.statusCode).toBe(200)
+			expect(JSON.parse(result.body)).toEqual({
+				success: true,
+				items: [
+					{ title: 'Test Product', stocking_number: 'R1234', position: 1 },
+				],
+			})
+			const [waitlistWrite] = graphqlCalls('SetShopState')
+			expect(
+				JSON.parse(waitlistWrite.variables.metafields[0].value)[67890]
+			).toEqual([expect.objectContaining({ email: 'test@example.com' })])
+			// Nothing is reserved
+			expect(metafieldsSetCalls()).toHaveLength(0)
+			expect(draftOrderCreateCalls()).toHaveLength(0)
+		})
+
+		it('should accept variant GIDs', async () => {
+			mockShopifyPost({ availabilityStatus: RESERVED })
+
+			const result = await handler(
+				waitlistEvent(
+					withLineItems([
+						{ variant_id: 'gid://shopify/ProductVariant/12345', quantity: 1 },
+					])
+				),
+				{}
+			)
+
+			expect(result.statusCode).toBe(200)
+			expect(graphqlCalls('productVariant')[0].variables.id).toBe(
+				'gid://shopify/ProductVariant/12345'
+			)
+		})
+
+		it('should not add shoppers to the waitlist of a product nobody holds', async () => {
+			mockShopifyPost({
+				availabilityStatus: { value: 'In stock', compareDigest: 'digest-1' },
+			})
+
+			const result = await handler(waitlistEvent(), {})
+
+			expect(result.statusCode).toBe(409)
+			expect(JSON.parse(result.body).error_type).toBe('PRODUCT_NOT_RESERVED')
+			expect(graphqlCalls('SetShopState')).toHaveLength(0)
+		})
+
+		it('should not add shoppers to the waitlist of a sold product', async () => {
+			mockShopifyPost({
+				availabilityStatus: { value: 'Sold', compareDigest: 'digest-1' },
+			})
+
+			const result = await handler(waitlistEvent(), {})
+
+			expect(result.statusCode).toBe(409)
+			expect(JSON.parse(result.body).error_type).toBe('PRODUCT_UNAVAILABLE')
+			expect(graphqlCalls('SetShopState')).toHaveLength(0)
+		})
+
+		it('should reject more products than a reservation can hold', async () => {
+			mockShopifyPost({ availabilityStatus: RESERVED })
+			const lineItems = Array.from({ length: 9 }, (_, index) => ({
+				variant_id: 12345 + index,
+				quantity: 1,
+			}))
+
+			const result = await handler(waitlistEvent(withLineItems(lineItems)), {})
+
+			expect(result.statusCode).toBe(400)
+			expect(JSON.parse(result.body).error_type).toBe('TOO_MANY_PRODUCTS')
+			expect(graphqlCalls('productVariant')).toHaveLength(0)
+			expect(graphqlCalls('SetShopState')).toHaveLength(0)
+		})
+
+		it('should reject unknown variants', async () => {
+			mockShopifyPost({ products: { 67890: UNKNOWN_VARIANT } })
+
+			const result = await handler(waitlistEvent(), {})
+
+			expect(result.statusCode).toBe(422)
+			expect(JSON.parse(result.body).fields).toEqual([
+				{
+					field: 'line_items[0].variant_id',
+					message: 'is not a product variant',
+				},
+			])
 		})
 	})
 })
@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest'
+import {
+	buildReservationNote,
+	validateCustomerInfo,
+} from '../netlify/lib/customer-info.js'
+
+const validInfo = {
+	practice_name: '  Smile Dental ',
+	email: 'Front.Desk@Example.com',
+	zip_code: '94105',
+	country: 'us',
+	role: 'Doctor',
+}
+
+describe('customer-info.js', () => {
+	describe('validateCustomerInfo', () => {
+		it('normalizes valid customer information', () => {
+			expect(validateCustomerInfo(validInfo)).toEqual({
+				valid: true,
+				errors: [],
+				customerInfo: {
+					practice_name: 'Smile Dental',
+					email: 'front.desk@example.com',
+					zip_code: '94105',
+					country: 'us',
+					role: 'doctor',
+				},
+			})
+		})
+
+		it('formats Canadian postal codes', () => {
+			const { customerInfo } = validateCustomerInfo({
+				...validInfo,
+				country: 'Canada',
+				zip_code: 'k1a0b1',
+			})
+			expect(customerInfo.country).toBe('ca')
+			expect(customerInfo.zip_code).toBe('K1A 0B1')
+		})
+
+		it('applies the postal code rules of the selected country', () => {
+			expect(
+				validateCustomerInfo({ ...validInfo, zip_code: '94105-1234' }).valid
+			).toBe(true)
+			expect(
+				validateCustomerInfo({ ...validInfo, zip_code: 'K1A 0B1' }).errors
+			).toEqual([
+				{ field: 'zip_code', message: 'must be a 5-digit ZIP code or ZIP+4' },
+			])
+			expect(
+				validateCustomerInfo({ ...validInfo, country: 'ca' }).errors[0].field
+			).toBe('zip_code')
+		})
+
+		it('reports every invalid field', () => {
+			const result = validateCustomerInfo({
+				practice_name: '',
+				email: 'nope',
+				zip_code: '94105',
+				country: 'mx',
+				role: 'patient',
+			})
+			expect(result.valid).toBe(false)
+			expect(result.errors.map((error) => error.field)).toEqual([
+				'practice_name',
+				'email',
+				'country',
+				'role',
+			])
+		})
+
+		it('rejects a missing customer_info object', () => {
+			expect(validateCustomerInfo(undefined).errors).toEqual([
+				{ field: 'customer_info', message: 'is required' },
+			])
+		})
+	})
+
+	describe('buildReservationNote', () => {
+		it('writes the note from the validated info', () => {
+			const { customerInfo } = validateCustomerInfo(validInfo)
+			expect(buildReservationNote(customerInfo, 'RES-250101-1234', 'fr')).toBe(
+				[
+					'Reservation Number: RES-250101-1234',
+					'',
+					'Practice Name: Smile Dental',
+					'Email: front.desk@example.com',
+					'ZIP/Postal Code: 94105',
+					'Country: United States',
+					'Role: Doctor',
+					'Language: French',
+				].join('\n')
+			)
+		})
+
+		it('names the base language of a regional locale', () => {
+			const { customerInfo } = validateCustomerInfo(validInfo)
+			expect(
+				buildReservationNote(customerInfo, 'RES-250101-1234', 'fr-CA')
+			).toContain('Language: French')
+		})
+	})
+})
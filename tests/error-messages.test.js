@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest'
+
+const { ERROR_TYPES, getErrorMessage } = await import(
+	'../netlify/lib/error-messages.js'
+)
+
+const PARAMS = {
+	titles: ['Test Package'],
+	title: 'Test Package',
+	max: 8,
+	limit: 'email',
+	retryAfter: 3600,
+}
+
+describe('error-messages.js', () => {
+	it('has an English and a French message for every error type', () => {
+		for (const errorType of ERROR_TYPES) {
+			const english = getErrorMessage(errorType, 'en', PARAMS)
+			const french = getErrorMessage(errorType, 'fr', PARAMS)
+
+			expect(english).toBeTruthy()
+			expect(french).toBeTruthy()
+			if (errorType !== 'WAITLIST_FULL') {
+				expect(french).not.toBe(english)
+			}
+		}
+	})
+
+	it('uses the catalogue of the base language for regional locales', () => {
+		expect(getErrorMessage('NOT_FOUND', 'fr-CA')).toBe(
+			'Cette page est introuvable.'
+		)
+		expect(getErrorMessage('NOT_FOUND', 'pt-BR')).toBe(
+			'This page could not be found.'
+		)
+		expect(getErrorMessage('NOT_FOUND')).toBe('This page could not be found.')
+	})
+
+	it('falls back to the generic server error for unknown types', () => {
+		expect(getErrorMessage('NO_SUCH_ERROR', 'fr')).toBe(
+			getErrorMessage('SERVER_ERROR', 'en')
+		)
+	})
+
+	it('says which reservation limit was reached and for how long', () => {
+		expect(
+			getErrorMessage('RESERVATION_LIMIT_REACHED', 'en', {
+				limit: 'practice',
+				retryAfter: 5400,
+			})
+		).toBe(
+			'You have reached the maximum number of reservations for this practice. You can make another reservation in about 2 hours. Please contact us if you need to reserve more packages.'
+		)
+		expect(
+			getErrorMessage('RESERVATION_LIMIT_REACHED', 'fr', {
+				limit: 'ip',
+				retryAfter: 3 * 24 * 3600,
+			})
+		).toBe(
+			'Vous avez atteint le nombre maximal de réservations pour ce réseau. Vous pourrez faire une autre réservation dans environ 3 jours. Veuillez communiquer avec nous si vous devez réserver d’autres ensembles.'
+		)
+	})
+
+	it('names the packages another shopper reserved', () => {
+		expect(
+			getErrorMessage('PRODUCT_ALREADY_RESERVED', 'en', {
+				titles: ['First Package', 'Second Package'],
+			})
+		).toBe(
+			'These packages have already been reserved: First Package, Second Package.'
+		)
+	})
+})
@@ -0,0 +1,142 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+
+// Mock environment variables - debug lines are left out
+const originalEnv = process.env
+vi.stubGlobal('process', {
+	env: {
+		...originalEnv,
+		LOG_LEVEL: 'info',
+	},
+})
+
+const { logger, redact, withRequestLogging } = await import(
+	'../netlify/lib/logger.js'
+)
+
+describe('logger.js', () => {
+	let logSpy
+	let errorSpy
+
+	function loggedLines(spy = logSpy) {
+		return spy.mock.calls.map(([line]) => JSON.parse(line))
+	}
+
+	beforeEach(() => {
+		logSpy = vi.spyOn(console, 'log').mockImplementation(() => {})
+		errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {})
+	})
+
+	afterEach(() => {
+		vi.restoreAllMocks()
+	})
+
+	describe('redact', () => {
+		it('masks email addresses wherever they appear', () => {
+			expect(
+				redact({
+					customer: { email: 'shopper@example.com' },
+					message: 'No customer for shopper@example.com',
+				})
+			).toEqual({
+				customer: { email: 'sh***@example.com' },
+				message: 'No customer for sh***@example.com',
+			})
+		})
+
+		it('removes tokens, secrets and signatures', () => {
+			expect(
+				redact({
+					bot_protection_token: 'abc',
+					query: { signature: 'def', shop: 'test-shop.myshopify.com' },
+					headers: { 'X-Shopify-Access-Token': 'shpat_123' },
+				})
+			).toEqual({
+				bot_protection_token: '[REDACTED]',
+				query: { signature: '[REDACTED]', shop: 'test-shop.myshopify.com' },
+				headers: { 'X-Shopify-Access-Token': '[REDACTED]' },
+			})
+		})
+
+		it('removes practice names from fields, notes and tags', () => {
+			expect(
+				redact({
+					practice_name: 'Smile Dental',
+					note: 'Practice Name: Smile Dental\nRole: Doctor',
+					tags: ['Reservation', 'Practice: Smile Dental'],
+				})
+			).toEqual({
+				practice_name: '[REDACTED]',
+				note: '[REDACTED]',
+				tags: ['Reservation', 'Practice: [REDACTED]'],
+			})
+		})
+
+		it('keeps the useful parts of errors', () => {
+			const error = new Error('Request failed for shopper@example.com')
+			error.response = { status: 429, headers: { authorization: 'secret' } }
+
+			expect(redact(error)).toMatchObject({
+				name: 'Error',
+				message: 'Request failed for sh***@example.com',
+				status: 429,
+			})
+		})
+	})
+
+	describe('logger', () => {
+		it('writes JSON lines at or above the configured level', () => {
+			logger.debug('Looking up variant', { variant_id: '1' })
+			logger.info('Claiming products', { product_ids: [1, 2] })
+			logger.error('Error creating draft order', new Error('Boom'))
+
+			expect(loggedLines()).toEqual([
+				expect.objectContaining({
+					level: 'info',
+					message: 'Claiming products',
+					product_ids: [1, 2],
+				}),
+			])
+			expect(loggedLines(errorSpy)[0]).toMatchObject({
+				level: 'error',
+				error: { message: 'Boom' },
+			})
+		})
+
+		it('tags every line of a request with its ID, across async calls', async () => {
+			const handler = withRequestLogging('test-function', async () => {
+				logger.info('First')
+				await new Promise((resolve) => setTimeout(resolve, 0))
+				logger.info('Second')
+				return { statusCode: 200 }
+			})
+
+			const response = await handler(
+				{ headers: { 'x-nf-request-id': '01HREQUEST' } },
+				{}
+			)
+			logger.info('Outside')
+
+			expect(response).toEqual({ statusCode: 200 })
+			const [first, second, outside] = loggedLines()
+			expect(first).toMatchObject({
+				function: 'test-function',
+				requestId: '01HREQUEST',
+			})
+			expect(second.requestId).toBe('01HREQUEST')
+			expect(outside.requestId).toBeUndefined()
+		})
+
+		it('generates a request ID when Netlify does not send one', async () => {
+			const handler = withRequestLogging('test-function', async () => {
+				logger.info('Hello')
+			})
+
+			await handler({ headers: {} }, {})
+			await handler({}, {})
+
+			const [first, second] = loggedLines()
+			expect(first.requestId).toMatch(/^[0-9a-f-]{36}$/)
+			expect(second.requestId).not.toBe(first.requestId)
+		})
+	})
+})
@@ -0,0 +1,82 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+
+// Mock axios before importing the handler
+vi.mock('axios', () => ({
+	default: {
+		post: vi.fn(),
+	},
+}))
+
+// Mock environment variables
+const originalEnv = process.env
+vi.stubGlobal('process', {
+	env: {
+		...originalEnv,
+		SHOPIFY_API_KEY: 'test-key',
+		SHOPIFY_API_SECRET: 'test-secret',
+	},
+})
+
+const axios = await import('axios')
+const { handler } = await import('../netlify/functions/oauth-callback.js')
+
+const mockedAxios = vi.mocked(axios.default)
+
+describe('oauth-callback.js', () => {
+	let logged
+
+	beforeEach(() => {
+		vi.clearAllMocks()
+		logged = []
+		for (const method of ['log', 'error']) {
+			vi.spyOn(console, method).mockImplementation((line) => logged.push(line))
+		}
+	})
+
+	afterEach(() => {
+		vi.restoreAllMocks()
+	})
+
+	it('redirects to the admin without logging or returning the token', async () => {
+		mockedAxios.post.mockResolvedValue({
+			data: { access_token: 'shpat_test_token' },
+		})
+
+		const result = await handler(
+			{
+				headers: {},
+				queryStringParameters: {
+					code: 'test-code',
+					shop: 'test-shop.myshopify.com',
+				},
+			},
+			{}
+		)
+
+		expect(result.statusCode).toBe(302)
+		expect(result.headers.Location).toBe(
+			'https://test-shop.myshopify.com/admin/apps'
+		)
+		expect(JSON.stringify(result)).not.toContain('shpat_test_token')
+		expect(logged.length).toBeGreaterThan(0)
+		expect(logged.join('\n')).not.toContain('shpat_test_token')
+	})
+
+	it('does not return the error of a failed exchange', async () => {
+		mockedAxios.post.mockRejectedValue(new Error('invalid_request: code'))
+
+		const result = await handler(
+			{
+				headers: {},
+				queryStringParameters: {
+					code: 'test-code',
+					shop: 'test-shop.myshopify.com',
+				},
+			},
+			{}
+		)
+
+		expect(result.statusCode).toBe(500)
+		expect(result.body).not.toContain('invalid_request')
+	})
+})
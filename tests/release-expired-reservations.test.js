@@ -0,0 +1,285 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+// Mock axios before importing the handler
+vi.mock('axios', () => ({
+	default: {
+		get: vi.fn(),
+		post: vi.fn(),
+		put: vi.fn(),
+		delete: vi.fn(),
+	},
+}))
+
+// Mock environment variables
+const originalEnv = process.env
+vi.stubGlobal('process', {
+	env: {
+		...originalEnv,
+		SHOP_DOMAIN: 'test-shop.myshopify.com',
+		SHOPIFY_ACCESS_TOKEN: 'test-token',
+		SHOPIFY_API_VERSION: '2025-01',
+	},
+})
+
+const axios = await import('axios')
+const { handler } = await import(
+	'../netlify/functions/release-expired-reservations.js'
+)
+
+const mockedAxios = vi.mocked(axios.default)
+
+const DAY = 24 * 60 * 60 * 1000
+
+function draftOrder(id, createdAt, tags) {
+	return {
+		id,
+		created_at: createdAt.toISOString(),
+		tags,
+		line_items: [{ product_id: 67890, variant_id: 12345 }],
+	}
+}
+
+function mockProductMetafields(status, reservationNumber, holdExpiryDate) {
+	mockedAxios.get.mockImplementation((url) => {
+		if (url.includes('/draft_orders/') && url.includes('/metafields.json')) {
+			return Promise.resolve({
+				data: {
+					metafields: holdExpiryDate
+						? [
+								{
+									namespace: 'reservation',
+									key: 'hold_expiry_date',
+									value: holdExpiryDate,
+								},
+						  ]
+						: [],
+				},
+			})
+		}
+		if (url.includes('/metafields.json')) {
+			return Promise.resolve({
+				data: {
+					metafields: [
+						{
+							id: 1,
+							namespace: 'custom',
+							key: 'availability_status',
+							value: status,
+						},
+						{
+							id: 2,
+							namespace: 'custom',
+							key: 'reservation_number',
+							value: reservationNumber,
+						},
+					],
+				},
+			})
+		}
+		return Promise.resolve({ data: {} })
+	})
+}
+
+// Serves reservation_app.hold_business_days and records what is written to it
+function mockHoldLength(published) {
+	const writes = []
+	mockedAxios.post.mockImplementation((url, body) => {
+		if (body.query.includes('query ShopState')) {
+			return Promise.resolve({
+				data: {
+					data: {
+						shop: {
+							id: 'gid://shopify/Shop/1',
+							metafield:
+								published === null
+									? null
+									: {
+											value: JSON.stringify(published),
+											compareDigest: 'digest',
+									  },
+						},
+					},
+				},
+			})
+		}
+		writes.push(body.variables.metafields[0])
+		return Promise.resolve({
+			data: { data: { metafieldsSet: { userErrors: [] } } },
+		})
+	})
+	return writes
+}
+
+describe('release-expired-reservations.js', () => {
+	beforeEach(() => {
+		vi.clearAllMocks()
+		mockedAxios.put.mockResolvedValue({ data: {} })
+		mockedAxios.delete.mockResolvedValue({ data: {} })
+		mockHoldLength(3)
+	})
+
+	it('publishes the hold length for the reserve form', async () => {
+		mockedAxios.get.mockResolvedValue({ data: { draft_orders: [] } })
+		const writes = mockHoldLength(null)
+
+		expect((await handler({}, {})).statusCode).toBe(200)
+		expect(writes).toEqual([
+			expect.objectContaining({
+				ownerId: 'gid://shopify/Shop/1',
+				namespace: 'reservation_app',
+				key: 'hold_business_days',
+				type: 'json',
+				value: '3',
+			}),
+		])
+
+		// Nothing is written while the published length is current
+		const unchanged = mockHoldLength(3)
+		await handler({}, {})
+		expect(unchanged).toEqual([])
+	})
+
+	it('releases the product and tags the draft order once the hold has passed', async () => {
+		mockProductMetafields('Reserved', 'RES-250101-1234')
+		const expired = draftOrder(
+			111,
+			new Date(Date.now() - 10 * DAY),
+			'RES-250101-1234, R1234, reservation'
+		)
+		mockedAxios.get.mockImplementationOnce(() =>
+			Promise.resolve({ data: { draft_orders: [expired] } })
+		)
+
+		const result = await handler({}, {})
+
+		expect(result.statusCode).toBe(200)
+		const body = JSON.parse(result.body)
+		expect(body.released).toHaveLength(1)
+		expect(body.released[0].products[0].released).toBe(true)
+
+		expect(mockedAxios.put).toHaveBeenCalledWith(
+			expect.stringContaining('/metafields/1.json'),
+			expect.objectContaining({
+				metafield: expect.objectContaining({ value: 'In stock' }),
+			}),
+			expect.any(Object)
+		)
+		expect(mockedAxios.delete).toHaveBeenCalledWith(
+			expect.stringContaining('/metafields/2.json'),
+			expect.any(Object)
+		)
+		expect(mockedAxios.put).toHaveBeenCalledWith(
+			expect.stringContaining('/draft_orders/111.json'),
+			{
+				draft_order: {
+					id: 111,
+					tags: 'RES-250101-1234, R1234, reservation, reservation-expired',
+				},
+			},
+			expect.any(Object)
+		)
+	})
+
+	it('leaves reservations that are still inside the hold window alone', async () => {
+		mockProductMetafields('Reserved', 'RES-250101-1234')
+		mockedAxios.get.mockImplementationOnce(() =>
+			Promise.resolve({
+				data: {
+					draft_orders: [
+						draftOrder(111, new Date(), 'RES-250101-1234, reservation'),
+					],
+				},
+			})
+		)
+
+		const result = await handler({}, {})
+
+		const body = JSON.parse(result.body)
+		expect(body.checked).toBe(1)
+		expect(body.released).toHaveLength(0)
+		expect(mockedAxios.put).not.toHaveBeenCalled()
+		expect(mockedAxios.delete).not.toHaveBeenCalled()
+	})
+
+	it('uses the hold expiry date stored on the draft order', async () => {
+		mockProductMetafields('Reserved', 'RES-250101-1234', '2999-01-01')
+		mockedAxios.get.mockImplementationOnce(() =>
+			Promise.resolve({
+				data: {
+					draft_orders: [
+						draftOrder(
+							111,
+							new Date(Date.now() - 10 * DAY),
+							'RES-250101-1234, reservation'
+						),
+					],
+				},
+			})
+		)
+
+		const result = await handler({}, {})
+
+		const body = JSON.parse(result.body)
+		expect(body.released).toHaveLength(0)
+		expect(mockedAxios.get).toHaveBeenCalledWith(
+			expect.stringContaining('/draft_orders/111/metafields.json'),
+			expect.any(Object)
+		)
+	})
+
+	it('does not reset a product that is held by a newer reservation', async () => {
+		mockProductMetafields('Reserved', 'RES-250105-9999')
+		mockedAxios.get.mockImplementationOnce(() =>
+			Promise.resolve({
+				data: {
+					draft_orders: [
+						draftOrder(
+							111,
+							new Date(Date.now() - 10 * DAY),
+							'RES-250101-1234, reservation'
+						),
+					],
+				},
+			})
+		)
+
+		const result = await handler({}, {})
+
+		const body = JSON.parse(result.body)
+		expect(body.released[0].products[0].released).toBe(false)
+		expect(mockedAxios.put).not.toHaveBeenCalledWith(
+			expect.stringContaining('/metafields/'),
+			expect.anything(),
+			expect.anything()
+		)
+		// The draft order itself is still expired
+		expect(mockedAxios.put).toHaveBeenCalledWith(
+			expect.stringContaining('/draft_orders/111.json'),
+			expect.any(Object),
+			expect.any(Object)
+		)
+	})
+
+	it('skips draft orders that are not reservations or are already expired', async () => {
+		mockedAxios.get.mockImplementationOnce(() =>
+			Promise.resolve({
+				data: {
+					draft_orders: [
+						draftOrder(111, new Date(Date.now() - 10 * DAY), 'wholesale'),
+						draftOrder(
+							222,
+							new Date(Date.now() - 10 * DAY),
+							'RES-250101-1234, reservation, reservation-expired'
+						),
+					],
+				},
+			})
+		)
+
+		const result = await handler({}, {})
+
+		const body = JSON.parse(result.body)
+		expect(body.checked).toBe(0)
+		expect(mockedAxios.put).not.toHaveBeenCalled()
+	})
+})
@@ -0,0 +1,210 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+
+// Mock environment variables - the sender and sales inbox of every test
+const originalEnv = process.env
+vi.stubGlobal('process', {
+	env: {
+		...originalEnv,
+		MAIL_FROM: 'A-dec Reservations <reservations@example.com>',
+		SALES_NOTIFICATION_EMAIL: 'sales@example.com, manager@example.com',
+	},
+})
+
+const { renderReservationConfirmation, renderSalesNotification } = await import(
+	'../netlify/lib/email-templates.js'
+)
+const { createFileTransport, getMailTransport } = await import(
+	'../netlify/lib/mailer.js'
+)
+const { sendReservationEmails } = await import(
+	'../netlify/lib/reservation-emails.js'
+)
+
+const reservation = {
+	reservationNumber: 'RES-250612-1234-3',
+	holdExpiryDate: '2025-06-17',
+	language: 'en',
+	items: [{ title: 'Package One', stocking_number: 'R1234' }],
+	customerInfo: {
+		practice_name: 'Smile <Dental>',
+		email: 'shopper@example.com',
+		zip_code: '12345',
+		country: 'us',
+		role: 'doctor',
+	},
+	adminUrl: 'https://test-shop.myshopify.com/admin/draft_orders/123456',
+}
+
+describe('reservation emails', () => {
+	let directory
+
+	function writtenMessages() {
+		return fs
+			.readdirSync(directory)
+			.map((file) =>
+				JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'))
+			)
+	}
+
+	beforeEach(() => {
+		directory = fs.mkdtempSync(path.join(os.tmpdir(), 'reservation-mail-'))
+		vi.spyOn(console, 'log').mockImplementation(() => {})
+		vi.spyOn(console, 'error').mockImplementation(() => {})
+	})
+
+	afterEach(() => {
+		fs.rmSync(directory, { recursive: true, force: true })
+		vi.restoreAllMocks()
+	})
+
+	describe('templates', () => {
+		it('renders the confirmation in the language of the form', () => {
+			const english = renderReservationConfirmation(reservation)
+			const french = renderReservationConfirmation({
+				...reservation,
+				language: 'fr',
+			})
+
+			expect(english.subject).toBe('Your package reservation RES-250612-1234-3')
+			expect(english.text).toContain('Held until: June 17, 2025')
+			expect(english.text).toContain('Stocking #: R1234')
+			expect(french.subject).toBe(
+				'Votre réservation d’ensemble RES-250612-1234-3'
+			)
+			expect(french.text).toContain('Réservé jusqu’au: 17 juin 2025')
+		})
+
+		it('renders regional locales in their base language', () => {
+			const confirmation = renderReservationConfirmation({
+				...reservation,
+				language: 'fr-CA',
+			})
+			const alert = renderSalesNotification({
+				...reservation,
+				language: 'fr-CA',
+			})
+
+			expect(confirmation.subject).toBe(
+				'Votre réservation d’ensemble RES-250612-1234-3'
+			)
+			expect(alert.text).toContain('Language: French')
+		})
+
+		it('escapes customer input in the HTML part', () => {
+			const { html, text } = renderReservationConfirmation(reservation)
+
+			expect(html).toContain('Smile &lt;Dental&gt;')
+			expect(html).not.toContain('<Dental>')
+			expect(text).toContain('Practice: Smile <Dental>')
+		})
+
+		it('gives sales the customer details and the draft order', () => {
+			const { subject, text } = renderSalesNotification({
+				...reservation,
+				language: 'fr',
+			})
+
+			expect(subject).toBe('New reservation RES-250612-1234-3: Smile <Dental>')
+			expect(text).toContain('Email: shopper@example.com')
+			expect(text).toContain('Role: Doctor')
+			expect(text).toContain('Country: United States')
+			expect(text).toContain('Language: French')
+			expect(text).toContain(`Draft order: ${reservation.adminUrl}`)
+		})
+	})
+
+	describe('sendReservationEmails', () => {
+		it('sends the confirmation and the sales alert', async () => {
+			const result = await sendReservationEmails(
+				reservation,
+				createFileTransport(directory)
+			)
+
+			expect(result).toEqual({ confirmation: 'sent', notification: 'sent' })
+			const messages = writtenMessages()
+			expect(messages).toHaveLength(2)
+			expect(messages).toContainEqual(
+				expect.objectContaining({
+					from: 'A-dec Reservations <reservations@example.com>',
+					to: 'shopper@example.com',
+					subject: 'Your package reservation RES-250612-1234-3',
+				})
+			)
+			expect(messages).toContainEqual(
+				expect.objectContaining({
+					to: ['sales@example.com', 'manager@example.com'],
+					replyTo: 'shopper@example.com',
+				})
+			)
+		})
+
+		it('includes the territory manager and copies them on the alert', async () => {
+			const territory = {
+				id: 'northeast',
+				manager: { name: 'Jane Smith', email: 'jane.smith@example.com' },
+			}
+
+			await sendReservationEmails(
+				{ ...reservation, territory },
+				createFileTransport(directory)
+			)
+
+			const messages = writtenMessages()
+			const confirmation = messages.find(
+				(message) => message.to === 'shopper@example.com'
+			)
+			const alert = messages.find((message) => Array.isArray(message.to))
+			expect(confirmation.text).toContain(
+				'Your A-dec Territory Manager: Jane Smith <jane.smith@example.com>'
+			)
+			expect(alert.to).toEqual([
+				'sales@example.com',
+				'manager@example.com',
+				'jane.smith@example.com',
+			])
+			expect(alert.text).toContain(
+				'Territory manager: Jane Smith <jane.smith@example.com> (northeast)'
+			)
+		})
+
+		it('reports a failed email without throwing', async () => {
+			const transport = {
+				name: 'broken',
+				send: vi
+					.fn()
+					.mockRejectedValueOnce(new Error('Connection refused'))
+					.mockResolvedValueOnce({ messageId: '1' }),
+			}
+
+			const result = await sendReservationEmails(reservation, transport)
+
+			expect(result).toEqual({ confirmation: 'failed', notification: 'sent' })
+		})
+
+		it('skips sending when email is off', async () => {
+			expect(await sendReservationEmails(reservation, null)).toEqual({
+				confirmation: 'skipped',
+				notification: 'skipped',
+			})
+		})
+	})
+
+	describe('getMailTransport', () => {
+		afterEach(() => {
+			delete process.env.MAIL_TRANSPORT
+		})
+
+		it('creates the transport named by MAIL_TRANSPORT', () => {
+			expect(getMailTransport()).toBeNull()
+
+			process.env.MAIL_TRANSPORT = 'file'
+			expect(getMailTransport().name).toBe('file')
+
+			process.env.MAIL_TRANSPORT = 'pigeon'
+			expect(() => getMailTransport()).toThrow('Unknown mail transport')
+		})
+	})
+})
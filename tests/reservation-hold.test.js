@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest'
+import {
+	addBusinessDays,
+	computeHoldExpiry,
+	getHolidays,
+	isBusinessDay,
+	isHoldExpired,
+} from '../netlify/lib/reservation-hold.js'
+
+describe('reservation-hold.js', () => {
+	describe('getHolidays', () => {
+		it('includes US holidays for US customers', () => {
+			const holidays = getHolidays(2025, 'us')
+			expect(holidays).toContain('2025-05-26') // Memorial Day
+			expect(holidays).toContain('2025-11-27') // Thanksgiving
+			expect(holidays).toContain('2025-11-28') // Day after Thanksgiving
+			expect(holidays).not.toContain('2025-07-01') // Canada Day
+		})
+
+		it('includes Canadian holidays for Canadian customers', () => {
+			const holidays = getHolidays(2025, 'Canada')
+			expect(holidays).toContain('2025-04-18') // Good Friday
+			expect(holidays).toContain('2025-05-19') // Victoria Day
+			expect(holidays).toContain('2025-10-13') // Thanksgiving
+			expect(holidays).not.toContain('2025-07-04') // Independence Day
+		})
+
+		it('moves weekend holidays to the observed weekday', () => {
+			// Christmas 2021 was a Saturday
+			expect(getHolidays(2021, 'us')).toContain('2021-12-24')
+			// Christmas and Boxing Day 2021 move to Monday and Tuesday in Canada
+			expect(getHolidays(2021, 'ca')).toEqual(
+				expect.arrayContaining(['2021-12-27', '2021-12-28'])
+			)
+		})
+
+		it('applies both calendars when the country is unknown', () => {
+			const holidays = getHolidays(2025)
+			expect(holidays).toContain('2025-07-01')
+			expect(holidays).toContain('2025-07-04')
+		})
+	})
+
+	describe('addBusinessDays', () => {
+		it('skips weekends', () => {
+			// Thursday + 3 business days = Tuesday
+			expect(addBusinessDays('2025-06-12', 3, 'us')).toBe('2025-06-17')
+			expect(isBusinessDay('2025-06-14', 'us')).toBe(false)
+		})
+
+		it('skips holidays', () => {
+			// Wednesday before Thanksgiving + 3 business days
+			expect(addBusinessDays('2025-11-26', 3, 'us')).toBe('2025-12-03')
+			// Christmas Eve in Canada skips Christmas and Boxing Day
+			expect(addBusinessDays('2025-12-24', 1, 'ca')).toBe('2025-12-29')
+		})
+	})
+
+	describe('computeHoldExpiry', () => {
+		it('counts from the reservation date in the shop time zone', () => {
+			// 2am UTC on a Friday is still Thursday in Los Angeles
+			expect(computeHoldExpiry(new Date('2025-06-13T02:00:00Z'), 'us')).toBe(
+				'2025-06-17'
+			)
+		})
+	})
+
+	describe('isHoldExpired', () => {
+		it('expires after the end of the expiry date', () => {
+			expect(
+				isHoldExpired('2025-06-17', new Date('2025-06-17T20:00:00Z'))
+			).toBe(false)
+			expect(
+				isHoldExpired('2025-06-17', new Date('2025-06-18T08:00:00Z'))
+			).toBe(true)
+		})
+	})
+})
@@ -0,0 +1,179 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+// Mock axios before importing the module
+vi.mock('axios', () => ({
+	default: {
+		get: vi.fn(),
+		post: vi.fn(),
+		put: vi.fn(),
+		delete: vi.fn(),
+	},
+}))
+
+// Mock environment variables - small limits so they are quick to reach
+const originalEnv = process.env
+vi.stubGlobal('process', {
+	env: {
+		...originalEnv,
+		SHOP_DOMAIN: 'test-shop.myshopify.com',
+		SHOPIFY_ACCESS_TOKEN: 'test-token',
+		SHOPIFY_API_VERSION: '2025-01',
+		RESERVATION_LIMIT_PER_EMAIL: '2',
+		RESERVATION_LIMIT_PER_PRACTICE: '3',
+		RESERVATION_LIMIT_PER_IP: '0',
+		RESERVATION_LIMIT_WINDOW_HOURS: '24',
+	},
+})
+
+const axios = await import('axios')
+const {
+	assignReservationSlot,
+	getClientIp,
+	releaseDraftOrderSlot,
+	releaseReservationSlot,
+	takeReservationSlot,
+} = await import('../netlify/lib/reservation-limits.js')
+
+const mockedAxios = vi.mocked(axios.default)
+
+// Keeps the reservation_limits shop metafield in memory
+function mockShopState() {
+	let metafield = null
+	mockedAxios.post.mockImplementation((url, body) => {
+		if (body.query.includes('query ShopState')) {
+			return Promise.resolve({
+				data: { data: { shop: { id: 'gid://shopify/Shop/1', metafield } } },
+			})
+		}
+		const { value } = body.variables.metafields[0]
+		metafield = { value, compareDigest: `digest-${value.length}` }
+		return Promise.resolve({
+			data: { data: { metafieldsSet: { userErrors: [] } } },
+		})
+	})
+	return () => (metafield ? JSON.parse(metafield.value) : null)
+}
+
+const shopper = {
+	email: 'test@example.com',
+	practiceName: 'Test Practice',
+	ip: '203.0.113.7',
+}
+
+describe('reservation-limits.js', () => {
+	beforeEach(() => {
+		vi.clearAllMocks()
+	})
+
+	it('blocks an email address once its limit is reached', async () => {
+		mockShopState()
+		const now = new Date('2025-03-14T12:00:00Z')
+
+		expect((await takeReservationSlot(shopper, now)).allowed).toBe(true)
+		expect((await takeReservationSlot(shopper, now)).allowed).toBe(true)
+		const blocked = await takeReservationSlot(shopper, now)
+
+		expect(blocked).toEqual({
+			allowed: false,
+			limit: 'email',
+			max: 2,
+			retryAfterSeconds: 24 * 60 * 60,
+		})
+	})
+
+	it('counts practice names regardless of case and spacing', async () => {
+		mockShopState()
+		const now = new Date('2025-03-14T12:00:00Z')
+
+		await takeReservationSlot({ ...shopper, email: 'a@example.com' }, now)
+		await takeReservationSlot(
+			{ ...shopper, email: 'b@example.com', practiceName: 'test  PRACTICE' },
+			now
+		)
+		await takeReservationSlot({ ...shopper, email: 'c@example.com' }, now)
+		const blocked = await takeReservationSlot(
+			{ ...shopper, email: 'd@example.com' },
+			now
+		)
+
+		expect(blocked).toMatchObject({ allowed: false, limit: 'practice' })
+	})
+
+	it('frees slots when they leave the window or are released', async () => {
+		mockShopState()
+		const first = await takeReservationSlot(
+			shopper,
+			new Date('2025-03-13T11:00:00Z')
+		)
+		const second = await takeReservationSlot(
+			shopper,
+			new Date('2025-03-14T10:00:00Z')
+		)
+
+		// The first slot is more than 24 hours old by now
+		const later = new Date('2025-03-14T12:00:00Z')
+		expect((await takeReservationSlot(shopper, later)).allowed).toBe(true)
+		expect((await takeReservationSlot(shopper, later)).allowed).toBe(false)
+
+		await releaseReservationSlot(second.slotId)
+		expect(first.allowed).toBe(true)
+		expect((await takeReservationSlot(shopper, later)).allowed).toBe(true)
+	})
+
+	it('counts a reservation until its hold ends', async () => {
+		mockShopState()
+		const now = new Date('2025-03-14T12:00:00Z')
+
+		const first = await takeReservationSlot(shopper, now)
+		await assignReservationSlot(first.slotId, 111)
+		const second = await takeReservationSlot(shopper, now)
+		await assignReservationSlot(second.slotId, 222)
+		expect((await takeReservationSlot(shopper, now)).allowed).toBe(false)
+
+		// Another draft order ending leaves the shopper's slots alone
+		await releaseDraftOrderSlot(333)
+		expect((await takeReservationSlot(shopper, now)).allowed).toBe(false)
+
+		await releaseDraftOrderSlot('111')
+		expect((await takeReservationSlot(shopper, now)).allowed).toBe(true)
+	})
+
+	it('stores hashes instead of the email address and practice name', async () => {
+		const readState = mockShopState()
+
+		await takeReservationSlot(shopper)
+
+		const stored = JSON.stringify(readState())
+		expect(stored).not.toContain('test@example.com')
+		expect(stored).not.toContain('Test Practice')
+		// The IP limit is disabled, so only two identities are recorded
+		expect(readState().slots[0].identities).toHaveLength(2)
+	})
+
+	it('reads the shopper IP forwarded by the app proxy', () => {
+		expect(
+			getClientIp({
+				'x-forwarded-for': '203.0.113.7, 23.227.38.1',
+				'x-nf-client-connection-ip': '23.227.38.1',
+			})
+		).toBe('203.0.113.7')
+		expect(getClientIp({ 'x-forwarded-for': '203.0.113.7' })).toBe(
+			'203.0.113.7'
+		)
+		expect(getClientIp({ 'x-nf-client-connection-ip': '198.51.100.2' })).toBe(
+			'198.51.100.2'
+		)
+		expect(getClientIp({})).toBeNull()
+	})
+
+	it('ignores the X-Forwarded-For entries sent by the shopper', () => {
+		// The shopper sent "X-Forwarded-For: 192.0.2.99"; the proxy appended the
+		// real address after it
+		expect(
+			getClientIp({
+				'x-forwarded-for': '192.0.2.99, 203.0.113.7, 23.227.38.1',
+				'x-nf-client-connection-ip': '23.227.38.1',
+			})
+		).toBe('203.0.113.7')
+	})
+})
@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest'
+import {
+	formatReservationNumber,
+	isValidReservationNumber,
+	luhnCheckDigit,
+} from '../netlify/lib/reservation-number.js'
+
+describe('reservation-number.js', () => {
+	it('computes Luhn check digits', () => {
+		expect(luhnCheckDigit('7992739871')).toBe('3')
+		expect(luhnCheckDigit('2503140042')).toBe('4')
+	})
+
+	it('formats the shop date, the zero-padded sequence and the check digit', () => {
+		expect(formatReservationNumber('2025-03-14', 42)).toBe('RES-250314-0042-4')
+		expect(formatReservationNumber('2025-03-14', 12345)).toMatch(
+			/^RES-250314-12345-\d$/
+		)
+	})
+
+	it('accepts issued numbers regardless of case and whitespace', () => {
+		expect(isValidReservationNumber('RES-250314-0042-4')).toBe(true)
+		expect(isValidReservationNumber(' res-250314-0042-4 ')).toBe(true)
+	})
+
+	it('rejects mistyped numbers', () => {
+		// Wrong digit, swapped digits and wrong check digit
+		expect(isValidReservationNumber('RES-250314-0043-4')).toBe(false)
+		expect(isValidReservationNumber('RES-250314-0024-4')).toBe(false)
+		expect(isValidReservationNumber('RES-250314-0042-5')).toBe(false)
+	})
+
+	it('rejects the old random format', () => {
+		expect(isValidReservationNumber('RES-250314-4821')).toBe(false)
+		expect(isValidReservationNumber(undefined)).toBe(false)
+	})
+})
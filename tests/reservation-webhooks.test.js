@@ -0,0 +1,275 @@
+import crypto from 'crypto'
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+// Mock axios before importing the handler
+vi.mock('axios', () => ({
+	default: {
+		get: vi.fn(),
+		post: vi.fn(),
+		put: vi.fn(),
+		delete: vi.fn(),
+	},
+}))
+
+// Mock environment variables
+const originalEnv = process.env
+vi.stubGlobal('process', {
+	env: {
+		...originalEnv,
+		SHOP_DOMAIN: 'test-shop.myshopify.com',
+		SHOPIFY_ACCESS_TOKEN: 'test-token',
+		SHOPIFY_API_VERSION: '2025-01',
+		SHOPIFY_API_SECRET: 'test-secret',
+	},
+})
+
+const axios = await import('axios')
+const { handler } = await import('../netlify/functions/reservation-webhooks.js')
+
+const mockedAxios = vi.mocked(axios.default)
+
+function webhookEvent(topic, payload, secret = 'test-secret') {
+	const body = JSON.stringify(payload)
+	return {
+		httpMethod: 'POST',
+		headers: {
+			'x-shopify-topic': topic,
+			'x-shopify-hmac-sha256': crypto
+				.createHmac('sha256', secret)
+				.update(body, 'utf8')
+				.digest('base64'),
+		},
+		body,
+	}
+}
+
+function mockProductMetafields(status, draftOrderId = '111') {
+	mockedAxios.get.mockResolvedValue({
+		data: {
+			metafields: [
+				{
+					id: 1,
+					namespace: 'custom',
+					key: 'availability_status',
+					value: status,
+				},
+				{
+					id: 2,
+					namespace: 'custom',
+					key: 'reservation_number',
+					value: 'RES-250101-1234',
+				},
+				{
+					id: 3,
+					namespace: 'custom',
+					key: 'reservation_expiry_date',
+					value: '2025-01-06',
+				},
+				{
+					id: 4,
+					namespace: 'custom',
+					key: 'reservation_draft_order_id',
+					value: draftOrderId,
+				},
+			],
+		},
+	})
+}
+
+// Serves the reservation_app.draft_order_products shop state and records writes
+function mockDraftOrderProducts(draftOrders) {
+	const writes = []
+	mockedAxios.post.mockImplementation((url, body) => {
+		if (body.query.includes('query ShopState')) {
+			return Promise.resolve({
+				data: {
+					data: {
+						shop: {
+							id: 'gid://shopify/Shop/1',
+							metafield: draftOrders
+								? {
+										value: JSON.stringify(draftOrders),
+										compareDigest: 'digest',
+								  }
+								: null,
+						},
+					},
+				},
+			})
+		}
+		if (body.query.includes('metafieldsSet')) {
+			writes.push(JSON.parse(body.variables.metafields[0].value))
+			return Promise.resolve({
+				data: { data: { metafieldsSet: { userErrors: [] } } },
+			})
+		}
+		return Promise.reject(new Error(`Unexpected query: ${body.query}`))
+	})
+	return writes
+}
+
+describe('reservation-webhooks.js', () => {
+	beforeEach(() => {
+		vi.clearAllMocks()
+		mockedAxios.put.mockResolvedValue({ data: {} })
+		mockedAxios.delete.mockResolvedValue({ data: {} })
+	})
+
+	it('rejects webhooks with an invalid signature', async () => {
+		const event = webhookEvent(
+			'orders/create',
+			{ id: 1, line_items: [{ product_id: 67890 }] },
+			'wrong-secret'
+		)
+
+		const result = await handler(event, {})
+
+		expect(result.statusCode).toBe(401)
+		expect(mockedAxios.get).not.toHaveBeenCalled()
+	})
+
+	it('answers 500 to a signed webhook whose body is not JSON', async () => {
+		const body = '{"id": 111'
+		const event = {
+			httpMethod: 'POST',
+			headers: {
+				'x-shopify-topic': 'draft_orders/delete',
+				'x-shopify-hmac-sha256': crypto
+					.createHmac('sha256', 'test-secret')
+					.update(body, 'utf8')
+					.digest('base64'),
+			},
+			body,
+		}
+
+		const result = await handler(event, {})
+
+		expect(result.statusCode).toBe(500)
+		expect(JSON.parse(result.body).success).toBe(false)
+		expect(mockedAxios.get).not.toHaveBeenCalled()
+	})
+
+	it('marks reserved products Sold when the draft order is completed', async () => {
+		mockProductMetafields('Reserved')
+		const writes = mockDraftOrderProducts({
+			111: { product_ids: ['67890'], recorded_at: new Date().toISOString() },
+		})
+
+		const result = await handler(
+			webhookEvent('draft_orders/update', {
+				id: 111,
+				status: 'completed',
+				order_id: 999,
+				line_items: [{ product_id: 67890 }],
+			}),
+			{}
+		)
+
+		expect(result.statusCode).toBe(200)
+		expect(JSON.parse(result.body).products).toEqual([
+			{ product_id: 67890, sold: true },
+		])
+		expect(mockedAxios.put).toHaveBeenCalledWith(
+			expect.stringContaining('/metafields/1.json'),
+			{
+				metafield: {
+					id: 1,
+					value: 'Sold',
+					type: 'single_line_text_field',
+				},
+			},
+			expect.any(Object)
+		)
+		// The expiry is removed, the reservation number is kept
+		expect(mockedAxios.delete).toHaveBeenCalledTimes(1)
+		expect(mockedAxios.delete).toHaveBeenCalledWith(
+			expect.stringContaining('/metafields/3.json'),
+			expect.any(Object)
+		)
+		// The completed draft order is no longer recorded
+		expect(writes).toEqual([{}])
+	})
+
+	it('ignores draft order updates that are still open', async () => {
+		const result = await handler(
+			webhookEvent('draft_orders/update', {
+				id: 111,
+				status: 'open',
+				line_items: [{ product_id: 67890 }],
+			}),
+			{}
+		)
+
+		expect(result.statusCode).toBe(200)
+		expect(mockedAxios.get).not.toHaveBeenCalled()
+	})
+
+	it('marks reserved products Sold when an order is created', async () => {
+		mockProductMetafields('Reserved')
+
+		const result = await handler(
+			webhookEvent('orders/create', {
+				id: 999,
+				line_items: [{ product_id: 67890 }],
+			}),
+			{}
+		)
+
+		expect(JSON.parse(result.body).products).toEqual([
+			{ product_id: 67890, sold: true },
+		])
+	})
+
+	it('releases the products held by a deleted draft order', async () => {
+		mockProductMetafields('Reserved', '111')
+		const recordedAt = new Date().toISOString()
+		const writes = mockDraftOrderProducts({
+			111: { product_ids: ['67890'], recorded_at: recordedAt },
+			222: { product_ids: ['67891'], recorded_at: recordedAt },
+		})
+
+		const result = await handler(
+			webhookEvent('draft_orders/delete', { id: 111 }),
+			{}
+		)
+
+		expect(result.statusCode).toBe(200)
+		expect(JSON.parse(result.body).products).toEqual([
+			{ product_id: '67890', released: true },
+		])
+		expect(mockedAxios.put).toHaveBeenCalledWith(
+			expect.stringContaining('/metafields/1.json'),
+			expect.objectContaining({
+				metafield: expect.objectContaining({ value: 'In stock' }),
+			}),
+			expect.any(Object)
+		)
+		expect(mockedAxios.delete).toHaveBeenCalledTimes(3)
+		// Only the products recorded for the draft order are looked at
+		expect(mockedAxios.get).toHaveBeenCalledTimes(1)
+		expect(mockedAxios.post).not.toHaveBeenCalledWith(
+			expect.any(String),
+			expect.objectContaining({
+				query: expect.stringContaining('products('),
+			}),
+			expect.any(Object)
+		)
+		expect(writes).toEqual([
+			{ 222: { product_ids: ['67891'], recorded_at: recordedAt } },
+		])
+	})
+
+	it('releases nothing for a draft order without recorded products', async () => {
+		const writes = mockDraftOrderProducts(null)
+
+		const result = await handler(
+			webhookEvent('draft_orders/delete', { id: 333 }),
+			{}
+		)
+
+		expect(result.statusCode).toBe(200)
+		expect(JSON.parse(result.body).products).toEqual([])
+		expect(mockedAxios.get).not.toHaveBeenCalled()
+		expect(writes).toEqual([])
+	})
+})
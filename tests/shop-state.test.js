@@ -0,0 +1,110 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+// Mock axios before importing the module
+vi.mock('axios', () => ({
+	default: {
+		get: vi.fn(),
+		post: vi.fn(),
+		put: vi.fn(),
+		delete: vi.fn(),
+	},
+}))
+
+// Mock environment variables
+const originalEnv = process.env
+vi.stubGlobal('process', {
+	env: {
+		...originalEnv,
+		SHOP_DOMAIN: 'test-shop.myshopify.com',
+		SHOPIFY_ACCESS_TOKEN: 'test-token',
+		SHOPIFY_API_VERSION: '2025-01',
+	},
+})
+
+const axios = await import('axios')
+const { updateShopState } = await import('../netlify/lib/shop-state.js')
+
+const mockedAxios = vi.mocked(axios.default)
+
+function shopStateResponse(value, compareDigest) {
+	return {
+		data: {
+			data: {
+				shop: {
+					id: 'gid://shopify/Shop/1',
+					metafield:
+						value === null
+							? null
+							: { value: JSON.stringify(value), compareDigest },
+				},
+			},
+		},
+	}
+}
+
+function metafieldsSetResponse(userErrors = []) {
+	return { data: { data: { metafieldsSet: { userErrors } } } }
+}
+
+const STALE = {
+	field: ['metafields', '0'],
+	message: 'The resource has been updated since it was loaded.',
+	code: 'STALE_OBJECT',
+}
+
+describe('shop-state.js', () => {
+	beforeEach(() => {
+		vi.clearAllMocks()
+	})
+
+	it('creates a missing entry only if it still does not exist', async () => {
+		mockedAxios.post
+			.mockResolvedValueOnce(shopStateResponse(null))
+			.mockResolvedValueOnce(metafieldsSetResponse())
+
+		const value = await updateShopState('counter', (current) =>
+			current ? current + 1 : 1
+		)
+
+		expect(value).toBe(1)
+		expect(mockedAxios.post.mock.calls[1][1].variables.metafields).toEqual([
+			{
+				ownerId: 'gid://shopify/Shop/1',
+				namespace: 'reservation_app',
+				key: 'counter',
+				type: 'json',
+				value: '1',
+				compareDigest: null,
+			},
+		])
+	})
+
+	it('re-reads and retries when another request wrote first', async () => {
+		mockedAxios.post
+			.mockResolvedValueOnce(shopStateResponse(1, 'digest-1'))
+			.mockResolvedValueOnce(metafieldsSetResponse([STALE]))
+			.mockResolvedValueOnce(shopStateResponse(2, 'digest-2'))
+			.mockResolvedValueOnce(metafieldsSetResponse())
+
+		const value = await updateShopState('counter', (current) => current + 1)
+
+		expect(value).toBe(3)
+		expect(
+			mockedAxios.post.mock.calls[3][1].variables.metafields[0]
+		).toMatchObject({ value: '3', compareDigest: 'digest-2' })
+	})
+
+	it('gives up when the entry keeps changing', async () => {
+		mockedAxios.post.mockImplementation((url, body) =>
+			Promise.resolve(
+				body.query.includes('query ShopState')
+					? shopStateResponse(1, 'digest-1')
+					: metafieldsSetResponse([STALE])
+			)
+		)
+
+		await expect(
+			updateShopState('counter', (current) => current + 1)
+		).rejects.toThrow('after 5 attempts')
+	})
+})
@@ -0,0 +1,198 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+// Mock axios before importing the client
+vi.mock('axios', () => ({
+	default: {
+		get: vi.fn(),
+		post: vi.fn(),
+		put: vi.fn(),
+		delete: vi.fn(),
+	},
+}))
+
+// Mock environment variables - no backoff so retries run immediately
+const originalEnv = process.env
+vi.stubGlobal('process', {
+	env: {
+		...originalEnv,
+		SHOP_DOMAIN: 'test-shop.myshopify.com',
+		SHOPIFY_ACCESS_TOKEN: 'test-token',
+		SHOPIFY_API_VERSION: '2025-01',
+		SHOPIFY_MAX_RETRIES: '2',
+		SHOPIFY_RETRY_BASE_DELAY_MS: '0',
+	},
+})
+
+const axios = await import('axios')
+const { getRetryDelay, shopifyGraphql, shopifyRest } = await import(
+	'../netlify/lib/shopify-admin.js'
+)
+
+const mockedAxios = vi.mocked(axios.default)
+
+function httpError(status, headers = {}) {
+	const error = new Error(`Request failed with status code ${status}`)
+	error.response = { status, headers, data: {} }
+	return error
+}
+
+describe('shopify-admin.js', () => {
+	beforeEach(() => {
+		vi.clearAllMocks()
+	})
+
+	describe('shopifyRest', () => {
+		it('adds the shop, API version and access token', async () => {
+			mockedAxios.get.mockResolvedValue({
+				data: { metafields: [] },
+				headers: { 'x-shopify-shop-api-call-limit': '1/40' },
+			})
+
+			const data = await shopifyRest('get', 'products/1/metafields.json', {
+				params: { namespace: 'custom' },
+			})
+
+			expect(data).toEqual({ metafields: [] })
+			expect(mockedAxios.get).toHaveBeenCalledWith(
+				'https://test-shop.myshopify.com/admin/api/2025-01/products/1/metafields.json',
+				expect.objectContaining({
+					params: { namespace: 'custom' },
+					headers: expect.objectContaining({
+						'X-Shopify-Access-Token': 'test-token',
+					}),
+				})
+			)
+		})
+
+		it('retries 429 and 503 responses', async () => {
+			mockedAxios.put
+				.mockRejectedValueOnce(httpError(429, { 'retry-after': '0' }))
+				.mockRejectedValueOnce(httpError(503))
+				.mockResolvedValueOnce({ data: { metafield: { id: 1 } } })
+
+			const data = await shopifyRest('put', 'metafields/1.json', {
+				data: { metafield: { id: 1, value: 'Sold' } },
+			})
+
+			expect(data).toEqual({ metafield: { id: 1 } })
+			expect(mockedAxios.put).toHaveBeenCalledTimes(3)
+			expect(mockedAxios.put).toHaveBeenLastCalledWith(
+				expect.stringContaining('/metafields/1.json'),
+				{ metafield: { id: 1, value: 'Sold' } },
+				expect.any(Object)
+			)
+		})
+
+		it('gives up after the configured number of retries', async () => {
+			mockedAxios.get.mockRejectedValue(httpError(502))
+
+			await expect(shopifyRest('get', 'draft_orders.json')).rejects.toThrow(
+				'status code 502'
+			)
+			expect(mockedAxios.get).toHaveBeenCalledTimes(3)
+		})
+
+		it('retries POST requests only when rate limited', async () => {
+			mockedAxios.post
+				.mockRejectedValueOnce(httpError(429, { 'retry-after': '0' }))
+				.mockRejectedValueOnce(httpError(503))
+
+			await expect(
+				shopifyRest('post', 'draft_orders.json', { data: {} })
+			).rejects.toMatchObject({ response: { status: 503 } })
+			expect(mockedAxios.post).toHaveBeenCalledTimes(2)
+		})
+
+		it('does not retry other errors', async () => {
+			mockedAxios.delete.mockRejectedValue(httpError(404))
+
+			await expect(
+				shopifyRest('delete', 'metafields/1.json')
+			).rejects.toMatchObject({ response: { status: 404 } })
+			expect(mockedAxios.delete).toHaveBeenCalledTimes(1)
+		})
+	})
+
+	describe('shopifyGraphql', () => {
+		it('retries throttled queries', async () => {
+			const cost = {
+				requestedQueryCost: 10,
+				throttleStatus: {
+					currentlyAvailable: 10,
+					maximumAvailable: 2000,
+					restoreRate: 100,
+				},
+			}
+			mockedAxios.post
+				.mockResolvedValueOnce({
+					data: {
+						errors: [
+							{ message: 'Throttled', extensions: { code: 'THROTTLED' } },
+						],
+						extensions: { cost },
+					},
+				})
+				.mockResolvedValueOnce({
+					data: { data: { shop: { name: 'Test' } }, extensions: { cost } },
+				})
+
+			const data = await shopifyGraphql('query { shop { name } }')
+
+			expect(data).toEqual({ shop: { name: 'Test' } })
+			expect(mockedAxios.post).toHaveBeenCalledTimes(2)
+		})
+
+		it('retries queries on 502 and 503', async () => {
+			mockedAxios.post
+				.mockRejectedValueOnce(httpError(502))
+				.mockResolvedValueOnce({ data: { data: { shop: { name: 'Test' } } } })
+
+			const data = await shopifyGraphql('query { shop { name } }')
+
+			expect(data).toEqual({ shop: { name: 'Test' } })
+			expect(mockedAxios.post).toHaveBeenCalledTimes(2)
+		})
+
+		it('does not repeat a mutation after a 502 or 503', async () => {
+			mockedAxios.post.mockRejectedValueOnce(httpError(502))
+
+			await expect(
+				shopifyGraphql(
+					'mutation { draftOrderCreate(input: {}) { draftOrder { id } } }'
+				)
+			).rejects.toMatchObject({ response: { status: 502 } })
+			expect(mockedAxios.post).toHaveBeenCalledTimes(1)
+		})
+
+		it('retries rate-limited mutations and those marked safe to repeat', async () => {
+			const mutation =
+				'mutation { metafieldsSet(metafields: []) { userErrors { code } } }'
+			mockedAxios.post
+				.mockRejectedValueOnce(httpError(429, { 'retry-after': '0' }))
+				.mockRejectedValueOnce(httpError(503))
+				.mockResolvedValueOnce({ data: { data: { metafieldsSet: {} } } })
+
+			await expect(
+				shopifyGraphql(mutation, {}, {}, { retryUnavailable: true })
+			).resolves.toEqual({ metafieldsSet: {} })
+			expect(mockedAxios.post).toHaveBeenCalledTimes(3)
+		})
+
+		it('throws on other GraphQL errors', async () => {
+			mockedAxios.post.mockResolvedValue({
+				data: { errors: [{ message: 'Field does not exist' }] },
+			})
+
+			await expect(shopifyGraphql('query { nope }')).rejects.toThrow(
+				'Field does not exist'
+			)
+			expect(mockedAxios.post).toHaveBeenCalledTimes(1)
+		})
+	})
+
+	describe('getRetryDelay', () => {
+		it('honors Retry-After over the backoff', () => {
+			expect(getRetryDelay({ 'retry-after': '2.0' }, 0)).toBe(2000)
+		})
+	})
+})
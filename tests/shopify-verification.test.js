@@ -0,0 +1,215 @@
+import crypto from 'crypto'
+import { describe, it, expect, vi } from 'vitest'
+
+// Mock environment variables
+const originalEnv = process.env
+vi.stubGlobal('process', {
+	env: {
+		...originalEnv,
+		SHOPIFY_API_SECRET: 'test-secret',
+	},
+})
+
+const {
+	appProxySignatureMessage,
+	signDebugHeader,
+	verifyAppProxySignature,
+	verifyDebugSignature,
+	verifyWebhookHmac,
+	verifyWebhookRequest,
+} = await import('../netlify/lib/shopify-verification.js')
+
+function sign(body, secret = 'test-secret') {
+	return crypto
+		.createHmac('sha256', secret)
+		.update(body, 'utf8')
+		.digest('base64')
+}
+
+// Signs app proxy parameters the way Shopify documents it
+function signProxyQuery(params, secret = 'test-secret') {
+	const message = Object.entries(params)
+		.map(
+			([key, value]) =>
+				`${key}=${Array.isArray(value) ? value.join(',') : value}`
+		)
+		.sort()
+		.join('')
+	return {
+		...params,
+		signature: crypto
+			.createHmac('sha256', secret)
+			.update(message)
+			.digest('hex'),
+	}
+}
+
+describe('shopify-verification.js', () => {
+	describe('verifyAppProxySignature', () => {
+		const now = new Date('2025-03-14T12:00:00Z')
+		const timestamp = String(now.getTime() / 1000)
+		const params = {
+			shop: 'test-shop.myshopify.com',
+			logged_in_customer_id: '',
+			path_prefix: '/apps/create-draft-order',
+			timestamp,
+		}
+
+		it('accepts a fresh query signed with the app secret', () => {
+			expect(verifyAppProxySignature(signProxyQuery(params), { now })).toEqual({
+				valid: true,
+				reason: null,
+			})
+		})
+
+		it('matches the example in the Shopify documentation', () => {
+			expect(
+				appProxySignatureMessage({
+					extra: ['1', '2'],
+					shop: 'shop-name.myshopify.com',
+					logged_in_customer_id: '1',
+					path_prefix: '/apps/awesome_reviews',
+					timestamp: '1317327555',
+					signature: 'ignored',
+				})
+			).toBe(
+				'extra=1,2logged_in_customer_id=1path_prefix=/apps/awesome_reviewsshop=shop-name.myshopify.comtimestamp=1317327555'
+			)
+		})
+
+		it('signs repeated parameters with all their values', () => {
+			const query = signProxyQuery({ ...params, extra: ['1', '2'] })
+			const multiValueQuery = Object.fromEntries(
+				Object.entries(query).map(([key, value]) => [
+					key,
+					Array.isArray(value) ? value : [value],
+				])
+			)
+
+			expect(verifyAppProxySignature(multiValueQuery, { now }).valid).toBe(true)
+			// Dropping a value changes the signed message
+			expect(
+				verifyAppProxySignature({ ...query, extra: '1' }, { now }).valid
+			).toBe(false)
+		})
+
+		it('rejects a tampered query or another secret', () => {
+			const query = signProxyQuery(params)
+
+			expect(
+				verifyAppProxySignature(
+					{ ...query, logged_in_customer_id: '42' },
+					{
+						now,
+					}
+				).reason
+			).toBe('Signature mismatch')
+			expect(
+				verifyAppProxySignature(signProxyQuery(params, 'other-secret'), {
+					now,
+				}).valid
+			).toBe(false)
+			expect(
+				verifyAppProxySignature({ ...params, signature: 'short' }, { now })
+					.valid
+			).toBe(false)
+		})
+
+		it('rejects requests outside the freshness window', () => {
+			const query = signProxyQuery(params)
+
+			expect(
+				verifyAppProxySignature(query, {
+					now: new Date(now.getTime() + 301 * 1000),
+				}).reason
+			).toBe('Request expired')
+			expect(
+				verifyAppProxySignature(query, {
+					now: new Date(now.getTime() - 301 * 1000),
+				}).reason
+			).toBe('Request expired')
+			expect(
+				verifyAppProxySignature(query, {
+					now: new Date(now.getTime() + 301 * 1000),
+					maxAgeSeconds: 600,
+				}).valid
+			).toBe(true)
+		})
+
+		it('rejects a missing signature', () => {
+			expect(verifyAppProxySignature(params, { now }).valid).toBe(false)
+			expect(verifyAppProxySignature(undefined, { now }).valid).toBe(false)
+		})
+	})
+
+	describe('verifyDebugSignature', () => {
+		const now = new Date('2025-03-14T12:00:00Z')
+
+		it('accepts a fresh header signed with the app secret', () => {
+			expect(verifyDebugSignature(signDebugHeader(now), { now })).toBe(true)
+		})
+
+		it('rejects expired, forged and missing headers', () => {
+			const header = signDebugHeader(now)
+
+			expect(
+				verifyDebugSignature(header, {
+					now: new Date(now.getTime() + 301 * 1000),
+				})
+			).toBe(false)
+			expect(
+				verifyDebugSignature(signDebugHeader(now, 'other-secret'), { now })
+			).toBe(false)
+			expect(
+				verifyDebugSignature(header.replace(/^\d+/, '1741953601'), { now })
+			).toBe(false)
+			expect(verifyDebugSignature(undefined, { now })).toBe(false)
+		})
+	})
+
+	describe('verifyWebhookHmac', () => {
+		const body = JSON.stringify({ id: 111, status: 'completed' })
+
+		it('accepts a body signed with the app secret', () => {
+			expect(verifyWebhookHmac(body, sign(body))).toBe(true)
+		})
+
+		it('rejects a tampered body', () => {
+			expect(verifyWebhookHmac(body.replace('111', '112'), sign(body))).toBe(
+				false
+			)
+		})
+
+		it('rejects a body signed with another secret', () => {
+			expect(verifyWebhookHmac(body, sign(body, 'other-secret'))).toBe(false)
+		})
+
+		it('rejects missing or malformed headers', () => {
+			expect(verifyWebhookHmac(body, undefined)).toBe(false)
+			expect(verifyWebhookHmac(body, 'short')).toBe(false)
+		})
+	})
+
+	describe('verifyWebhookRequest', () => {
+		it('reads mixed-case headers and base64 encoded bodies', () => {
+			const body = JSON.stringify({ id: 111 })
+
+			const result = verifyWebhookRequest({
+				headers: {
+					'X-Shopify-Hmac-Sha256': sign(body),
+					'X-Shopify-Topic': 'draft_orders/delete',
+					'X-Shopify-Shop-Domain': 'test-shop.myshopify.com',
+				},
+				body: Buffer.from(body).toString('base64'),
+				isBase64Encoded: true,
+			})
+
+			expect(result).toEqual({
+				valid: true,
+				topic: 'draft_orders/delete',
+				shop: 'test-shop.myshopify.com',
+				rawBody: body,
+			})
+		})
+	})
+})
@@ -0,0 +1,104 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+
+const { findTerritory, parseTerritoryTable } = await import(
+	'../netlify/lib/territories.js'
+)
+
+const TABLE = [
+	{
+		id: 'pacific-northwest',
+		manager: { name: 'Jane Doe', email: 'jane.doe@example.com' },
+		us_zip_ranges: ['97000-97999', '98000-99499'],
+		ca_fsa_prefixes: ['V'],
+	},
+	{
+		id: 'portland-metro',
+		manager: { name: 'Sam Lee' },
+		us_zip_ranges: ['97201-97299', '97132'],
+		ca_fsa_prefixes: ['v5k'],
+	},
+	{
+		id: 'prairies',
+		manager: { name: 'Alex Martin', email: 'alex.martin@example.com' },
+		ca_fsa_prefixes: ['T', 'S', 'R'],
+	},
+]
+
+describe('territories.js', () => {
+	let territories
+
+	beforeEach(() => {
+		vi.spyOn(console, 'warn').mockImplementation(() => {})
+		territories = parseTerritoryTable(TABLE)
+	})
+
+	afterEach(() => {
+		vi.restoreAllMocks()
+	})
+
+	describe('findTerritory', () => {
+		it('matches US ZIP codes by range, the narrowest range winning', () => {
+			expect(findTerritory(territories, '98101', 'us').id).toBe(
+				'pacific-northwest'
+			)
+			expect(findTerritory(territories, '97205-1234', 'us').id).toBe(
+				'portland-metro'
+			)
+			// A single ZIP code is a range of one
+			expect(findTerritory(territories, '97132', 'us').id).toBe(
+				'portland-metro'
+			)
+			expect(findTerritory(territories, '97133', 'us').id).toBe(
+				'pacific-northwest'
+			)
+		})
+
+		it('matches Canadian postal codes by FSA, the longest prefix winning', () => {
+			expect(findTerritory(territories, 'V6B 1A1', 'ca')).toEqual({
+				id: 'pacific-northwest',
+				manager: { name: 'Jane Doe', email: 'jane.doe@example.com' },
+			})
+			expect(findTerritory(territories, 'V5K 0A1', 'ca').id).toBe(
+				'portland-metro'
+			)
+			expect(findTerritory(territories, 'T2P 1J9', 'ca').id).toBe('prairies')
+		})
+
+		it('returns null when no territory covers the postal code', () => {
+			expect(findTerritory(territories, '10001', 'us')).toBeNull()
+			expect(findTerritory(territories, 'M5V 2T6', 'ca')).toBeNull()
+			// ZIP ranges only apply to the US, FSA prefixes only to Canada
+			expect(findTerritory(territories, '97201', 'ca')).toBeNull()
+			expect(findTerritory([], '97201', 'us')).toBeNull()
+		})
+	})
+
+	describe('parseTerritoryTable', () => {
+		it('skips entries and ranges that cannot be used', () => {
+			const parsed = parseTerritoryTable([
+				{ id: 'no-manager', us_zip_ranges: ['10000-19999'] },
+				{
+					id: 'northeast',
+					manager: { name: 'Chris Park' },
+					us_zip_ranges: ['0100-02799', '01000-02799'],
+					ca_fsa_prefixes: ['1AB', 'H2'],
+				},
+			])
+
+			expect(parsed).toEqual([
+				{
+					id: 'northeast',
+					manager: { name: 'Chris Park', email: null },
+					zipRanges: [[1000, 2799]],
+					fsaPrefixes: ['H2'],
+				},
+			])
+			expect(console.warn).toHaveBeenCalledTimes(3)
+		})
+
+		it('treats a missing table as empty', () => {
+			expect(parseTerritoryTable(null)).toEqual([])
+			expect(parseTerritoryTable({ id: 'not-a-list' })).toEqual([])
+		})
+	})
+})
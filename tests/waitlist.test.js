@@ -0,0 +1,268 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import {
+	describe,
+	it,
+	expect,
+	vi,
+	beforeEach,
+	afterEach,
+	afterAll,
+} from 'vitest'
+
+// Mock axios before importing the module
+vi.mock('axios', () => ({
+	default: {
+		get: vi.fn(),
+		post: vi.fn(),
+		put: vi.fn(),
+		delete: vi.fn(),
+	},
+}))
+
+// Mock environment variables - waitlist emails are written to files
+const originalEnv = process.env
+const mailDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'waitlist-mail-'))
+vi.stubGlobal('process', {
+	env: {
+		...originalEnv,
+		SHOP_DOMAIN: 'test-shop.myshopify.com',
+		SHOPIFY_ACCESS_TOKEN: 'test-token',
+		SHOPIFY_API_VERSION: '2025-01',
+		MAIL_TRANSPORT: 'file',
+		MAIL_FILE_DIRECTORY: mailDirectory,
+		MAIL_FROM: 'reservations@example.com',
+		WAITLIST_RETENTION_DAYS: '30',
+	},
+})
+
+const axios = await import('axios')
+const { joinWaitlist, MAX_WAITLIST_LENGTH, notifyWaitlist } = await import(
+	'../netlify/lib/waitlist.js'
+)
+
+const mockedAxios = vi.mocked(axios.default)
+
+// Keeps the waitlist shop metafield in memory and answers product lookups;
+// `translations` maps locales to the translated title of the product
+function mockShopify({
+	product = { title: 'Test Package' },
+	translations = {},
+} = {}) {
+	let metafield = null
+	mockedAxios.post.mockImplementation((url, body) => {
+		if (body.query.includes('query ShopState')) {
+			return Promise.resolve({
+				data: { data: { shop: { id: 'gid://shopify/Shop/1', metafield } } },
+			})
+		}
+		if (body.query.includes('WaitlistProduct')) {
+			return Promise.resolve({
+				data: {
+					data: {
+						product: product && {
+							onlineStoreUrl: 'https://shop.example.com/products/test-package',
+							...product,
+						},
+					},
+				},
+			})
+		}
+		if (body.query.includes('ProductTitleTranslations')) {
+			const { ids, locale } = body.variables
+			const nodes = ids.map((resourceId) => ({
+				resourceId,
+				translations: translations[locale]
+					? [{ key: 'title', value: translations[locale] }]
+					: [],
+			}))
+			return Promise.resolve({
+				data: { data: { translatableResourcesByIds: { nodes } } },
+			})
+		}
+		const { value } = body.variables.metafields[0]
+		metafield = { value, compareDigest: `digest-${value.length}` }
+		return Promise.resolve({
+			data: { data: { metafieldsSet: { userErrors: [] } } },
+		})
+	})
+	return () => (metafield ? JSON.parse(metafield.value) : null)
+}
+
+function customer(email) {
+	return {
+		practice_name: 'Test Practice',
+		email,
+		zip_code: '12345',
+		country: 'us',
+		role: 'doctor',
+	}
+}
+
+function sentMessages() {
+	return fs
+		.readdirSync(mailDirectory)
+		.map((file) =>
+			JSON.parse(fs.readFileSync(path.join(mailDirectory, file), 'utf8'))
+		)
+}
+
+describe('waitlist.js', () => {
+	const now = new Date('2025-06-12T12:00:00Z')
+
+	beforeEach(() => {
+		vi.clearAllMocks()
+		vi.spyOn(console, 'log').mockImplementation(() => {})
+		vi.spyOn(console, 'error').mockImplementation(() => {})
+	})
+
+	afterAll(() => {
+		fs.rmSync(mailDirectory, { recursive: true, force: true })
+	})
+
+	afterEach(() => {
+		for (const file of fs.readdirSync(mailDirectory)) {
+			fs.rmSync(path.join(mailDirectory, file))
+		}
+		vi.restoreAllMocks()
+	})
+
+	describe('joinWaitlist', () => {
+		it('queues shoppers in order and keeps their place when they join again', async () => {
+			const readState = mockShopify()
+
+			const first = await joinWaitlist(
+				67890,
+				customer('first@example.com'),
+				'en',
+				now
+			)
+			const second = await joinWaitlist(
+				67890,
+				customer('second@example.com'),
+				'fr',
+				now
+			)
+			const again = await joinWaitlist(
+				67890,
+				customer('First@Example.com'),
+				'en',
+				now
+			)
+
+			expect(first).toEqual({ joined: true, position: 1 })
+			expect(second).toEqual({ joined: true, position: 2 })
+			expect(again).toEqual({ joined: true, position: 1 })
+			expect(readState()[67890]).toEqual([
+				expect.objectContaining({ email: 'first@example.com', language: 'en' }),
+				expect.objectContaining({
+					email: 'second@example.com',
+					language: 'fr',
+				}),
+			])
+			// Only what the notification needs is kept
+			expect(Object.keys(readState()[67890][0]).sort()).toEqual([
+				'email',
+				'id',
+				'joined_at',
+				'language',
+			])
+		})
+
+		it('refuses shoppers once the waitlist is full', async () => {
+			mockShopify()
+			for (let i = 0; i < MAX_WAITLIST_LENGTH; i++) {
+				await joinWaitlist(67890, customer(`${i}@example.com`), 'en', now)
+			}
+
+			expect(
+				await joinWaitlist(67890, customer('late@example.com'), 'en', now)
+			).toEqual({ joined: false, position: null })
+		})
+
+		it('drops shoppers who have waited past the retention period', async () => {
+			const readState = mockShopify()
+			await joinWaitlist(67890, customer('old@example.com'), 'en', now)
+
+			const later = new Date(now.getTime() + 31 * 24 * 60 * 60 * 1000)
+			const result = await joinWaitlist(
+				67890,
+				customer('new@example.com'),
+				'en',
+				later
+			)
+
+			expect(result.position).toBe(1)
+			expect(readState()[67890].map((entry) => entry.email)).toEqual([
+				'new@example.com',
+			])
+		})
+	})
+
+	describe('notifyWaitlist', () => {
+		it('emails the first shopper in line and takes them off the list', async () => {
+			const readState = mockShopify({
+				translations: { fr: 'Ensemble test' },
+			})
+			await joinWaitlist(67890, customer('first@example.com'), 'fr', now)
+			await joinWaitlist(67890, customer('second@example.com'), 'en', now)
+
+			expect(await notifyWaitlist(67890, now)).toBe('notified')
+
+			const [message] = sentMessages()
+			expect(message).toMatchObject({
+				to: 'first@example.com',
+				subject: 'Ensemble test peut de nouveau être réservé',
+			})
+			expect(message.text).toContain(
+				'https://shop.example.com/fr/products/test-package'
+			)
+			expect(readState()[67890].map((entry) => entry.email)).toEqual([
+				'second@example.com',
+			])
+		})
+
+		it('uses the primary locale title when the product is not translated', async () => {
+			mockShopify({ translations: { fr: 'Ensemble test' } })
+			await joinWaitlist(67890, customer('first@example.com'), 'es', now)
+
+			expect(await notifyWaitlist(67890, now)).toBe('notified')
+
+			const [message] = sentMessages()
+			expect(message.subject).toBe('Test Package is available to reserve again')
+			expect(message.text).toContain(
+				'https://shop.example.com/es/products/test-package'
+			)
+		})
+
+		it('does nothing for a product nobody is waiting for', async () => {
+			mockShopify()
+
+			expect(await notifyWaitlist(67890, now)).toBe('empty')
+			expect(sentMessages()).toEqual([])
+		})
+
+		it('empties the waitlist of a deleted product', async () => {
+			const readState = mockShopify({ product: null })
+			await joinWaitlist(67890, customer('first@example.com'), 'en', now)
+
+			expect(await notifyWaitlist(67890, now)).toBe('empty')
+			expect(sentMessages()).toEqual([])
+			expect(readState()).toEqual({})
+		})
+
+		it('keeps the shopper in line when the email cannot be sent', async () => {
+			const readState = mockShopify()
+			await joinWaitlist(67890, customer('first@example.com'), 'en', now)
+			process.env.MAIL_FILE_DIRECTORY = '/dev/null/unwritable'
+
+			try {
+				expect(await notifyWaitlist(67890, now)).toBe('failed')
+			} finally {
+				process.env.MAIL_FILE_DIRECTORY = mailDirectory
+			}
+			expect(readState()[67890]).toHaveLength(1)
+		})
+	})
+})